@@ -2,755 +2,7493 @@
  * サーバー側で使用する FireModel のアダプターです。
  * FireModel に Firestore に対する CRUD 機能を注入します。
  */
+import { AsyncLocalStorage } from "node:async_hooks";
+import { createHash, randomUUID } from "node:crypto";
+import { once } from "node:events";
+import { createReadStream, createWriteStream } from "node:fs";
+import { createInterface } from "node:readline";
 import { logger } from "firebase-functions";
-import { GeoPoint } from "firebase-admin/firestore";
+import {
+  onDocumentCreated,
+  onDocumentDeleted,
+  onDocumentUpdated,
+} from "firebase-functions/v2/firestore";
+import { HttpsError, onCall } from "firebase-functions/v2/https";
+import {
+  AggregateField,
+  FieldPath,
+  FieldValue,
+  Filter,
+  GeoPoint,
+  getFirestore,
+  Timestamp,
+} from "firebase-admin/firestore";
+
+/**
+ * Base class of errors thrown by the adapter.
+ * - `code` is a machine-readable error code and `context` holds details of the error,
+ *   so callers don't have to parse messages.
+ *   ex) `if (err instanceof NotFoundError) ...` or `switch (err.code) { case "not-found": ... }`
+ */
+export class AdapterError extends Error {
+  /**
+   * @param {string} message - Error message.
+   * @param {string} [code="internal"] - Machine-readable error code.
+   * @param {Object} [context={}] - Details of the error.
+   * @param {Object} [options={}] - Error options.
+   * @param {Error} [options.cause] - Original error.
+   */
+  constructor(message, code = "internal", context = {}, options = {}) {
+    super(message, options);
+    this.name = "AdapterError";
+    this.code = code;
+    this.context = context;
+  }
+}
+
+/**
+ * Error thrown when an argument, a query constraint or a model setting is invalid.
+ */
+export class InvalidArgumentError extends AdapterError {
+  /**
+   * @param {string} message - Error message.
+   * @param {Object} [context={}] - Details of the error. ex) `{ argument: "batchSize", value: 0 }`
+   */
+  constructor(message, context = {}) {
+    super(message, "invalid-argument", context);
+    this.name = "InvalidArgumentError";
+  }
+}
+
+/**
+ * Error thrown when the model's `validate()` fails.
+ * - The error thrown by `validate()` is kept as `cause`.
+ */
+export class ValidationError extends AdapterError {
+  /**
+   * @param {string} message - Error message.
+   * @param {Object} [context={}] - Details of the error.
+   * @param {string|null} [context.docId] - Document ID of the instance.
+   * @param {Object} [options={}] - Error options (`cause`).
+   */
+  constructor(message, context = {}, options = {}) {
+    super(message, "validation", context, options);
+    this.name = "ValidationError";
+  }
+}
+
+/**
+ * Error thrown when a required document does not exist.
+ * - ex) the archived document to restore, or the Autonumber document.
+ */
+export class NotFoundError extends AdapterError {
+  /**
+   * @param {string} message - Error message.
+   * @param {Object} [context={}] - Details of the error.
+   * @param {string} [context.path] - Path of the missing document.
+   * @param {string} [context.docId] - Document ID.
+   */
+  constructor(message, context = {}) {
+    super(message, "not-found", context);
+    this.name = "NotFoundError";
+  }
+}
+
+/**
+ * Error thrown when a document to be created already exists.
+ * - ex) `create` or an item of `createMany` whose `docId` is already used.
+ */
+export class AlreadyExistsError extends AdapterError {
+  /**
+   * @param {string} message - Error message.
+   * @param {Object} [context={}] - Details of the error.
+   * @param {string} [context.path] - Path of the existing document.
+   * @param {string} [context.docId] - Document ID.
+   */
+  constructor(message, context = {}) {
+    super(message, "already-exists", context);
+    this.name = "AlreadyExistsError";
+  }
+}
+
+/**
+ * Error thrown when an operation requires a state the model or instance is not in.
+ * - ex) `getCount()` without `static useCounter`, or `update()` before `fetch()`.
+ */
+export class PreconditionError extends AdapterError {
+  /**
+   * @param {string} message - Error message.
+   * @param {Object} [context={}] - Details of the error.
+   */
+  constructor(message, context = {}) {
+    super(message, "failed-precondition", context);
+    this.name = "PreconditionError";
+  }
+}
+
+/**
+ * Error thrown when the stored document was modified after the instance was fetched.
+ * - Thrown by `update` and `delete` when optimistic locking is enabled.
+ */
+export class ConflictError extends AdapterError {
+  /**
+   * @param {string} message - Error message.
+   * @param {Object} [context={}] - Conflict details.
+   * @param {string} [context.docId] - Document ID.
+   * @param {*} [context.expected] - Version or updatedAt captured at fetch time.
+   * @param {*} [context.actual] - Version or updatedAt currently stored.
+   */
+  constructor(message, { docId, expected, actual } = {}) {
+    super(message, "conflict", { docId, expected, actual });
+    this.name = "ConflictError";
+    this.docId = docId;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * Error thrown when a document can't be deleted because dependents exist.
+ * - `item` is the `hasMany` item whose dependents were found.
+ */
+export class DependentExistsError extends AdapterError {
+  /**
+   * @param {string} message - Error message.
+   * @param {Object} [context={}] - Details of the error.
+   * @param {string} [context.docId] - Document ID being deleted.
+   * @param {Object} [context.item] - `hasMany` item.
+   */
+  constructor(message, { docId, item } = {}) {
+    super(message, "dependent-exists", { docId, item });
+    this.name = "DependentExistsError";
+    this.docId = docId;
+    this.item = item;
+  }
+}
+
+/**
+ * Error thrown when Autonumber is disabled (`enabled: false`) for the collection.
+ */
+export class AutonumberDisabledError extends AdapterError {
+  /**
+   * @param {string} message - Error message.
+   * @param {Object} [context={}] - Details of the error.
+   * @param {string} [context.collectionPath] - Collection path of the model.
+   */
+  constructor(message, context = {}) {
+    super(message, "autonumber-disabled", context);
+    this.name = "AutonumberDisabledError";
+  }
+}
+
+/**
+ * Error thrown when Autonumber has no more codes for the configured length.
+ */
+export class AutonumberExhaustedError extends AdapterError {
+  /**
+   * @param {string} message - Error message.
+   * @param {Object} [context={}] - Details of the error.
+   * @param {string} [context.collectionPath] - Collection path of the model.
+   * @param {number} [context.max] - Largest number that fits the length.
+   */
+  constructor(message, context = {}) {
+    super(message, "autonumber-exhausted", context);
+    this.name = "AutonumberExhaustedError";
+  }
+}
+
+/**
+ * Run the model's `validate()`, converting the errors it throws to `ValidationError`.
+ * @param {Object} instance - Model instance.
+ * @throws {ValidationError} If validation fails.
+ */
+function validateInstance(instance) {
+  try {
+    instance.validate();
+  } catch (err) {
+    if (err instanceof AdapterError) throw err;
+    throw new ValidationError(
+      err?.message ?? String(err),
+      { docId: instance.docId || null },
+      { cause: err }
+    );
+  }
+}
+
+/**
+ * Log levels in ascending order of severity. "silent" disables logging.
+ */
+const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"];
+
+/**
+ * Value logged in place of sensitive fields.
+ */
+const REDACTED = "[REDACTED]";
+
+/**
+ * Correlation ID of the current async context (see `ServerAdapter.runWithCorrelationId`).
+ * @type {AsyncLocalStorage<string>}
+ */
+const correlationStore = new AsyncLocalStorage();
+
+/**
+ * Returns the fields the model marks as sensitive (`static sensitiveFields`).
+ * @param {Function} modelClass - Model class.
+ * @returns {Array<string>} Dot paths. ex) `["email", "profile.phone"]`
+ */
+function getSensitiveFields(modelClass) {
+  return Array.isArray(modelClass?.sensitiveFields)
+    ? modelClass.sensitiveFields
+    : [];
+}
+
+/**
+ * Replace the values of sensitive fields with "[REDACTED]", recursively.
+ * - Elements of arrays are matched with the path of the array.
+ * @param {*} value
+ * @param {Array<string>} fields - Sensitive fields as dot paths.
+ * @param {string} [path=""] - Path of `value`.
+ * @returns {*}
+ */
+function redact(value, fields, path = "") {
+  if (fields.length === 0) return value;
+  if (Array.isArray(value)) return value.map((v) => redact(v, fields, path));
+  if (!value || Object.getPrototypeOf(value) !== Object.prototype) {
+    return value;
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, v]) => {
+      const fieldPath = path ? `${path}.${key}` : key;
+      return [
+        key,
+        fields.includes(fieldPath) ? REDACTED : redact(v, fields, fieldPath),
+      ];
+    })
+  );
+}
+
+/**
+ * Returns the adapter whose logger is used for a model, or null if there is none.
+ * @param {Function} modelClass - Model class.
+ * @returns {ServerAdapter|null}
+ */
+function findLogAdapter(modelClass) {
+  try {
+    return getModelAdapter(modelClass);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether entries of `level` are written with the adapter's `logLevel`.
+ * @param {ServerAdapter|null} adapter
+ * @param {string} level
+ * @returns {boolean}
+ */
+function isLogEnabled(adapter, level) {
+  const threshold = adapter ? adapter.logLevel : "warn";
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(threshold);
+}
+
+/**
+ * Write a structured log entry with the adapter's logger.
+ * - The correlation ID of the current context is added to the entry if available.
+ * @param {ServerAdapter|null} adapter - Adapter whose logger is used (the default logger if null).
+ * @param {string} level - "debug", "info", "warn" or "error".
+ * @param {string} message - Log message.
+ * @param {Object} entry - Structured fields.
+ */
+function writeLog(adapter, level, message, entry) {
+  if (!isLogEnabled(adapter, level)) return;
+  const target = adapter ? adapter.logger : logger;
+  const correlationId =
+    correlationStore.getStore() ?? adapter?.correlationIdResolver?.() ?? null;
+  const write = target[level] ?? target.log;
+  write.call(target, message, {
+    ...entry,
+    ...(correlationId ? { correlationId } : {}),
+  });
+}
+
+/**
+ * Convert an error to loggable fields. Sensitive fields in its context are redacted.
+ * @param {Error} err
+ * @param {Array<string>} fields - Sensitive fields.
+ * @returns {Object}
+ */
+function toLogError(err, fields) {
+  return {
+    name: err?.name ?? "Error",
+    code: err?.code ?? null,
+    message: err?.message ?? String(err),
+    ...(err instanceof AdapterError
+      ? { context: redact(err.context, fields) }
+      : {}),
+    stack: err?.stack,
+  };
+}
+
+/**
+ * Log level of a failed operation.
+ * - Adapter errors (not found, validation, conflicts, ...) and HttpsErrors are "warn",
+ *   others (and "internal" ones) "error".
+ * @param {Error} err
+ * @returns {string}
+ */
+function getFailureLevel(err) {
+  return (err instanceof AdapterError || err instanceof HttpsError) &&
+    err.code !== "internal"
+    ? "warn"
+    : "error";
+}
+
+/**
+ * Start measuring an adapter operation.
+ * - Call `fail(err)` when the operation throws and `end()` when it finishes (in `finally`).
+ *   `end()` writes one entry with the operation, collection path, docId, prefix, duration and
+ *   outcome: "info" on success, `getFailureLevel(err)` on failure.
+ * - If `document` is true, `docId` falls back to the instance's, and the instance data
+ *   (with sensitive fields redacted) is added when the adapter's `logData` is enabled.
+ * @param {Object} instance - Model instance the operation runs on.
+ * @param {string} operation - Method name.
+ * @param {Object} [args={}] - Arguments of the operation.
+ * @param {string|null} [args.prefix] - Path prefix.
+ * @param {string} [args.docId] - Target document ID.
+ * @param {Object} [options={}]
+ * @param {boolean} [options.document=false] - Whether the operation targets the instance's document.
+ * @returns {{fail: Function, end: Function}}
+ */
+function startOperationLog(
+  instance,
+  operation,
+  args = {},
+  { document = false } = {}
+) {
+  const startedAt = Date.now();
+  let error = null;
+  return {
+    fail(err) {
+      error = err;
+    },
+    end() {
+      const modelClass = instance.constructor;
+      const adapter = findLogAdapter(modelClass);
+      const level = error ? getFailureLevel(error) : "info";
+      if (!isLogEnabled(adapter, level)) return;
+
+      const fields = getSensitiveFields(modelClass);
+      const prefix = args.prefix ?? null;
+      let collectionPath = null;
+      try {
+        collectionPath = modelClass.getCollectionPath(prefix);
+      } catch {
+        // Invalid prefixes are reported by the operation itself.
+      }
+      let data;
+      if (document && adapter?.logData) {
+        try {
+          data = redact(toFirestoreData(instance), fields);
+        } catch {
+          data = undefined;
+        }
+      }
+
+      writeLog(
+        adapter,
+        level,
+        `[ServerAdapter.js - ${operation}] ${error ? "Failed" : "Succeeded"}.`,
+        {
+          operation,
+          model: modelClass.name,
+          collectionPath,
+          docId: args.docId || (document ? instance.docId : null) || null,
+          prefix,
+          durationMs: Date.now() - startedAt,
+          outcome: error ? "failure" : "success",
+          ...(error ? { error: toLogError(error, fields) } : {}),
+          ...(data ? { data } : {}),
+        }
+      );
+    },
+  };
+}
+
+/**
+ * Returns the adapter whose settings apply to a model.
+ * - The model's own adapter (`getAdapter()`) if it is a ServerAdapter, otherwise the default
+ *   adapter (`ServerAdapter.defaultAdapter`).
+ * @param {Function} modelClass - Model class.
+ * @returns {ServerAdapter}
+ * @throws {PreconditionError} If no adapter has been constructed.
+ */
+function getModelAdapter(modelClass) {
+  const adapter =
+    typeof modelClass?.getAdapter === "function"
+      ? modelClass.getAdapter()
+      : null;
+  if (adapter instanceof ServerAdapter) return adapter;
+  if (!ServerAdapter.defaultAdapter) {
+    throw new PreconditionError("Firestore instance not initialized");
+  }
+  return ServerAdapter.defaultAdapter;
+}
+
+/**
+ * Returns the Firestore instance an operation of the model runs against.
+ * - Resolution order: `database` given to the call, the model's `static database`,
+ *   then the default database of the model's adapter.
+ * - Each may be a database ID, a Firestore instance or a ServerAdapter.
+ * @param {Function} modelClass - Model class.
+ * @param {string|Object|null} [database=null] - Database given to the call.
+ * @returns {Firestore}
+ */
+function resolveFirestore(modelClass, database = null) {
+  return getModelAdapter(modelClass).getDatabase(
+    database ?? modelClass?.database ?? null
+  );
+}
+
+/**
+ * Query cursor types accepted by `fetchDocs`.
+ */
+const CURSOR_TYPES = new Set(["startAt", "startAfter", "endAt", "endBefore"]);
+
+/**
+ * Query types accepted by `streamDocs`.
+ */
+const STREAMABLE_TYPES = new Set(["where", "or", "and", "orderBy", "select"]);
+
+/**
+ * Query types accepted by `fetchDocs`.
+ */
+const QUERY_TYPES = [
+  "where",
+  "or",
+  "and",
+  "orderBy",
+  "limit",
+  "limitToLast",
+  "select",
+  ...CURSOR_TYPES,
+];
+
+/**
+ * Resolve a cursor value to a DocumentSnapshot.
+ * - Accepts a docId, a model instance (with `docId`) or a DocumentSnapshot.
+ * @param {Object} colRef - CollectionReference the cursor belongs to.
+ * @param {string|Object} cursor - Cursor value.
+ * @param {Object|null} [transaction=null] - Firestore transaction (optional).
+ * @returns {Promise<Object>} DocumentSnapshot to be used as a query cursor.
+ */
+async function resolveCursor(colRef, cursor, transaction = null) {
+  if (
+    cursor &&
+    typeof cursor === "object" &&
+    "exists" in cursor &&
+    cursor.ref
+  ) {
+    return cursor;
+  }
+
+  const docId = typeof cursor === "string" ? cursor : cursor?.docId;
+  if (!docId) {
+    throw new InvalidArgumentError(
+      `Invalid cursor: ${cursor}. Use a docId, a model instance or a DocumentSnapshot.`
+    );
+  }
+
+  const docRef = colRef.doc(docId);
+  const docSnap = transaction
+    ? await transaction.get(docRef)
+    : await docRef.get();
+  if (!docSnap.exists) {
+    throw new NotFoundError(`Could not find cursor document. docId: ${docId}`, {
+      path: docRef.path,
+      docId,
+    });
+  }
+  return docSnap;
+}
+
+/**
+ * Operators accepted by `where` tuples.
+ */
+const QUERY_OPERATORS = [
+  "<",
+  "<=",
+  "==",
+  "!=",
+  ">=",
+  ">",
+  "array-contains",
+  "array-contains-any",
+  "in",
+  "not-in",
+];
+
+/**
+ * Maximum number of values per operator taking an array.
+ */
+const ARRAY_OPERATOR_LIMITS = {
+  in: 30,
+  "not-in": 10,
+  "array-contains-any": 30,
+};
+
+/**
+ * Whether the field designates the document ID (`FieldPath.documentId()` or "__name__").
+ * @param {string|FieldPath} field
+ * @returns {boolean}
+ */
+function isDocumentIdField(field) {
+  return field instanceof FieldPath
+    ? field.isEqual(FieldPath.documentId())
+    : field === "__name__";
+}
+
+/**
+ * Validate a field path of a query tuple.
+ * @param {string|FieldPath} field - Field path.
+ * @param {string} type - Query type (used for error messages).
+ */
+function validateQueryField(field, type) {
+  if (field instanceof FieldPath) return;
+  if (typeof field !== "string" || field.trim() === "") {
+    throw new InvalidArgumentError(
+      `Invalid field for ${type}: ${field}. Must be a non-empty string or a FieldPath.`
+    );
+  }
+}
+
+/**
+ * Validate a `where` condition.
+ * @param {string|FieldPath} field - Field path.
+ * @param {string} op - Query operator.
+ * @param {*} value - Value to compare with.
+ */
+function validateWhere(field, op, value) {
+  validateQueryField(field, "where");
+
+  if (!QUERY_OPERATORS.includes(op)) {
+    throw new InvalidArgumentError(
+      `Invalid where operator: ${op}. Please use one of: ${QUERY_OPERATORS.join(
+        ", "
+      )}`
+    );
+  }
+
+  if (value === undefined) {
+    throw new InvalidArgumentError(
+      `Value for where "${field}" ${op} must not be undefined.`
+    );
+  }
+
+  const max = ARRAY_OPERATOR_LIMITS[op];
+  if (max && (!Array.isArray(value) || value.length === 0)) {
+    throw new InvalidArgumentError(
+      `Value for "${op}" must be a non-empty array.`
+    );
+  }
+  if (max && value.length > max) {
+    throw new InvalidArgumentError(
+      `Value for "${op}" can have at most ${max} elements, but got ${value.length}.`
+    );
+  }
+
+  if (!isDocumentIdField(field)) return;
+
+  if (["array-contains", "array-contains-any"].includes(op)) {
+    throw new InvalidArgumentError(`"${op}" cannot be used with documentId().`);
+  }
+  const values = Array.isArray(value) ? value : [value];
+  for (const docId of values) {
+    const isReference = docId && typeof docId === "object" && "path" in docId;
+    if (!isReference && (typeof docId !== "string" || !docId)) {
+      throw new InvalidArgumentError(
+        `Invalid documentId() value: ${docId}. Must be a non-empty string or a DocumentReference.`
+      );
+    }
+  }
+}
+
+/**
+ * Convert a filter tuple to an admin SDK `Filter`.
+ * - `['where', field, op, value]` or `['where', Filter]`
+ * - `['or', ...tuples]` / `['and', ...tuples]` for composite filters.
+ * - `Filter` instances are returned as is.
+ * @param {Array|Filter} constraint - Filter tuple.
+ * @returns {Filter}
+ */
+function toFilter(constraint) {
+  if (constraint instanceof Filter) return constraint;
+
+  if (!Array.isArray(constraint)) {
+    throw new InvalidArgumentError(
+      `Invalid filter: ${constraint}. Use a where/or/and tuple or a Filter.`
+    );
+  }
+
+  const [type, ...args] = constraint;
+  switch (type) {
+    case "where":
+      if (args.length === 1 && args[0] instanceof Filter) return args[0];
+      validateWhere(...args);
+      return Filter.where(...args);
+    case "or":
+    case "and":
+      if (args.length === 0) {
+        throw new InvalidArgumentError(
+          `"${type}" requires at least one filter.`
+        );
+      }
+      return Filter[type](...args.map(toFilter));
+    default:
+      throw new InvalidArgumentError(
+        `Invalid filter type: ${type}. Please use one of: where, or, and`
+      );
+  }
+}
+
+/**
+ * Validate combinations of `where` operators across the query tuples.
+ * - At most one `not-in`, which cannot be combined with `!=`, `in`,
+ *   `array-contains-any` or `or`.
+ * - At most one `array-contains` or `array-contains-any` outside of `or` filters.
+ * @param {Array} items - Query constraint tuples.
+ */
+function validateQueryOperators(items) {
+  const operators = [];
+  const topLevel = [];
+  const collect = (constraint, nested) => {
+    if (!Array.isArray(constraint)) return;
+    const [type, ...args] = constraint;
+    if (type === "where" && args.length === 3) {
+      operators.push(args[1]);
+      if (!nested) topLevel.push(args[1]);
+    } else if (type === "or") {
+      operators.push("or");
+      args.forEach((arg) => collect(arg, true));
+    } else if (type === "and") {
+      args.forEach((arg) => collect(arg, nested));
+    }
+  };
+  items.forEach((item) => collect(item, false));
+
+  const count = (ops, op) => ops.filter((o) => o === op).length;
+  if (count(operators, "not-in") > 1) {
+    throw new InvalidArgumentError(
+      `Only one "not-in" filter can be used in a query.`
+    );
+  }
+  if (count(operators, "not-in") === 1) {
+    const conflict = ["!=", "in", "array-contains-any", "or"].find((op) =>
+      operators.includes(op)
+    );
+    if (conflict) {
+      throw new InvalidArgumentError(
+        `"not-in" cannot be combined with "${conflict}".`
+      );
+    }
+  }
+  if (
+    count(topLevel, "array-contains") + count(topLevel, "array-contains-any") >
+    1
+  ) {
+    throw new InvalidArgumentError(
+      `Only one "array-contains" or "array-contains-any" filter can be used in a query.`
+    );
+  }
+}
+
+/**
+ * Validate a query constraint tuple and convert it to a function refining a query.
+ * - Supported types: `where`, `or`, `and`, `orderBy`, `limit`, `limitToLast` and `select`.
+ *   Cursor types are resolved by `applyQueryConstraints`.
+ * @param {Array} item - Query constraint tuple.
+ * @returns {Function} Function taking a Query and returning the refined Query.
+ */
+function createQueryApplier(item) {
+  if (!Array.isArray(item)) {
+    throw new InvalidArgumentError(
+      `Invalid query constraint: ${item}. Must be an array.`
+    );
+  }
+
+  const [type, ...args] = item;
+  switch (type) {
+    case "where":
+    case "or":
+    case "and": {
+      const filter = toFilter(item);
+      return (queryRef) => queryRef.where(filter);
+    }
+    case "orderBy": {
+      const [field, direction = "asc"] = args;
+      validateQueryField(field, "orderBy");
+      if (!["asc", "desc"].includes(direction)) {
+        throw new InvalidArgumentError(
+          `Invalid orderBy direction: ${direction}. Use "asc" or "desc".`
+        );
+      }
+      return (queryRef) => queryRef.orderBy(field, direction);
+    }
+    case "limit":
+    case "limitToLast":
+      if (!Number.isInteger(args[0]) || args[0] <= 0) {
+        throw new InvalidArgumentError(
+          `Invalid ${type} value: ${args[0]}. Must be a positive integer.`
+        );
+      }
+      return (queryRef) => queryRef[type](args[0]);
+    case "select":
+      args.forEach((field) => validateQueryField(field, "select"));
+      // `docId` is stored in the document data and is always needed to identify instances.
+      return (queryRef) => queryRef.select(...new Set(["docId", ...args]));
+    default:
+      if (CURSOR_TYPES.has(type)) {
+        throw new InvalidArgumentError(
+          `Cursor type ${type} cannot be used here.`
+        );
+      }
+      throw new InvalidArgumentError(
+        `Invalid query type: ${type}. Please use one of: ${QUERY_TYPES.join(
+          ", "
+        )}`
+      );
+  }
+}
+
+/**
+ * Validate query constraint tuples (including combinations of operators).
+ * @param {Array} items - Query constraint tuples.
+ */
+function validateQueryConstraints(items) {
+  if (!Array.isArray(items)) {
+    throw new InvalidArgumentError(`constraints must be an array.`);
+  }
+  const invalid = items.find((item) => !Array.isArray(item));
+  if (invalid !== undefined) {
+    throw new InvalidArgumentError(
+      `Invalid query constraint: ${invalid}. Must be an array.`
+    );
+  }
+  validateQueryOperators(items);
+}
+
+/**
+ * Apply query constraint tuples to a collection reference.
+ * - Accepts the types handled by `createQueryApplier` and cursor types.
+ * - ex) `[['or', ['where', 'status', '==', 'active'], ['where', 'priority', '>=', 3]], ['select', 'name']]`
+ * @param {Object} colRef - CollectionReference to query.
+ * @param {Array} items - Query constraint tuples. ex) `[['where', 'age', '>=', 18]]`
+ * @param {Object|null} [transaction=null] - Firestore transaction used to resolve cursors.
+ * @returns {Promise<Object>} Query reference.
+ */
+async function applyQueryConstraints(colRef, items, transaction = null) {
+  validateQueryConstraints(items);
+
+  let queryRef = colRef;
+  for (const item of items) {
+    if (Array.isArray(item) && CURSOR_TYPES.has(item[0])) {
+      queryRef = queryRef[item[0]](
+        await resolveCursor(colRef, item[1], transaction)
+      );
+    } else {
+      queryRef = createQueryApplier(item)(queryRef);
+    }
+  }
+
+  return queryRef;
+}
+
+/**
+ * Returns the effective `limit` or `limitToLast` tuple, or null if none.
+ * @param {Array} items - Query constraint tuples.
+ * @returns {Array|null} ex) `['limitToLast', 20]`
+ */
+function getQueryLimit(items) {
+  const limits = items.filter(([type]) =>
+    ["limit", "limitToLast"].includes(type)
+  );
+  return limits.length ? limits[limits.length - 1] : null;
+}
+
+/**
+ * Reset periods supported by Autonumber documents.
+ */
+const AUTONUMBER_RESETS = ["none", "yearly", "fiscalYear", "monthly", "daily"];
+
+/**
+ * Default settings of Autonumber documents.
+ */
+const AUTONUMBER_DEFAULTS = {
+  status: true,
+  current: 0,
+  length: 5,
+  step: 1,
+  prefix: "",
+  suffix: "",
+  reset: "none",
+  fiscalYearStartMonth: 4,
+  timeZone: "UTC",
+  period: null,
+};
+
+/**
+ * Returns the Autonumber document reference of the collection.
+ * @param {Firestore} firestore - Firestore instance the model is stored in.
+ * @param {string} collectionPath - Collection path of the model.
+ * @returns {DocumentReference}
+ */
+function getAutonumberDocRef(firestore, collectionPath) {
+  return firestore.collection("Autonumbers").doc(collectionPath);
+}
+
+/**
+ * Validate Autonumber settings.
+ * @param {Object} settings - Autonumber settings.
+ * @throws {Error} If any setting is invalid.
+ */
+function validateAutonumberSettings(settings) {
+  const { field, length, step, reset, fiscalYearStartMonth, current } =
+    settings;
+  if (field !== undefined && (typeof field !== "string" || !field)) {
+    throw new InvalidArgumentError(`Invalid Autonumber field: ${field}.`);
+  }
+  if (length !== undefined && (!Number.isInteger(length) || length <= 0)) {
+    throw new InvalidArgumentError(
+      `Invalid Autonumber length: ${length}. Must be a positive integer.`
+    );
+  }
+  if (step !== undefined && (!Number.isInteger(step) || step <= 0)) {
+    throw new InvalidArgumentError(
+      `Invalid Autonumber step: ${step}. Must be a positive integer.`
+    );
+  }
+  if (current !== undefined && (!Number.isInteger(current) || current < 0)) {
+    throw new InvalidArgumentError(
+      `Invalid Autonumber current: ${current}. Must be a non-negative integer.`
+    );
+  }
+  if (reset !== undefined && !AUTONUMBER_RESETS.includes(reset)) {
+    throw new InvalidArgumentError(
+      `Invalid Autonumber reset: ${reset}. Please use one of: ${AUTONUMBER_RESETS.join(
+        ", "
+      )}`
+    );
+  }
+  if (
+    fiscalYearStartMonth !== undefined &&
+    (!Number.isInteger(fiscalYearStartMonth) ||
+      fiscalYearStartMonth < 1 ||
+      fiscalYearStartMonth > 12)
+  ) {
+    throw new InvalidArgumentError(
+      `Invalid Autonumber fiscalYearStartMonth: ${fiscalYearStartMonth}. Must be 1-12.`
+    );
+  }
+}
+
+/**
+ * Returns date tokens for Autonumber templates in the given time zone.
+ * - `YYYY`, `YY`, `MM`, `DD` and `FY` (fiscal year).
+ * @param {Date} date - Date to format.
+ * @param {Object} settings - Autonumber settings (`timeZone`, `fiscalYearStartMonth`).
+ * @returns {Object<string, string>}
+ */
+function getAutonumberDateTokens(date, settings) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: settings.timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+  const year = Number(parts.year);
+  const month = Number(parts.month);
+  const fiscalYear = month >= settings.fiscalYearStartMonth ? year : year - 1;
+  return {
+    YYYY: String(year),
+    YY: String(year).slice(-2),
+    MM: parts.month,
+    DD: parts.day,
+    FY: String(fiscalYear),
+  };
+}
+
+/**
+ * Returns the reset period key of the date, or null if the counter never resets.
+ * - ex) `2026` (yearly / fiscalYear), `2026-10` (monthly), `2026-10-19` (daily)
+ * @param {Object} settings - Autonumber settings.
+ * @param {Date} date - Date to evaluate.
+ * @returns {string|null}
+ */
+function getAutonumberPeriod(settings, date) {
+  const { YYYY, MM, DD, FY } = getAutonumberDateTokens(date, settings);
+  switch (settings.reset) {
+    case "yearly":
+      return YYYY;
+    case "fiscalYear":
+      return FY;
+    case "monthly":
+      return `${YYYY}-${MM}`;
+    case "daily":
+      return `${YYYY}-${MM}-${DD}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Format an Autonumber code.
+ * - `prefix` and `suffix` may contain date tokens. ex) `INV-{YYYY}-` -> `INV-2026-`
+ * @param {Object} settings - Autonumber settings.
+ * @param {number} number - Number to format.
+ * @param {Date} date - Date used for date tokens.
+ * @returns {string}
+ */
+function formatAutonumber(settings, number, date) {
+  const tokens = getAutonumberDateTokens(date, settings);
+  const render = (template) =>
+    (template || "").replace(
+      /\{(YYYY|YY|MM|DD|FY)\}/g,
+      (_, key) => tokens[key]
+    );
+  return `${render(settings.prefix)}${String(number).padStart(
+    settings.length,
+    "0"
+  )}${render(settings.suffix)}`;
+}
+
+/**
+ * Calculate the next `count` Autonumber codes without writing anything.
+ * @param {Object} data - Autonumber document data.
+ * @param {Object} args
+ * @param {string} args.collectionPath - Collection path (used for error messages).
+ * @param {number} [args.count=1] - Number of codes.
+ * @param {Date} [args.date=new Date()] - Date used for reset periods and date tokens.
+ * @returns {{codes: Array<string>, current: number, period: string|null}}
+ * @throws {AutonumberDisabledError} If Autonumber is disabled.
+ * @throws {AutonumberExhaustedError} If no more codes fit the length.
+ */
+function planAutonumbers(
+  data,
+  { collectionPath, count = 1, date = new Date() }
+) {
+  const settings = { ...AUTONUMBER_DEFAULTS, ...data };
+  if (!settings.status) {
+    throw new AutonumberDisabledError(
+      `Autonumber is disabled. collection: ${collectionPath}`,
+      { collectionPath }
+    );
+  }
+
+  const period = getAutonumberPeriod(settings, date);
+  const base = period === (settings.period ?? null) ? settings.current : 0;
+  const numbers = Array.from(
+    { length: count },
+    (_, i) => base + settings.step * (i + 1)
+  );
+  const current = numbers[numbers.length - 1] ?? base;
+  const maxValue = Math.pow(10, settings.length) - 1;
+
+  if (current > maxValue) {
+    throw new AutonumberExhaustedError(
+      `The maximum value for Autonumber has been reached. collection: ${collectionPath}`,
+      { collectionPath, max: maxValue }
+    );
+  }
+
+  return {
+    codes: numbers.map((number) => formatAutonumber(settings, number, date)),
+    current,
+    period,
+  };
+}
+
+/**
+ * Reserve `count` consecutive Autonumbers for the given collection within a transaction.
+ * - Reads `Autonumbers/{collectionPath}` and returns the codes to be assigned.
+ * - If the document does not exist and `defaults` is given, the counter is initialized with it.
+ * - The counter document is not updated until the returned `commit` function is called.
+ * @param {Object} args
+ * @param {Object} args.transaction - Firestore transaction.
+ * @param {Firestore} args.firestore - Firestore instance the transaction runs on.
+ * @param {string} args.collectionPath - Collection path of the model.
+ * @param {number} [args.count=1] - Number of codes to reserve.
+ * @param {Object|null} [args.defaults=null] - Model-level default settings (`static autonumber`).
+ * @returns {Promise<{field: string, codes: Array<string>, commit: Function}>}
+ */
+async function allocateAutonumbers({
+  transaction,
+  firestore,
+  collectionPath,
+  count = 1,
+  defaults = null,
+}) {
+  const docRef = getAutonumberDocRef(firestore, collectionPath);
+
+  const docSnap = await transaction.get(docRef);
+  if (!docSnap.exists && !defaults) {
+    throw new NotFoundError(
+      `Could not find Autonumber document. collection: ${collectionPath}`,
+      { path: docRef.path }
+    );
+  }
+
+  const data = docSnap.exists
+    ? docSnap.data()
+    : { ...AUTONUMBER_DEFAULTS, ...defaults };
+  if (!data.field) {
+    throw new InvalidArgumentError(
+      `Autonumber field is required. collection: ${collectionPath}`,
+      { path: docRef.path }
+    );
+  }
+  const { codes, current, period } = planAutonumbers(data, {
+    collectionPath,
+    count,
+  });
+
+  return {
+    field: data.field,
+    codes,
+    commit: () =>
+      docSnap.exists
+        ? transaction.update(docRef, { current, period })
+        : transaction.set(docRef, { ...data, current, period }),
+  };
+}
+
+/**
+ * Maximum number of write operations committed in a single batch or transaction.
+ */
+const MAX_BATCH_WRITES = 500;
+
+/**
+ * Split an array into chunks of the given size.
+ * @param {Array} array - Array to split.
+ * @param {number} size - Chunk size.
+ * @returns {Array<Array>}
+ */
+function chunkArray(array, size) {
+  const chunks = [];
+  for (let i = 0; i < array.length; i += size) {
+    chunks.push(array.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Run async tasks with a limited number of concurrent executions.
+ * @param {Array<Function>} tasks - Functions returning promises.
+ * @param {number} [concurrency=1] - Maximum number of tasks run at the same time.
+ * @returns {Promise<void>}
+ */
+async function runWithConcurrency(tasks, concurrency = 1) {
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      const task = tasks[next++];
+      await task();
+    }
+  };
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(concurrency, tasks.length)) },
+    worker
+  );
+  await Promise.all(workers);
+}
+
+/**
+ * Run `prepare` for each item and commit the prepared items in chunks with `commitChunk`.
+ * - Items failing `prepare` are reported individually and excluded from commits.
+ * - `commitChunk` may resolve to a Map from instances it left out of the commit to the
+ *   reason (Error); those items are reported as failed and the rest as succeeded.
+ * - If a chunk fails to commit, every item in that chunk is reported as failed.
+ * @param {Array<Object>} instances - Model instances to process.
+ * @param {Object} args
+ * @param {Function} args.prepare - Async function called with each instance before commit.
+ * @param {Function} args.commitChunk - Async function called with an array of instances,
+ *   resolving to a Map of rejected instances or nothing.
+ * @param {number} args.chunkSize - Number of items committed together.
+ * @param {number} args.concurrency - Number of chunks committed at the same time.
+ * @returns {Promise<{succeeded: Array<Object>, failed: Array<Object>}>}
+ */
+async function processBulk(
+  instances,
+  { prepare, commitChunk, chunkSize, concurrency }
+) {
+  const succeeded = [];
+  const failed = [];
+  const prepared = [];
+
+  for (const [index, instance] of instances.entries()) {
+    try {
+      await prepare(instance);
+      prepared.push({ index, instance });
+    } catch (error) {
+      failed.push({ index, docId: instance.docId || null, error });
+    }
+  }
+
+  const tasks = chunkArray(prepared, chunkSize).map((chunk) => async () => {
+    try {
+      const rejected =
+        (await commitChunk(chunk.map(({ instance }) => instance))) || new Map();
+      chunk.forEach(({ index, instance }) => {
+        if (rejected.has(instance)) {
+          failed.push({
+            index,
+            docId: instance.docId || null,
+            error: rejected.get(instance),
+          });
+        } else {
+          succeeded.push({ index, docId: instance.docId });
+        }
+      });
+    } catch (error) {
+      chunk.forEach(({ index, instance }) =>
+        failed.push({ index, docId: instance.docId || null, error })
+      );
+    }
+  });
+
+  await runWithConcurrency(tasks, concurrency);
+
+  succeeded.sort((a, b) => a.index - b.index);
+  failed.sort((a, b) => a.index - b.index);
+  return { succeeded, failed };
+}
+
+/**
+ * Validate common bulk operation arguments and return the effective chunk size.
+ * @param {Object} args
+ * @param {Array} args.docs - Items to process.
+ * @param {number} args.chunkSize - Requested chunk size.
+ * @param {number} args.concurrency - Requested concurrency.
+ * @param {number} [args.writesPerItem=1] - Number of write operations per item.
+ * @param {number} [args.extraWrites=0] - Number of additional write operations per chunk.
+ * @returns {number} Chunk size that fits in a single batch.
+ */
+function getBulkChunkSize({
+  docs,
+  chunkSize,
+  concurrency,
+  writesPerItem = 1,
+  extraWrites = 0,
+}) {
+  if (!Array.isArray(docs)) {
+    throw new InvalidArgumentError(`docs must be an array.`);
+  }
+
+  if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+    throw new InvalidArgumentError(
+      `Invalid chunkSize: ${chunkSize}. Must be a positive integer.`
+    );
+  }
+
+  if (!Number.isInteger(concurrency) || concurrency <= 0) {
+    throw new InvalidArgumentError(
+      `Invalid concurrency: ${concurrency}. Must be a positive integer.`
+    );
+  }
+
+  const maxItems = Math.floor((MAX_BATCH_WRITES - extraWrites) / writesPerItem);
+  return Math.min(chunkSize, maxItems);
+}
+
+/**
+ * Actor recorded when a write doesn't specify one (default of `options.defaultActor`).
+ */
+const DEFAULT_ACTOR = "cloud functions";
+
+/**
+ * Milliseconds idempotency keys are kept (default of `options.idempotencyTTL`, 7 days).
+ */
+const DEFAULT_IDEMPOTENCY_TTL = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Default actor resolver.
+ * - Accepts a uid string, an `auth` object (`{ uid, token }`) or a request object (`{ auth }`)
+ *   from onCall / HTTP functions.
+ * @param {string|Object} actor - Actor to resolve.
+ * @returns {string|null} Resolved uid, or null if it cannot be resolved.
+ */
+function defaultActorResolver(actor) {
+  if (typeof actor === "string") return actor;
+  return actor?.uid || actor?.auth?.uid || null;
+}
+
+/**
+ * Resolve the uid recorded on written documents.
+ * - Falls back to the adapter's `defaultActor` if `actor` is not specified.
+ * @param {string|Object|null} [actor=null] - Actor given by the caller.
+ * @param {ServerAdapter} adapter - Adapter whose actor settings are used.
+ * @returns {string} Resolved uid.
+ * @throws {Error} If the actor cannot be resolved.
+ */
+function resolveActor(actor, adapter) {
+  const uid = adapter.actorResolver(actor ?? adapter.defaultActor);
+  if (typeof uid !== "string" || !uid) {
+    throw new InvalidArgumentError(
+      `Could not resolve actor. Specify a uid or an authenticated request.`
+    );
+  }
+  return uid;
+}
+
+/**
+ * Firestore data of each instance as of the last fetch or write.
+ * - Used to detect changed fields for partial updates.
+ */
+const fetchedStates = new WeakMap();
+
+/**
+ * Fields that are always written by `update` and excluded from change detection.
+ */
+const METADATA_FIELDS = ["updatedAt", "uid"];
+
+/**
+ * Field stamped with a unique ID on every document write made by an adapter created with
+ * `trackWrites`.
+ * - Trigger factories compare it between `before` and `after` to recognize the adapter's own writes.
+ */
+const WRITE_ID_FIELD = "_adapterWriteId";
+
+/**
+ * Returns the write ID field to add to data written for the model, or an empty object if
+ * the model's adapter does not track its writes.
+ * @param {Function} modelClass - Model class.
+ * @returns {Object} ex) `{ _adapterWriteId: "..." }`
+ */
+function getWriteStamp(modelClass) {
+  return getModelAdapter(modelClass).trackWrites
+    ? { [WRITE_ID_FIELD]: randomUUID() }
+    : {};
+}
+
+/**
+ * FieldValue operations accepted by `update({ fieldValues })`.
+ */
+const FIELD_VALUE_OPERATIONS = {
+  increment: (n) => FieldValue.increment(n),
+  arrayUnion: (...elements) => FieldValue.arrayUnion(...elements),
+  arrayRemove: (...elements) => FieldValue.arrayRemove(...elements),
+  serverTimestamp: () => FieldValue.serverTimestamp(),
+  delete: () => FieldValue.delete(),
+};
+
+/**
+ * Convert a model instance to Firestore data with the model's converter.
+ * @param {Object} instance - Model instance.
+ * @returns {Object} Firestore data.
+ */
+function toFirestoreData(instance) {
+  return instance.constructor.converter().toFirestore(instance);
+}
+
+/**
+ * Deep-clone arrays and plain objects. Other values (Date, Timestamp, GeoPoint, ...) are
+ * cloned if mutable, otherwise returned as is.
+ * @param {*} value
+ * @returns {*}
+ */
+function cloneValue(value) {
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, cloneValue(v)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Deep-compare two Firestore values.
+ * - Dates and Timestamps are compared by milliseconds.
+ * - Uses `isEqual` of Firestore types (GeoPoint, DocumentReference, ...) if available.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isEqualValue(a, b) {
+  if (a === b) return true;
+  const aMillis = a instanceof Date || a?.toMillis ? toMillis(a) : null;
+  const bMillis = b instanceof Date || b?.toMillis ? toMillis(b) : null;
+  if (aMillis !== null || bMillis !== null) return aMillis === bMillis;
+  if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+  if (typeof a.isEqual === "function") return a.isEqual(b);
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return (
+      Array.isArray(a) &&
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((v, i) => isEqualValue(v, b[i]))
+    );
+  }
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every((key) => isEqualValue(a[key], b[key]));
+}
+
+/**
+ * Returns the value at the given dot-separated path.
+ * @param {Object} obj
+ * @param {string} path - ex) `address.city`
+ * @returns {*}
+ */
+function getByPath(obj, path) {
+  return path.split(".").reduce((acc, key) => acc?.[key], obj);
+}
+
+/**
+ * Sets the value at the given dot-separated path, creating intermediate objects.
+ * @param {Object} obj
+ * @param {string} path - ex) `address.city`
+ * @param {*} value
+ */
+function setByPath(obj, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((acc, key) => {
+    if (!acc[key] || typeof acc[key] !== "object") acc[key] = {};
+    return acc[key];
+  }, obj);
+  parent[last] = value;
+}
+
+/**
+ * Remember the current Firestore data of the instance for change detection.
+ * @param {Object} instance - Model instance.
+ */
+function rememberState(instance) {
+  if (!instance || typeof instance !== "object") return;
+  fetchedStates.set(instance, cloneValue(toFirestoreData(instance)));
+}
+
+/**
+ * Returns top-level fields whose values differ from the remembered state.
+ * @param {Object} instance - Model instance.
+ * @param {Object} data - Current Firestore data of the instance.
+ * @returns {Array<string>} Changed field names.
+ * @throws {PreconditionError} If no state is remembered for the instance.
+ */
+function getChangedFields(instance, data) {
+  const state = fetchedStates.get(instance);
+  if (!state) {
+    throw new PreconditionError(
+      `No fetched state to compare. Call fetch() first or specify fields.`
+    );
+  }
+  const keys = new Set([...Object.keys(data), ...Object.keys(state)]);
+  return [...keys].filter(
+    (key) =>
+      !METADATA_FIELDS.includes(key) && !isEqualValue(data[key], state[key])
+  );
+}
+
+/**
+ * Convert a FieldValue tuple to a FieldValue.
+ * - ex) `['increment', 1]`, `['arrayUnion', 'a', 'b']`, `['serverTimestamp']`
+ * - FieldValue instances are returned as is.
+ * @param {string} field - Field name (used for error messages).
+ * @param {Array|FieldValue} value - FieldValue tuple or FieldValue.
+ * @returns {FieldValue}
+ */
+function toFieldValue(field, value) {
+  if (value instanceof FieldValue) return value;
+  const [type, ...args] = Array.isArray(value) ? value : [];
+  const operation = FIELD_VALUE_OPERATIONS[type];
+  if (!operation) {
+    throw new InvalidArgumentError(
+      `Invalid FieldValue operation for ${field}: ${type}. Please use one of: ${Object.keys(
+        FIELD_VALUE_OPERATIONS
+      ).join(", ")}`
+    );
+  }
+  return operation(...args);
+}
+
+/**
+ * Version and updatedAt of each instance as of the last fetch or write.
+ * - Used for optimistic locking.
+ */
+const lockStates = new WeakMap();
+
+/**
+ * Returns the optimistic lock mode of the model.
+ * - `static optimisticLock` of the model may be `false`, `true` (same as "version"),
+ *   "version" (compare an incrementing version field) or "updatedAt" (compare `updatedAt`).
+ * - The version field name is `static versionField` of the model (default "version").
+ * @param {Function} modelClass - Model class.
+ * @param {boolean|string|undefined} [override] - Lock mode specified per call.
+ * @returns {string|null} "version", "updatedAt" or null if disabled.
+ */
+function getLockMode(modelClass, override) {
+  const mode = override ?? modelClass.optimisticLock ?? false;
+  if (!mode) return null;
+  if (mode === true) return "version";
+  if (!["version", "updatedAt"].includes(mode)) {
+    throw new InvalidArgumentError(
+      `Invalid optimisticLock: ${mode}. Use true, "version" or "updatedAt".`
+    );
+  }
+  return mode;
+}
+
+/**
+ * Returns the version field name of the model.
+ * @param {Function} modelClass - Model class.
+ * @returns {string}
+ */
+function getVersionField(modelClass) {
+  return modelClass.versionField || "version";
+}
+
+/**
+ * Remember the version and updatedAt of a fetched document snapshot.
+ * @param {Object} instance - Model instance loaded from the snapshot.
+ * @param {Object} docSnap - DocumentSnapshot.
+ */
+function rememberLockState(instance, docSnap) {
+  if (!instance || typeof instance !== "object") return;
+  lockStates.set(instance, {
+    version: docSnap.get(getVersionField(instance.constructor)) ?? 0,
+    updatedAt: docSnap.get("updatedAt") ?? null,
+  });
+}
+
+/**
+ * Convert a Timestamp or Date to milliseconds.
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === "function") return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+/**
+ * Throws `ConflictError` if the stored document differs from the state captured at fetch time.
+ * @param {Object} instance - Model instance.
+ * @param {Object} docSnap - DocumentSnapshot read in the transaction.
+ * @param {string} mode - "version" or "updatedAt".
+ * @throws {ConflictError}
+ */
+function assertNotModified(instance, docSnap, mode) {
+  const lockState = lockStates.get(instance);
+  if (!lockState) {
+    throw new PreconditionError(
+      `Optimistic lock requires a fetched instance. Call fetch() first.`
+    );
+  }
+
+  if (!docSnap.exists) {
+    throw new ConflictError(
+      `The document has been deleted since it was fetched. docId: ${instance.docId}`,
+      { docId: instance.docId, expected: lockState[mode], actual: null }
+    );
+  }
+
+  const expected = lockState[mode];
+  const actual =
+    mode === "version"
+      ? docSnap.get(getVersionField(instance.constructor)) ?? 0
+      : docSnap.get("updatedAt") ?? null;
+
+  const isSame =
+    mode === "version"
+      ? expected === actual
+      : toMillis(expected) === toMillis(actual);
+  if (!isSame) {
+    throw new ConflictError(
+      `The document has been modified since it was fetched. docId: ${instance.docId}`,
+      { docId: instance.docId, expected, actual }
+    );
+  }
+}
+
+/**
+ * Returns references used by the document counter of the model's collection.
+ * @param {Firestore} firestore - Firestore instance the model is stored in.
+ * @param {Function} modelClass - Model class.
+ * @param {string|null} prefix - Path prefix.
+ * @returns {{colName: string, counterRef: DocumentReference, shardsRef: CollectionReference, shards: number}}
+ */
+function getCounterRefs(firestore, modelClass, prefix) {
+  // Get collection path defined by class.
+  // ex) `customers` or `companies/{companyId}/customers`
+  const collectionPath = modelClass.getCollectionPath(prefix);
+
+  // Divide collection path into segments.
+  // ex) `["companies", "{companyId}", "customers"]`
+  const segments = collectionPath.split("/");
+
+  // Get collection name (Last segment is collection name)
+  const colName = segments.pop();
+
+  // Determine effective path for counter-document.
+  const counterPath = segments.length
+    ? `${segments.join("/")}/meta/docCounter`
+    : "meta/docCounter";
+  const counterRef = firestore.doc(counterPath);
+
+  return {
+    colName,
+    counterRef,
+    shardsRef: counterRef.collection("shards"),
+    shards: Math.max(1, modelClass.counterShards || 1),
+  };
+}
+
+/**
+ * On-delete policies accepted by `hasMany` items.
+ * - `restrict`: Deletion is refused while dependents exist (default).
+ * - `cascade`: Dependents are deleted.
+ * - `archive-cascade`: Dependents are moved to their `_archive` collections.
+ * - `set-null`: The reference field of dependents is cleared
+ *   (`null`, or the docId is removed from the array for `array-contains`).
+ */
+const DELETE_POLICIES = ["restrict", "cascade", "archive-cascade", "set-null"];
+
+/**
+ * Returns the on-delete policy of a `hasMany` item.
+ * @param {Object} item - `hasMany` item.
+ * @returns {string}
+ * @throws {Error} If the policy is invalid.
+ */
+function getDeletePolicy(item) {
+  const policy = item.onDelete || "restrict";
+  if (!DELETE_POLICIES.includes(policy)) {
+    throw new InvalidArgumentError(
+      `Invalid onDelete policy: ${policy}. Please use one of: ${DELETE_POLICIES.join(
+        ", "
+      )}`
+    );
+  }
+  return policy;
+}
+
+/**
+ * Returns a query for documents that depend on the given docId through a `hasMany` item.
+ * - For collections, the prefix is applied to the collection path.
+ * @param {Firestore} firestore - Firestore instance the parent is stored in.
+ * @param {Object} item - `hasMany` item.
+ * @param {string} docId - Parent document ID.
+ * @param {string|null} prefix - Path prefix.
+ * @returns {Query}
+ */
+function getDependentsQuery(firestore, item, docId, prefix) {
+  const collectionPath =
+    item.type === "collection" && prefix
+      ? `${prefix}/${item.collection}`.replace(/^\/|\/$/g, "")
+      : item.collection;
+
+  const colRef =
+    item.type === "collection"
+      ? firestore.collection(collectionPath)
+      : firestore.collectionGroup(item.collection);
+
+  return colRef.where(toFilter(["where", item.field, item.condition, docId]));
+}
+
+/**
+ * Maximum number of dependent writes `delete` applies in the transaction deleting the parent.
+ * - The rest of the write limit is left for the parent's own writes and `callBack`.
+ */
+const MAX_DEPENDENT_WRITES = 400;
+
+/**
+ * Returns the number of writes a dependent needs under an on-delete policy.
+ * @param {string} policy - On-delete policy.
+ * @returns {number}
+ */
+function getDependentWrites(policy) {
+  return policy === "archive-cascade" ? 2 : 1;
+}
+
+/**
+ * Write the change an on-delete policy requires to a dependent.
+ * - Dependents are written directly: the counters, history, hooks and `hasMany` of their
+ *   own model are not applied.
+ * @param {Object} writer - Transaction or WriteBatch.
+ * @param {Object} args
+ * @param {Firestore} args.firestore - Firestore instance the dependent is stored in.
+ * @param {Function} args.modelClass - Model class of the parent.
+ * @param {Object} args.item - `hasMany` item.
+ * @param {string} args.policy - On-delete policy of the item.
+ * @param {Object} args.docSnap - DocumentSnapshot of the dependent.
+ * @param {string} args.parentId - Document ID of the parent being deleted.
+ * @param {string} args.uid - Acting user recorded on archived dependents.
+ * @param {string|null} [args.reason=null] - Reason recorded on archived dependents.
+ */
+function writeDeletePolicy(
+  writer,
+  { firestore, modelClass, item, policy, docSnap, parentId, uid, reason = null }
+) {
+  switch (policy) {
+    case "cascade":
+      writer.delete(docSnap.ref);
+      break;
+    case "archive-cascade":
+      writer.set(
+        firestore
+          .collection(`${docSnap.ref.parent.path}_archive`)
+          .doc(docSnap.id),
+        toArchiveData(docSnap.data(), { modelClass, uid, reason })
+      );
+      writer.delete(docSnap.ref);
+      break;
+    case "set-null":
+      writer.update(docSnap.ref, {
+        [item.field]:
+          item.condition === "array-contains"
+            ? FieldValue.arrayRemove(parentId)
+            : null,
+        ...getWriteStamp(modelClass),
+      });
+      break;
+  }
+}
+
+/**
+ * Find the dependents of the instance for `cascade`, `archive-cascade` and `set-null` items.
+ * - Used by `delete` to apply the policies in the transaction that deletes the instance.
+ * @param {Object} instance - Model instance being deleted.
+ * @param {Object} args
+ * @param {Firestore} args.firestore - Firestore instance the instance is stored in.
+ * @param {string|null} args.prefix - Path prefix.
+ * @param {number} [args.maxWrites=MAX_DEPENDENT_WRITES] - Maximum number of writes the
+ *   dependents may need.
+ * @returns {Promise<Array<{item: Object, policy: string, refs: Array<DocumentReference>}>|null>}
+ *   Dependents per `hasMany` item, or null if they need more than `maxWrites` writes.
+ */
+async function findDependents(
+  instance,
+  { firestore, prefix, maxWrites = MAX_DEPENDENT_WRITES }
+) {
+  const groups = [];
+  let writes = 0;
+
+  for (const item of instance.constructor.hasMany || []) {
+    const policy = getDeletePolicy(item);
+    if (policy === "restrict") continue;
+
+    const writesPerDoc = getDependentWrites(policy);
+    const remaining = Math.floor((maxWrites - writes) / writesPerDoc);
+    const snapshot = await getDependentsQuery(
+      firestore,
+      item,
+      instance.docId,
+      prefix
+    )
+      .limit(remaining + 1)
+      .get();
+    if (snapshot.size > remaining) return null;
+
+    writes += snapshot.size * writesPerDoc;
+    groups.push({ item, policy, refs: snapshot.docs.map((doc) => doc.ref) });
+  }
+
+  return groups;
+}
+
+/**
+ * Apply `cascade`, `archive-cascade` and `set-null` policies of `hasMany` items to the
+ * dependents of the instance.
+ * - Dependents are processed page by page with batched writes, so any number of
+ *   dependents can be handled. Each batch is committed independently, so call this only
+ *   after the instance has been deleted.
+ * @param {Object} instance - Model instance being deleted.
+ * @param {Object} args
+ * @param {Firestore} args.firestore - Firestore instance the instance is stored in.
+ * @param {string|null} args.prefix - Path prefix.
+ * @param {string} args.uid - Acting user recorded on archived dependents.
+ * @param {string|null} [args.reason=null] - Reason recorded on archived dependents.
+ * @returns {Promise<Array<{collection: string, type: string, onDelete: string, count: number}>>}
+ *   Number of dependents touched per `hasMany` item.
+ */
+async function applyDeletePolicies(
+  instance,
+  { firestore, prefix, uid, reason = null }
+) {
+  const report = [];
+
+  for (const item of instance.constructor.hasMany || []) {
+    const policy = getDeletePolicy(item);
+    if (policy === "restrict") continue;
+
+    const pageSize = Math.floor(MAX_BATCH_WRITES / getDependentWrites(policy));
+    const baseQuery = getDependentsQuery(
+      firestore,
+      item,
+      instance.docId,
+      prefix
+    );
+    let cursor = null;
+    let count = 0;
+
+    while (true) {
+      const queryRef = cursor ? baseQuery.startAfter(cursor) : baseQuery;
+      const snapshot = await queryRef.limit(pageSize).get();
+      if (snapshot.empty) break;
+
+      const batch = firestore.batch();
+      snapshot.docs.forEach((docSnap) =>
+        writeDeletePolicy(batch, {
+          firestore,
+          modelClass: instance.constructor,
+          item,
+          policy,
+          docSnap,
+          parentId: instance.docId,
+          uid,
+          reason,
+        })
+      );
+      await batch.commit();
+
+      count += snapshot.size;
+      if (snapshot.size < pageSize) break;
+      cursor = snapshot.docs[snapshot.docs.length - 1];
+    }
+
+    report.push({
+      collection: item.collection,
+      type: item.type,
+      onDelete: policy,
+      count,
+    });
+  }
+
+  return report;
+}
+
+/**
+ * Metadata fields stamped on archived documents.
+ */
+const ARCHIVE_FIELDS = ["deletedAt", "deletedBy", "deleteReason"];
+
+/**
+ * Returns data to be written to an archive collection.
+ * - `updatedAt` and `uid` keep the last update of the document; the deletion is recorded
+ *   in `deletedAt` and `deletedBy`.
+ * @param {Object} data - Data of the document being deleted.
+ * @param {Object} args
+ * @param {Function} args.modelClass - Model class whose adapter writes the archive.
+ * @param {string} args.uid - Acting user.
+ * @param {string|null} [args.reason=null] - Reason for the deletion.
+ * @returns {Object}
+ */
+function toArchiveData(data, { modelClass, uid, reason = null }) {
+  return {
+    ...data,
+    deletedAt: new Date(),
+    deletedBy: uid,
+    deleteReason: reason,
+    ...getWriteStamp(modelClass),
+  };
+}
+
+/**
+ * Returns archived data without archive metadata.
+ * @param {Object} data - Data of the archived document.
+ * @returns {Object}
+ */
+function fromArchiveData(data) {
+  const result = { ...data };
+  ARCHIVE_FIELDS.forEach((field) => delete result[field]);
+  return result;
+}
+
+/**
+ * Hydrate an archived document snapshot as a model instance with archive metadata.
+ * - `deletedAt` is converted to a Date.
+ * @param {Object} docSnap - DocumentSnapshot with the model's converter.
+ * @returns {Object} Model instance with `deletedAt`, `deletedBy` and `deleteReason`.
+ */
+function toArchivedInstance(docSnap) {
+  const instance = docSnap.data();
+  const deletedAt = docSnap.get("deletedAt");
+  return Object.assign(instance, {
+    deletedAt: deletedAt?.toDate ? deletedAt.toDate() : deletedAt ?? null,
+    deletedBy: docSnap.get("deletedBy") ?? null,
+    deleteReason: docSnap.get("deleteReason") ?? null,
+  });
+}
+
+/**
+ * Run a query built from constraint tuples and hydrate the results.
+ * @param {Object} args
+ * @param {Object} args.colRef - CollectionReference to query.
+ * @param {Array} args.constraints - Query constraints.
+ * @param {Array} args.options - Additional query options.
+ * @param {Object|null} args.transaction - Firestore transaction (optional).
+ * @param {boolean} args.withCursor - Whether to return the next-page cursor.
+ * @param {Function} args.hydrate - Function converting a DocumentSnapshot to a result item.
+ * @returns {Promise<Array<Object>|{docs: Array<Object>, nextCursor: string|null}>}
+ */
+async function queryCollection({
+  colRef,
+  constraints,
+  options,
+  transaction,
+  withCursor,
+  hydrate,
+}) {
+  if (!Array.isArray(constraints)) {
+    throw new InvalidArgumentError(`constraints must be an array.`);
+  }
+
+  if (!Array.isArray(options)) {
+    throw new InvalidArgumentError(`options must be an array.`);
+  }
+
+  const queryRef = await applyQueryConstraints(
+    colRef,
+    [...constraints, ...options],
+    transaction
+  );
+
+  const snapshot = transaction
+    ? await transaction.get(queryRef)
+    : await queryRef.get();
+
+  const docs = snapshot.docs.map(hydrate);
+  if (!withCursor) return docs;
+
+  // A full page means there may be more documents beyond it. With `limitToLast` the page is
+  // the tail of the results, so the next page lies before its first document.
+  const limitItem = getQueryLimit([...constraints, ...options]);
+  const isFullPage = limitItem !== null && snapshot.size === limitItem[1];
+  const edgeDoc =
+    limitItem?.[0] === "limitToLast"
+      ? snapshot.docs[0]
+      : snapshot.docs[snapshot.docs.length - 1];
+  return {
+    docs,
+    nextCursor: isFullPage && edgeDoc ? edgeDoc.id : null,
+  };
+}
+
+/**
+ * Returns the history mode of the model.
+ * - `static history` of the model may be `false`, `true` (same as "subcollection"),
+ *   "subcollection" (`{collectionPath}/{docId}/history`) or
+ *   "collection" (`{collectionPath}_history` with a `docId` field).
+ * @param {Function} modelClass - Model class.
+ * @returns {string|null} "subcollection", "collection" or null if disabled.
+ */
+function getHistoryMode(modelClass) {
+  const mode = modelClass.history ?? false;
+  if (!mode) return null;
+  if (mode === true) return "subcollection";
+  if (!["subcollection", "collection"].includes(mode)) {
+    throw new InvalidArgumentError(
+      `Invalid history: ${mode}. Use true, "subcollection" or "collection".`
+    );
+  }
+  return mode;
+}
+
+/**
+ * Returns the collection reference where history entries of the document are stored.
+ * @param {Firestore} firestore - Firestore instance the model is stored in.
+ * @param {string} mode - "subcollection" or "collection".
+ * @param {string} collectionPath - Collection path of the model.
+ * @param {string} docId - Document ID.
+ * @returns {CollectionReference}
+ */
+function getHistoryColRef(firestore, mode, collectionPath, docId) {
+  return mode === "subcollection"
+    ? firestore.collection(`${collectionPath}/${docId}/history`)
+    : firestore.collection(`${collectionPath}_history`);
+}
+
+/**
+ * Returns the fields maintained by the adapter, excluded when comparing document versions.
+ * @param {Function} modelClass - Model class.
+ * @returns {Array<string>}
+ */
+function getDiffIgnoredFields(modelClass) {
+  return [
+    ...METADATA_FIELDS,
+    getVersionField(modelClass),
+    TOKEN_MAP_FIELD,
+    GEOHASH_FIELD,
+    WRITE_ID_FIELD,
+  ];
+}
+
+/**
+ * Returns the field-level differences between two versions of document data.
+ * - Only top-level fields are compared. Missing values are recorded as null.
+ * @param {Object|null} before - Data before the write (null if the document did not exist).
+ * @param {Object|null} after - Data after the write (null if the document was deleted).
+ * @param {Array<string>} [ignoreFields=[]] - Fields excluded from the comparison.
+ * @returns {Object<string, {before: *, after: *}>}
+ */
+function diffData(before, after, ignoreFields = []) {
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  const changes = {};
+  for (const key of keys) {
+    if (ignoreFields.includes(key)) continue;
+    const beforeValue = before?.[key];
+    const afterValue = after?.[key];
+    if (isEqualValue(beforeValue, afterValue)) continue;
+    changes[key] = { before: beforeValue ?? null, after: afterValue ?? null };
+  }
+  return changes;
+}
+
+/**
+ * Simulate a FieldValue tuple of `update({ fieldValues })` on the current value.
+ * - Used to record the value after the write in history entries.
+ * - Values of FieldValue instances cannot be simulated and are recorded as null.
+ * @param {*} current - Current value.
+ * @param {Array|FieldValue} value - FieldValue tuple or FieldValue.
+ * @returns {*} Value after the operation (undefined if the field is deleted).
+ */
+function simulateFieldValue(current, value) {
+  if (!Array.isArray(value)) return null;
+  const [type, ...args] = value;
+  switch (type) {
+    case "increment":
+      return (typeof current === "number" ? current : 0) + args[0];
+    case "arrayUnion": {
+      const array = Array.isArray(current) ? [...current] : [];
+      args.forEach((arg) => {
+        if (!array.some((v) => isEqualValue(v, arg))) array.push(arg);
+      });
+      return array;
+    }
+    case "arrayRemove":
+      return (Array.isArray(current) ? current : []).filter(
+        (v) => !args.some((arg) => isEqualValue(v, arg))
+      );
+    case "serverTimestamp":
+      return new Date();
+    case "delete":
+      return undefined;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Write a history entry with the writer (transaction or batch) if history is enabled.
+ * @param {Object} writer - Firestore transaction or batch.
+ * @param {Object} args
+ * @param {Firestore} args.firestore - Firestore instance the writer belongs to.
+ * @param {Function} args.modelClass - Model class.
+ * @param {string} args.collectionPath - Collection path of the model.
+ * @param {string} args.docId - Document ID.
+ * @param {string} args.operation - "create", "update", "delete" or "restore".
+ * @param {string} args.uid - Acting user.
+ * @param {Object|null} args.before - Data before the write.
+ * @param {Object|null} args.after - Data after the write.
+ */
+function writeHistory(
+  writer,
+  {
+    firestore,
+    modelClass,
+    collectionPath,
+    docId,
+    operation,
+    uid,
+    before,
+    after,
+  }
+) {
+  const mode = getHistoryMode(modelClass);
+  if (!mode) return;
+
+  const historyRef = getHistoryColRef(
+    firestore,
+    mode,
+    collectionPath,
+    docId
+  ).doc();
+  writer.set(historyRef, {
+    docId,
+    operation,
+    actor: uid,
+    timestamp: new Date(),
+    changes: diffData(before, after, getDiffIgnoredFields(modelClass)),
+  });
+}
+
+/**
+ * Convert Timestamps in the data to Dates, recursively.
+ * @param {*} value
+ * @returns {*}
+ */
+function toDatesDeep(value) {
+  if (Array.isArray(value)) return value.map(toDatesDeep);
+  if (value && typeof value.toDate === "function") return value.toDate();
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, toDatesDeep(v)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Field where search tokens are stored.
+ */
+const TOKEN_MAP_FIELD = "tokenMap";
+
+/**
+ * Default settings of `static tokenMapOptions`.
+ * - `ngram`: Token lengths generated from searchable fields.
+ * - `width`: Fold full-width / half-width characters (NFKC).
+ * - `kana`: Fold katakana to hiragana.
+ * - `case`: Fold upper case to lower case.
+ */
+const TOKEN_MAP_DEFAULTS = {
+  ngram: [1, 2],
+  width: true,
+  kana: true,
+  case: true,
+};
+
+/**
+ * Characters that can't be used in tokens (surrogate pairs such as emoji,
+ * whitespace and characters with a special meaning in field paths).
+ */
+const TOKEN_EXCLUDED_CHARS = /[\uD800-\uDBFF]|[\uDC00-\uDFFF]|[~*[\]/.`]|\s+/g;
+
+/**
+ * Returns the token settings of the model.
+ * @param {Function} modelClass - Model class.
+ * @returns {{fields: Array<string>, ngram: Array<number>, width: boolean, kana: boolean, case: boolean}}
+ */
+function getTokenMapSettings(modelClass) {
+  const settings = { ...TOKEN_MAP_DEFAULTS, ...modelClass.tokenMapOptions };
+  const ngram = [].concat(settings.ngram);
+  if (ngram.length === 0 || !ngram.every((n) => Number.isInteger(n) && n > 0)) {
+    throw new InvalidArgumentError(
+      `Invalid tokenMapOptions.ngram: ${settings.ngram}. Must be positive integers.`
+    );
+  }
+  const fields = modelClass.tokenFields || [];
+  if (!Array.isArray(fields)) {
+    throw new InvalidArgumentError(`tokenFields must be an array.`);
+  }
+  return {
+    ...settings,
+    fields,
+    ngram: [...new Set(ngram)].sort((a, b) => a - b),
+  };
+}
+
+/**
+ * Normalize text for tokenization according to the settings.
+ * @param {string} text
+ * @param {Object} settings - Token settings.
+ * @returns {string}
+ */
+function normalizeTokenText(text, settings) {
+  let result = String(text);
+  if (settings.width) result = result.normalize("NFKC");
+  if (settings.kana) {
+    result = result.replace(/[\u30A1-\u30F6]/g, (char) =>
+      String.fromCharCode(char.charCodeAt(0) - 0x60)
+    );
+  }
+  if (settings.case) result = result.toLowerCase();
+  return result.replace(TOKEN_EXCLUDED_CHARS, "");
+}
+
+/**
+ * Returns the n-grams of the text.
+ * @param {string} text - Normalized text.
+ * @param {number} n - Token length.
+ * @returns {Array<string>}
+ */
+function getNgrams(text, n) {
+  const chars = [...text];
+  const tokens = [];
+  for (let i = 0; i + n <= chars.length; i++) {
+    tokens.push(chars.slice(i, i + n).join(""));
+  }
+  return tokens;
+}
+
+/**
+ * Generate the `tokenMap` from the searchable fields of the data.
+ * - String and number values are tokenized, as are the elements of arrays.
+ * @param {Object} data - Document data.
+ * @param {Object} settings - Token settings.
+ * @returns {Object<string, boolean>} ex) `{ "や": true, "ま": true, "やま": true }`
+ */
+function generateTokenMap(data, settings) {
+  const tokenMap = {};
+  for (const field of settings.fields) {
+    const values = [].concat(getByPath(data, field) ?? []);
+    for (const value of values) {
+      if (!["string", "number"].includes(typeof value)) continue;
+      const text = normalizeTokenText(value, settings);
+      for (const n of settings.ngram) {
+        getNgrams(text, n).forEach((token) => (tokenMap[token] = true));
+      }
+    }
+  }
+  return tokenMap;
+}
+
+/**
+ * Returns `where` tuples matching documents whose `tokenMap` contains every term of the search string.
+ * - Terms are separated by whitespace. Each term uses the n-grams of the longest configured
+ *   length that fits in the term.
+ * @param {string} search - Search string.
+ * @param {Object} settings - Token settings.
+ * @returns {Array<Array>} ex) `[['where', 'tokenMap.やま', '==', true]]`
+ */
+function getSearchConstraints(search, settings) {
+  if (typeof search !== "string" || search.trim().length === 0) {
+    throw new InvalidArgumentError(
+      "Search string (constraints) cannot be empty."
+    );
+  }
+
+  const tokens = new Set();
+  for (const term of search.trim().split(/\s+/)) {
+    const text = normalizeTokenText(term, settings);
+    const length = [...text].length;
+    if (length === 0) continue;
+    const n = [...settings.ngram].reverse().find((size) => size <= length);
+    if (!n) {
+      throw new InvalidArgumentError(
+        `Search terms must have at least ${settings.ngram[0]} characters.`
+      );
+    }
+    getNgrams(text, n).forEach((token) => tokens.add(token));
+  }
+
+  if (tokens.size === 0) {
+    throw new InvalidArgumentError(
+      `Search string has no searchable characters: ${search}`
+    );
+  }
+
+  return [...tokens].map((token) => [
+    "where",
+    `${TOKEN_MAP_FIELD}.${token}`,
+    "==",
+    true,
+  ]);
+}
+
+/**
+ * Field where the geohash of the model's `locationField` is stored.
+ */
+const GEOHASH_FIELD = "geohash";
+
+/**
+ * Number of characters of stored geohashes (about 1 m).
+ */
+const GEOHASH_PRECISION = 10;
+
+/**
+ * Characters of geohashes.
+ */
+const GEOHASH_BASE32 = "0123456789bcdefghjkmnpqrstuvwxyz";
+
+/**
+ * Constants used to compute geohash query bounds (same as geofire-common).
+ */
+const GEOHASH_BITS_PER_CHAR = 5;
+const GEOHASH_MAX_BITS = 22 * GEOHASH_BITS_PER_CHAR;
+const EARTH_MERIDIONAL_CIRCUMFERENCE = 40007860;
+const EARTH_EQUATORIAL_RADIUS = 6378137.0;
+const EARTH_MEAN_RADIUS = 6371008.8;
+const EARTH_ECCENTRICITY_SQUARED = 0.00669447819799;
+const METERS_PER_DEGREE_LATITUDE = 110574;
+
+/**
+ * Returns the location field of the model (`static locationField`), or null if not declared.
+ * @param {Function} modelClass - Model class.
+ * @returns {string|null} ex) "location", "address.location"
+ */
+function getLocationField(modelClass) {
+  const field = modelClass.locationField ?? null;
+  if (field !== null && (typeof field !== "string" || !field)) {
+    throw new InvalidArgumentError(
+      `locationField must be a field name (string).`
+    );
+  }
+  return field;
+}
+
+/**
+ * Returns `{ latitude, longitude }` of a GeoPoint (or a plain object with the same
+ * properties), or null if the value is not a valid location.
+ * @param {*} value
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+function toCoordinates(value) {
+  const latitude = value?.latitude;
+  const longitude = value?.longitude;
+  if (
+    !Number.isFinite(latitude) ||
+    !Number.isFinite(longitude) ||
+    Math.abs(latitude) > 90 ||
+    Math.abs(longitude) > 180
+  ) {
+    return null;
+  }
+  return { latitude, longitude };
+}
+
+/**
+ * Encode a location as a geohash.
+ * @param {{latitude: number, longitude: number}} coordinates
+ * @param {number} [precision=GEOHASH_PRECISION] - Number of characters.
+ * @returns {string}
+ */
+function encodeGeohash({ latitude, longitude }, precision = GEOHASH_PRECISION) {
+  const latitudeRange = [-90, 90];
+  const longitudeRange = [-180, 180];
+  let hash = "";
+  let bits = 0;
+  let value = 0;
+  let isLongitude = true;
+  while (hash.length < precision) {
+    const range = isLongitude ? longitudeRange : latitudeRange;
+    const coordinate = isLongitude ? longitude : latitude;
+    const middle = (range[0] + range[1]) / 2;
+    value <<= 1;
+    if (coordinate > middle) {
+      value |= 1;
+      range[0] = middle;
+    } else {
+      range[1] = middle;
+    }
+    isLongitude = !isLongitude;
+    if (++bits === GEOHASH_BITS_PER_CHAR) {
+      hash += GEOHASH_BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+}
+
+/**
+ * Returns the geohash of the location field of the data, or null if it has no location.
+ * @param {Object} data - Document data.
+ * @param {string} field - Location field.
+ * @returns {string|null}
+ */
+function getLocationGeohash(data, field) {
+  const coordinates = toCoordinates(getByPath(data, field));
+  return coordinates ? encodeGeohash(coordinates) : null;
+}
+
+/**
+ * Great-circle distance between two locations in meters (haversine formula).
+ * @param {{latitude: number, longitude: number}} a
+ * @param {{latitude: number, longitude: number}} b
+ * @returns {number}
+ */
+function getDistance(a, b) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLatitude = toRadians(b.latitude - a.latitude);
+  const dLongitude = toRadians(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLatitude / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) *
+      Math.cos(toRadians(b.latitude)) *
+      Math.sin(dLongitude / 2) ** 2;
+  return 2 * EARTH_MEAN_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Convert a distance in meters to degrees of longitude at the given latitude.
+ * @param {number} distance - Meters.
+ * @param {number} latitude
+ * @returns {number}
+ */
+function metersToLongitudeDegrees(distance, latitude) {
+  const radians = (latitude * Math.PI) / 180;
+  const degreeLength =
+    ((Math.cos(radians) * EARTH_EQUATORIAL_RADIUS * Math.PI) / 180) *
+    (1 / Math.sqrt(1 - EARTH_ECCENTRICITY_SQUARED * Math.sin(radians) ** 2));
+  if (degreeLength < 1e-12) return distance > 0 ? 360 : 0;
+  return Math.min(360, distance / degreeLength);
+}
+
+/**
+ * Wrap a longitude to the range [-180, 180].
+ * @param {number} longitude
+ * @returns {number}
+ */
+function wrapLongitude(longitude) {
+  if (longitude >= -180 && longitude <= 180) return longitude;
+  const adjusted = longitude + 180;
+  return adjusted > 0 ? (adjusted % 360) - 180 : 180 - (-adjusted % 360);
+}
+
+/**
+ * Returns the number of geohash bits of cells that are at least `radius` wide around the center.
+ * @param {{latitude: number, longitude: number}} center
+ * @param {number} radius - Meters.
+ * @returns {number}
+ */
+function getGeohashQueryBits({ latitude }, radius) {
+  const latitudeDelta = radius / METERS_PER_DEGREE_LATITUDE;
+  const longitudeBits = (lat) => {
+    const degrees = metersToLongitudeDegrees(radius, lat);
+    return Math.abs(degrees) > 0.000001
+      ? Math.max(1, Math.log2(360 / degrees))
+      : 1;
+  };
+  const latitudeBits = Math.min(
+    Math.log2(EARTH_MERIDIONAL_CIRCUMFERENCE / 2 / radius),
+    GEOHASH_MAX_BITS
+  );
+  return Math.max(
+    1,
+    Math.min(
+      Math.floor(latitudeBits) * 2,
+      Math.floor(longitudeBits(Math.min(90, latitude + latitudeDelta))) * 2 - 1,
+      Math.floor(longitudeBits(Math.max(-90, latitude - latitudeDelta))) * 2 -
+        1,
+      GEOHASH_MAX_BITS
+    )
+  );
+}
+
+/**
+ * Returns the `[start, end]` range of geohashes in the cell of `bits` bits containing the geohash.
+ * @param {string} geohash
+ * @param {number} bits
+ * @returns {Array<string>}
+ */
+function getGeohashRange(geohash, bits) {
+  const precision = Math.ceil(bits / GEOHASH_BITS_PER_CHAR);
+  if (geohash.length < precision) return [geohash, `${geohash}~`];
+  const base = geohash.substring(0, precision - 1);
+  const lastValue = GEOHASH_BASE32.indexOf(geohash.charAt(precision - 1));
+  const unusedBits =
+    GEOHASH_BITS_PER_CHAR - (bits - base.length * GEOHASH_BITS_PER_CHAR);
+  const startValue = (lastValue >> unusedBits) << unusedBits;
+  const endValue = startValue + (1 << unusedBits);
+  return [
+    base + GEOHASH_BASE32[startValue],
+    endValue > 31 ? `${base}~` : base + GEOHASH_BASE32[endValue],
+  ];
+}
+
+/**
+ * Returns the geohash ranges covering a circle.
+ * - The center and the 8 points of the bounding box are hashed with cells at least as wide
+ *   as the radius, and the distinct ranges of those cells are returned.
+ * @param {{latitude: number, longitude: number}} center
+ * @param {number} radius - Meters.
+ * @returns {Array<Array<string>>} ex) `[["xn76u", "xn76v"], ...]`
+ */
+function getGeohashQueryBounds(center, radius) {
+  const bits = getGeohashQueryBits(center, radius);
+  const precision = Math.ceil(bits / GEOHASH_BITS_PER_CHAR);
+  const latitudeDelta = radius / METERS_PER_DEGREE_LATITUDE;
+  const north = Math.min(90, center.latitude + latitudeDelta);
+  const south = Math.max(-90, center.latitude - latitudeDelta);
+  const longitudeDelta = Math.max(
+    metersToLongitudeDegrees(radius, north),
+    metersToLongitudeDegrees(radius, south)
+  );
+  const longitudes = [
+    center.longitude,
+    wrapLongitude(center.longitude - longitudeDelta),
+    wrapLongitude(center.longitude + longitudeDelta),
+  ];
+
+  const ranges = new Map();
+  [center.latitude, north, south].forEach((latitude) =>
+    longitudes.forEach((longitude) => {
+      const range = getGeohashRange(
+        encodeGeohash({ latitude, longitude }, precision),
+        bits
+      );
+      ranges.set(range.join(":"), range);
+    })
+  );
+  return [...ranges.values()];
+}
+
+/**
+ * Set the fields derived from the data: the generated `tokenMap` if the model has
+ * `tokenFields` and the `geohash` of its location if it has a `locationField`.
+ * @param {Function} modelClass - Model class.
+ * @param {Object} data - Data to store. Modified in place.
+ * @returns {Object} `data`
+ */
+function setDerivedFields(modelClass, data) {
+  const settings = getTokenMapSettings(modelClass);
+  if (settings.fields.length) {
+    data[TOKEN_MAP_FIELD] = generateTokenMap(data, settings);
+  }
+  const locationField = getLocationField(modelClass);
+  if (locationField) {
+    data[GEOHASH_FIELD] = getLocationGeohash(data, locationField);
+  }
+  return data;
+}
+
+/**
+ * Returns the data to store for the instance.
+ * - Converter output of the instance with its derived fields (see `setDerivedFields`),
+ *   stamped with a new write ID if the adapter tracks its writes.
+ * @param {Object} instance - Model instance.
+ * @param {Object} [extra={}] - Additional fields. ex) version field
+ * @returns {Object}
+ */
+function toStoredData(instance, extra = {}) {
+  const data = setDerivedFields(
+    instance.constructor,
+    toFirestoreData(instance)
+  );
+  return { ...data, ...extra, ...getWriteStamp(instance.constructor) };
+}
+
+/**
+ * Returns the reference of the document recording an idempotency key.
+ * - Keys are stored in `{collectionPath}_idempotency`, with a hash of the operation, the
+ *   target docId (if any) and the key as the document ID.
+ * @param {Firestore} firestore - Firestore instance the model is stored in.
+ * @param {string} collectionPath - Collection path of the model.
+ * @param {string} operation - "create", "update", "delete" or "restore".
+ * @param {string} key - Idempotency key. ex) event ID
+ * @param {string|null} [docId=null] - Target document ID.
+ * @returns {DocumentReference}
+ */
+function getIdempotencyRef(
+  firestore,
+  collectionPath,
+  operation,
+  key,
+  docId = null
+) {
+  if (typeof key !== "string" || key.length === 0) {
+    throw new InvalidArgumentError(
+      `idempotencyKey must be a non-empty string.`
+    );
+  }
+  const id = createHash("sha256")
+    .update(JSON.stringify([operation, docId, key]))
+    .digest("hex");
+  return firestore.collection(`${collectionPath}_idempotency`).doc(id);
+}
+
+/**
+ * Returns the data recorded for an idempotency key.
+ * - `expiresAt` can be used as the field of a Firestore TTL policy.
+ * @param {Object} args
+ * @param {string} args.key - Idempotency key.
+ * @param {string} args.operation - Operation name.
+ * @param {string} args.docId - Target document ID.
+ * @param {*} [args.result=null] - Result returned on repeated calls.
+ * @param {number} args.ttl - Milliseconds the key is kept.
+ * @returns {Object}
+ */
+function toIdempotencyData({ key, operation, docId, result = null, ttl }) {
+  const now = new Date();
+  return {
+    key,
+    operation,
+    docId,
+    result,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + ttl),
+  };
+}
+
+/**
+ * Realtime listeners started by each model instance.
+ * - Values are Maps of detach functions to their kind ("doc" or "query").
+ * @type {WeakMap<Object, Map<Function, string>>}
+ */
+const activeListeners = new WeakMap();
+
+/**
+ * Detach listeners started by the instance.
+ * @param {Object} instance - Model instance.
+ * @param {string|null} [kind=null] - Kind of listeners to detach ("doc" or "query"), or all if null.
+ * @returns {number} Number of detached listeners.
+ */
+function detachListeners(instance, kind = null) {
+  const listeners = activeListeners.get(instance);
+  if (!listeners) return 0;
+  let count = 0;
+  for (const [detach, listenerKind] of listeners) {
+    if (kind && listenerKind !== kind) continue;
+    detach();
+    listeners.delete(detach);
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Attach a snapshot listener owned by the instance.
+ * - `ref` may be a Promise of the reference (e.g. a query with cursors to resolve); the
+ *   listener starts once it resolves unless it has been detached in the meantime.
+ * - Errors end the listener (as Firestore does); they are logged and passed to `onError`.
+ * @param {Object} instance - Model instance owning the listener.
+ * @param {Object|Promise<Object>} ref - DocumentReference or Query to listen to.
+ * @param {Object} args
+ * @param {string} args.kind - "doc" or "query".
+ * @param {string} args.method - Method name used in logs.
+ * @param {Function} args.handle - Called with each snapshot.
+ * @param {Function|null} args.onError - Called with errors of the listener.
+ */
+function attachListener(instance, ref, { kind, method, handle, onError }) {
+  if (!activeListeners.has(instance)) activeListeners.set(instance, new Map());
+  const listeners = activeListeners.get(instance);
+
+  let detachSnapshot = null;
+  let detached = false;
+  const detach = () => {
+    detached = true;
+    if (detachSnapshot) detachSnapshot();
+  };
+  const fail = (err) => {
+    listeners.delete(detach);
+    logListenerError(instance, method, "Listener stopped.", err);
+    if (onError) onError(err);
+  };
+  const listen = (resolvedRef) => {
+    if (detached) return;
+    detachSnapshot = resolvedRef.onSnapshot(handle, fail);
+  };
+
+  listeners.set(detach, kind);
+  if (typeof ref.then === "function") {
+    ref.then(listen, fail);
+  } else {
+    listen(ref);
+  }
+}
+
+/**
+ * Log an error of a listener with the logger of the instance's adapter.
+ * @param {Object} instance - Model instance owning the listener.
+ * @param {string} method - Method name used in logs.
+ * @param {string} message - Log message.
+ * @param {Error} err
+ */
+function logListenerError(instance, method, message, err) {
+  const modelClass = instance.constructor;
+  writeLog(
+    findLogAdapter(modelClass),
+    getFailureLevel(err),
+    `[ServerAdapter.js - ${method}] ${message}`,
+    {
+      operation: method,
+      model: modelClass.name,
+      outcome: "failure",
+      error: toLogError(err, getSensitiveFields(modelClass)),
+    }
+  );
+}
+
+/**
+ * Call a listener callback. Errors are logged so that they don't stop the listener.
+ * @param {Object} instance - Model instance owning the listener.
+ * @param {string} method - Method name used in logs.
+ * @param {Function|null} callback
+ * @param {...*} args - Arguments for the callback.
+ */
+function notifyListener(instance, method, callback, ...args) {
+  if (!callback) return;
+  const logError = (err) =>
+    logListenerError(instance, method, "Callback failed.", err);
+  try {
+    const result = callback(...args);
+    if (typeof result?.catch === "function") result.catch(logError);
+  } catch (err) {
+    logError(err);
+  }
+}
+
+/**
+ * Request-scoped document loader of the current async context (see `ServerAdapter.runWithLoader`).
+ * @type {AsyncLocalStorage<Object>}
+ */
+const loaderStore = new AsyncLocalStorage();
+
+/**
+ * Create a document loader.
+ * - Reads requested in the same turn of the event loop are sent as one `getAll` per
+ *   Firestore instance, and each document is read at most once until `clear()` is called.
+ * - Snapshots are cached, not instances, so every caller gets its own instance.
+ * @returns {{load: Function, clear: Function}}
+ */
+function createDocumentLoader() {
+  const cache = new Map(); // Firestore -> Map<path, Promise<DocumentSnapshot>>
+  const queues = new Map(); // Firestore -> Array<{ref, resolve, reject}>
+
+  const dispatch = async (firestore) => {
+    const queue = queues.get(firestore);
+    queues.delete(firestore);
+    try {
+      const snapshots = await firestore.getAll(...queue.map(({ ref }) => ref));
+      queue.forEach(({ resolve }, index) => resolve(snapshots[index]));
+    } catch (err) {
+      queue.forEach(({ reject }) => reject(err));
+    }
+  };
+
+  return {
+    /**
+     * Load a document.
+     * @param {Object} firestore - Firestore instance the document is read from.
+     * @param {Object} docRef - DocumentReference without a converter.
+     * @returns {Promise<Object>} DocumentSnapshot.
+     */
+    load(firestore, docRef) {
+      if (!cache.has(firestore)) cache.set(firestore, new Map());
+      const docs = cache.get(firestore);
+      if (docs.has(docRef.path)) return docs.get(docRef.path);
+
+      const promise = new Promise((resolve, reject) => {
+        if (!queues.has(firestore)) {
+          queues.set(firestore, []);
+          setImmediate(() => dispatch(firestore));
+        }
+        queues.get(firestore).push({ ref: docRef, resolve, reject });
+      });
+      // Failed reads are not cached, so that they can be retried.
+      promise.catch(() => docs.delete(docRef.path));
+      docs.set(docRef.path, promise);
+      return promise;
+    },
+
+    /**
+     * Forget loaded documents, e.g. after they have been written.
+     */
+    clear() {
+      cache.clear();
+    },
+  };
+}
+
+/**
+ * Forget the documents loaded in the current scope after a write.
+ */
+function clearLoadedDocs() {
+  loaderStore.getStore()?.clear();
+}
+
+/**
+ * Hydrate a raw DocumentSnapshot as a model instance, or null if it does not exist.
+ * @param {Function} modelClass - Model class.
+ * @param {Object|undefined} docSnap - DocumentSnapshot without a converter.
+ * @returns {Object|null}
+ */
+function hydrateSnapshot(modelClass, docSnap) {
+  if (!docSnap?.exists) return null;
+  const instance = modelClass.converter().fromFirestore(docSnap);
+  rememberState(instance);
+  rememberLockState(instance, docSnap);
+  return instance;
+}
+
+/**
+ * Create a Firestore trigger bound to a model class.
+ * @param {Object} args
+ * @param {Function} args.factory - Trigger function of `firebase-functions/v2/firestore`.
+ * @param {string} args.method - Method name used in logs.
+ * @param {Function} args.modelClass - Model class.
+ * @param {Function} args.handler - Handler receiving `{ before, after, changedFields, prefix, docId, event }`.
+ * @param {Object} args.options - Trigger options (see `ServerAdapter.onDocumentCreated`).
+ * @param {Function} args.getSnapshots - Returns `{ before, after }` snapshots from `event.data`.
+ * @returns {Function} Cloud Function.
+ */
+function createDocumentTrigger({
+  factory,
+  method,
+  modelClass,
+  handler,
+  options,
+  getSnapshots,
+}) {
+  const {
+    prefix = null,
+    docIdParam = "docId",
+    skipAdapterWrites = false,
+    ...triggerOptions
+  } = options;
+
+  if (typeof modelClass?.getCollectionPath !== "function") {
+    throw new InvalidArgumentError(
+      `[ServerAdapter.js - ${method}] Invalid model class.`
+    );
+  }
+  if (typeof handler !== "function") {
+    throw new InvalidArgumentError(
+      `[ServerAdapter.js - ${method}] handler must be a function.`
+    );
+  }
+
+  const document = `${modelClass.getCollectionPath(prefix)}/{${docIdParam}}`;
+
+  // Listen to the model's named database unless specified.
+  if (
+    triggerOptions.database === undefined &&
+    typeof modelClass.database === "string"
+  ) {
+    triggerOptions.database = modelClass.database;
+  }
+
+  // Entries logged while handling an event carry the event ID as the correlation ID.
+  return factory({ ...triggerOptions, document }, (event) =>
+    correlationStore.run(event.id ?? null, () => handleEvent(event))
+  );
+
+  async function handleEvent(event) {
+    const startedAt = Date.now();
+    try {
+      if (!event.data) return null;
+
+      const snapshots = getSnapshots(event.data);
+      const before = snapshots.before?.exists ? snapshots.before.data() : null;
+      const after = snapshots.after?.exists ? snapshots.after.data() : null;
+
+      if (skipAdapterWrites && !getModelAdapter(modelClass).trackWrites) {
+        throw new PreconditionError(
+          `skipAdapterWrites requires an adapter created with the trackWrites option.`
+        );
+      }
+
+      // Writes made by the adapter change the write ID.
+      const afterWriteId = after?.[WRITE_ID_FIELD];
+      const isAdapterWrite =
+        !!afterWriteId && afterWriteId !== before?.[WRITE_ID_FIELD];
+      if (skipAdapterWrites && isAdapterWrite) return null;
+
+      return await handler({
+        before: hydrateSnapshot(modelClass, snapshots.before),
+        after: hydrateSnapshot(modelClass, snapshots.after),
+        changedFields: Object.keys(
+          diffData(before, after, getDiffIgnoredFields(modelClass))
+        ),
+        prefix: prefix
+          ? prefix.replace(/\{(\w+)\}/g, (_, key) => event.params[key])
+          : null,
+        docId: event.params[docIdParam],
+        event,
+      });
+    } catch (err) {
+      writeLog(
+        findLogAdapter(modelClass),
+        getFailureLevel(err),
+        `[ServerAdapter.js - ${method}] Failed.`,
+        {
+          operation: method,
+          model: modelClass.name,
+          collectionPath: document,
+          docId: event.params?.[docIdParam] ?? null,
+          durationMs: Date.now() - startedAt,
+          outcome: "failure",
+          error: toLogError(err, getSensitiveFields(modelClass)),
+        }
+      );
+      throw err;
+    }
+  }
+}
+
+/**
+ * Operations exposed by `ServerAdapter.createCallables`.
+ */
+const CALLABLE_OPERATIONS = [
+  "create",
+  "fetch",
+  "update",
+  "delete",
+  "fetchDocs",
+  "restore",
+];
+
+/**
+ * gRPC status codes of Firestore errors mapped to HttpsError codes.
+ */
+const GRPC_ERROR_CODES = {
+  3: "invalid-argument",
+  4: "deadline-exceeded",
+  5: "not-found",
+  6: "already-exists",
+  7: "permission-denied",
+  8: "resource-exhausted",
+  9: "failed-precondition",
+  10: "aborted",
+  14: "unavailable",
+  16: "unauthenticated",
+};
+
+/**
+ * Codes of adapter errors mapped to HttpsError codes.
+ */
+const ADAPTER_ERROR_CODES = {
+  "invalid-argument": "invalid-argument",
+  validation: "invalid-argument",
+  "not-found": "not-found",
+  "already-exists": "already-exists",
+  "failed-precondition": "failed-precondition",
+  conflict: "aborted",
+  "dependent-exists": "failed-precondition",
+  "autonumber-disabled": "failed-precondition",
+  "autonumber-exhausted": "resource-exhausted",
+};
+
+/**
+ * Convert an error thrown by the adapter to an HttpsError.
+ * - Adapter errors keep their message, and their `code` and `context` are sent as `details`.
+ *   ex) `DependentExistsError` -> "failed-precondition" with
+ *   `{ code: "dependent-exists", docId, item }`
+ * - Firestore errors are mapped from their gRPC status code.
+ * - HttpsErrors are returned as is. Unknown errors become "internal" without exposing details.
+ * @param {Error} err
+ * @returns {HttpsError}
+ */
+export function toHttpsError(err) {
+  if (err instanceof HttpsError) return err;
+  if (err instanceof AdapterError) {
+    return new HttpsError(
+      ADAPTER_ERROR_CODES[err.code] || "internal",
+      err.message,
+      toCallableData({ code: err.code, ...err.context })
+    );
+  }
+  const code = GRPC_ERROR_CODES[err?.code];
+  if (code) return new HttpsError(code, err.message);
+  return new HttpsError("internal", "An internal error has occurred.");
+}
+
+/**
+ * Convert data to values that can be returned from callable functions.
+ * - Dates and Timestamps become ISO strings, GeoPoints `{ latitude, longitude }` and
+ *   DocumentReferences their paths.
+ * @param {*} value
+ * @returns {*}
+ */
+function toCallableData(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value.toDate === "function") {
+    return value.toDate().toISOString();
+  }
+  if (value instanceof GeoPoint) {
+    return { latitude: value.latitude, longitude: value.longitude };
+  }
+  if (Array.isArray(value)) return value.map(toCallableData);
+  if (value && typeof value === "object") {
+    if (typeof value.path === "string" && value.firestore) return value.path;
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, v]) => v !== undefined)
+        .map(([k, v]) => [k, toCallableData(v)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Returns the data of a model instance returned from callable functions.
+ * - Fields maintained by the adapter for internal use are omitted.
+ * @param {Object} instance - Model instance.
+ * @returns {Object}
+ */
+function toCallableResult(instance) {
+  const data = toFirestoreData(instance);
+  delete data[TOKEN_MAP_FIELD];
+  delete data[GEOHASH_FIELD];
+  delete data[WRITE_ID_FIELD];
+  return toCallableData(data);
+}
+
+/**
+ * Returns the trace ID of a callable request from its `X-Cloud-Trace-Context` header.
+ * @param {Object} request - CallableRequest.
+ * @returns {string|null}
+ */
+function getTraceId(request) {
+  const header = request.rawRequest?.headers?.["x-cloud-trace-context"];
+  return typeof header === "string" ? header.split("/")[0] || null : null;
+}
+
+/**
+ * Authorize a callable request with a rule.
+ * - Unless the rule is `true`, `request.auth` must have been checked beforehand.
+ * - `true`: Anyone, including unauthenticated requests.
+ * - `false`: No one.
+ * - "authenticated": Signed-in users (default).
+ * - `{ claims: { admin: true } }`: Signed-in users whose custom claims have the given values.
+ * - Function `(request, context) => boolean | Promise<boolean>`: Custom rule.
+ * @param {*} rule - Authorization rule.
+ * @param {Object} request - CallableRequest.
+ * @param {Object} context - `{ operation, modelClass, prefix, data }`.
+ * @throws {HttpsError} "permission-denied".
+ */
+async function authorizeCallable(rule, request, context) {
+  if (rule === true) return;
+
+  let allowed;
+  if (rule === "authenticated") {
+    allowed = true;
+  } else if (typeof rule === "function") {
+    allowed = await rule(request, context);
+  } else if (rule && typeof rule === "object" && rule.claims) {
+    const token = request.auth.token || {};
+    allowed = Object.entries(rule.claims).every(
+      ([key, value]) => token[key] === value
+    );
+  } else {
+    allowed = false;
+  }
+
+  if (!allowed) {
+    throw new HttpsError(
+      "permission-denied",
+      `Permission denied: ${context.operation}.`
+    );
+  }
+}
+
+/**
+ * Returns the fields maintained by the adapter, which clients can't write.
+ * @param {Function} modelClass - Model class.
+ * @returns {Array<string>}
+ */
+function getAdapterFields(modelClass) {
+  return [
+    "docId",
+    "createdAt",
+    ...METADATA_FIELDS,
+    getVersionField(modelClass),
+    TOKEN_MAP_FIELD,
+    GEOHASH_FIELD,
+    WRITE_ID_FIELD,
+    ...ARCHIVE_FIELDS,
+  ];
+}
+
+/**
+ * Returns the data sent by a client, without fields maintained by the adapter.
+ * @param {Function} modelClass - Model class.
+ * @param {*} data - Payload data.
+ * @returns {Object}
+ * @throws {HttpsError} "invalid-argument" if the data is not an object.
+ */
+function toPayloadData(modelClass, data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new HttpsError("invalid-argument", "data must be an object.");
+  }
+  const result = { ...data };
+  getAdapterFields(modelClass).forEach((field) => delete result[field]);
+  return result;
+}
+
+/**
+ * Returns the fields of an update payload that belong to the model's data.
+ * - Field paths (ex. `address.city`) are matched by their top-level field. Fields the
+ *   model doesn't have are dropped.
+ * @param {Function} modelClass - Model class.
+ * @param {*} fields - Payload fields.
+ * @returns {Array<string>|null} Fields to write, or null for a full update.
+ * @throws {HttpsError} "invalid-argument" if fields is not an array of field names, or
+ *   contains fields maintained by the adapter.
+ */
+function toPayloadFields(modelClass, fields) {
+  if (fields === undefined || fields === null) return null;
+  if (
+    !Array.isArray(fields) ||
+    !fields.every((field) => typeof field === "string" && field)
+  ) {
+    throw new HttpsError(
+      "invalid-argument",
+      "fields must be an array of field names."
+    );
+  }
+
+  const adapterFields = getAdapterFields(modelClass);
+  const reserved = fields.find((field) =>
+    adapterFields.includes(field.split(".")[0])
+  );
+  if (reserved) {
+    throw new HttpsError(
+      "invalid-argument",
+      `Field maintained by the adapter can't be updated: ${reserved}.`
+    );
+  }
+
+  const modelFields = Object.keys(toFirestoreData(new modelClass()));
+  return fields.filter((field) => modelFields.includes(field.split(".")[0]));
+}
+
+/**
+ * Returns the actor of a callable request.
+ * - Unauthenticated requests (allowed by the rule `true`) are recorded as the adapter's
+ *   `defaultActor`.
+ * @param {Object} request - Callable request.
+ * @returns {Object|null}
+ */
+function getCallableActor(request) {
+  return request.auth ? request : null;
+}
+
+/**
+ * Returns the docId of a callable payload.
+ * @param {*} docId
+ * @returns {string}
+ * @throws {HttpsError} "invalid-argument" if docId is not a non-empty string.
+ */
+function toPayloadDocId(docId) {
+  if (typeof docId !== "string" || !docId || docId.includes("/")) {
+    throw new HttpsError("invalid-argument", "docId must be a valid string.");
+  }
+  return docId;
+}
+
+/**
+ * Create a model instance from payload data and run the model's validation.
+ * @param {Function} modelClass - Model class.
+ * @param {Object} data - Model data.
+ * @returns {Object} Model instance.
+ * @throws {ValidationError} If validation fails.
+ */
+function toValidatedInstance(modelClass, data) {
+  const instance = new modelClass();
+  instance.initialize(data);
+  validateInstance(instance);
+  return instance;
+}
+
+/**
+ * Key marking values of Firestore types in NDJSON written by `exportDocs`.
+ */
+const EXPORT_TYPE_KEY = "__type";
+
+/**
+ * Modes of `importDocs`.
+ */
+const IMPORT_MODES = ["overwrite", "skip-existing"];
+
+/**
+ * Convert stored document data to JSON-safe values, keeping their Firestore types.
+ * - Timestamps (and Dates), GeoPoints, DocumentReferences, bytes and non-finite numbers
+ *   become `{ "__type": ..., ... }` objects. Maps that have a `__type` key are wrapped
+ *   as `{ "__type": "map", "value": ... }`.
+ * @param {*} value
+ * @returns {*}
+ */
+function encodeExportValue(value) {
+  if (value instanceof Date) value = Timestamp.fromDate(value);
+  if (value && typeof value.toDate === "function" && "nanoseconds" in value) {
+    return {
+      [EXPORT_TYPE_KEY]: "timestamp",
+      seconds: value.seconds,
+      nanoseconds: value.nanoseconds,
+    };
+  }
+  if (value instanceof GeoPoint) {
+    return {
+      [EXPORT_TYPE_KEY]: "geopoint",
+      latitude: value.latitude,
+      longitude: value.longitude,
+    };
+  }
+  if (value instanceof Uint8Array) {
+    return {
+      [EXPORT_TYPE_KEY]: "bytes",
+      base64: Buffer.from(value).toString("base64"),
+    };
+  }
+  if (typeof value === "number" && !Number.isFinite(value)) {
+    return { [EXPORT_TYPE_KEY]: "number", value: String(value) };
+  }
+  if (Array.isArray(value)) return value.map(encodeExportValue);
+  if (value && typeof value === "object") {
+    if (typeof value.path === "string" && value.firestore) {
+      return { [EXPORT_TYPE_KEY]: "reference", path: value.path };
+    }
+    const map = Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, encodeExportValue(v)])
+    );
+    return EXPORT_TYPE_KEY in value
+      ? { [EXPORT_TYPE_KEY]: "map", value: map }
+      : map;
+  }
+  return value;
+}
+
+/**
+ * Restore values converted by `encodeExportValue`.
+ * @param {*} value
+ * @param {Object} firestore - Firestore instance references are restored with.
+ * @returns {*}
+ */
+function decodeExportValue(value, firestore) {
+  if (Array.isArray(value)) {
+    return value.map((v) => decodeExportValue(v, firestore));
+  }
+  if (!value || typeof value !== "object") return value;
+
+  const decodeMap = (map) =>
+    Object.fromEntries(
+      Object.entries(map).map(([k, v]) => [k, decodeExportValue(v, firestore)])
+    );
+
+  switch (value[EXPORT_TYPE_KEY]) {
+    case undefined:
+      return decodeMap(value);
+    case "timestamp":
+      return new Timestamp(value.seconds, value.nanoseconds);
+    case "geopoint":
+      return new GeoPoint(value.latitude, value.longitude);
+    case "reference":
+      return firestore.doc(value.path);
+    case "bytes":
+      return Buffer.from(value.base64, "base64");
+    case "number":
+      return Number(value.value);
+    case "map":
+      return decodeMap(value.value);
+    default:
+      throw new InvalidArgumentError(
+        `Unknown exported type: ${value[EXPORT_TYPE_KEY]}.`
+      );
+  }
+}
+
+/**
+ * Returns data of an imported document passed through the model's converter.
+ * - Fields the converter doesn't return (archive metadata, `tokenMap`, ...) are kept.
+ * @param {Function} modelClass - Model class.
+ * @param {Object} docRef - DocumentReference the data is written to.
+ * @param {Object} data - Decoded document data.
+ * @returns {Object}
+ */
+function toImportData(modelClass, docRef, data) {
+  const converter = modelClass.converter();
+  const instance = converter.fromFirestore({
+    id: docRef.id,
+    ref: docRef,
+    exists: true,
+    data: () => ({ ...data }),
+    get: (field) => getByPath(data, String(field)),
+  });
+  return {
+    ...data,
+    ...converter.toFirestore(instance),
+    ...getWriteStamp(modelClass),
+  };
+}
+
+/**
+ * Iterate over all documents of a collection in document ID order, page by page.
+ * @param {Object} colRef - CollectionReference.
+ * @param {number} pageSize - Number of documents fetched per page.
+ * @returns {AsyncGenerator<Object>} QueryDocumentSnapshots.
+ */
+async function* iterateCollection(colRef, pageSize) {
+  const baseQuery = colRef.orderBy(FieldPath.documentId()).limit(pageSize);
+  let lastDocId = null;
+  while (true) {
+    const queryRef = lastDocId ? baseQuery.startAfter(lastDocId) : baseQuery;
+    const snapshot = await queryRef.get();
+    yield* snapshot.docs;
+    if (snapshot.size < pageSize) return;
+    lastDocId = snapshot.docs[snapshot.docs.length - 1].id;
+  }
+}
+
+/**
+ * Open the destination of `exportDocs`.
+ * - A file path is opened (and closed by `close()`); a stream is used as is and left open.
+ * @param {string|Object} destination - File path or writable stream.
+ * @returns {{write: Function, close: Function, destroy: Function}}
+ */
+function openExportDestination(destination) {
+  const owned = typeof destination === "string";
+  const stream = owned ? createWriteStream(destination) : destination;
+  if (typeof stream?.write !== "function") {
+    throw new InvalidArgumentError(
+      "destination must be a file path or a writable stream."
+    );
+  }
+  return {
+    // Wait for the stream to drain so that large collections are not buffered in memory.
+    write: async (line) => {
+      if (!stream.write(`${line}\n`)) await once(stream, "drain");
+    },
+    close: () =>
+      owned ? new Promise((resolve) => stream.end(resolve)) : undefined,
+    destroy: () => {
+      if (owned) stream.destroy();
+    },
+  };
+}
+
+/**
+ * Returns the lines of the source of `importDocs`.
+ * @param {string|Object} source - File path or readable stream.
+ * @returns {AsyncIterable<string>}
+ */
+function readImportLines(source) {
+  const input = typeof source === "string" ? createReadStream(source) : source;
+  if (typeof input?.[Symbol.asyncIterator] !== "function") {
+    throw new InvalidArgumentError(
+      "source must be a file path or a readable stream."
+    );
+  }
+  return createInterface({ input, crlfDelay: Infinity });
+}
+
+/**
+ * Collection where the progress of migrations is recorded.
+ */
+const MIGRATIONS_COLLECTION = "_migrations";
+
+/**
+ * Returns the migrations of the model (`static migrations`), in the order they are applied.
+ * @param {Function} modelClass - Model class.
+ * @returns {Array<{name: string, up: Function}>}
+ * @throws {InvalidArgumentError} If a migration has no name or `up`, or names are duplicated.
+ */
+function getMigrations(modelClass) {
+  const migrations = modelClass.migrations ?? [];
+  if (!Array.isArray(migrations)) {
+    throw new InvalidArgumentError(`migrations must be an array.`);
+  }
+  const names = new Set();
+  migrations.forEach((migration) => {
+    const name = migration?.name;
+    if (typeof name !== "string" || !name) {
+      throw new InvalidArgumentError(`Each migration must have a name.`);
+    }
+    if (typeof migration.up !== "function") {
+      throw new InvalidArgumentError(
+        `Migration ${name} must have an up function.`,
+        { name }
+      );
+    }
+    if (names.has(name)) {
+      throw new InvalidArgumentError(`Duplicate migration name: ${name}.`, {
+        name,
+      });
+    }
+    names.add(name);
+  });
+  return migrations;
+}
+
+/**
+ * Returns the reference of the document recording the progress of a migration.
+ * - The document ID is a hash of the collection ID and the migration name.
+ * @param {Firestore} firestore - Firestore instance the model is stored in.
+ * @param {string} collectionId - Collection ID of the model. ex) "customers"
+ * @param {string} name - Migration name.
+ * @returns {DocumentReference}
+ */
+function getMigrationRef(firestore, collectionId, name) {
+  const id = createHash("sha256")
+    .update(JSON.stringify([collectionId, name]))
+    .digest("hex");
+  return firestore.collection(MIGRATIONS_COLLECTION).doc(id);
+}
+
+/**
+ * Returns the collections a migration walks.
+ * - Without a prefix, every collection with the model's collection ID (collection group),
+ *   so documents under all prefixes are migrated.
+ * - Archive collections (`{collectionId}_archive`) follow if `includeArchive` is true.
+ * @param {Firestore} firestore
+ * @param {Function} modelClass - Model class.
+ * @param {Object} args
+ * @param {string|null} args.prefix - Path prefix to limit the migration to.
+ * @param {boolean} args.includeArchive - Whether archived documents are migrated.
+ * @returns {Array<{key: string, query: Object, group: boolean}>}
+ */
+function getMigrationTargets(
+  firestore,
+  modelClass,
+  { prefix, includeArchive }
+) {
+  const collectionPath = modelClass.getCollectionPath(prefix);
+  const path = prefix ? collectionPath : collectionPath.split("/").pop();
+  const targets = [{ key: "collection", path }];
+  if (includeArchive) targets.push({ key: "archive", path: `${path}_archive` });
+  return targets.map(({ key, path }) => ({
+    key,
+    group: !prefix,
+    query: (prefix
+      ? firestore.collection(path)
+      : firestore.collectionGroup(path)
+    ).orderBy(FieldPath.documentId()),
+  }));
+}
+
+/**
+ * Apply a migration to the documents of a page.
+ * - `up` receives a copy of the stored data and returns the new data, or `undefined` to
+ *   leave the document unchanged. Errors are collected instead of thrown.
+ * - `tokenMap` and `geohash` of the new data are recomputed from the model's current
+ *   `tokenFields` and `locationField`.
+ * @param {Function} modelClass - Model class being migrated.
+ * @param {Object} migration - `{ name, up }`.
+ * @param {Array<Object>} docs - QueryDocumentSnapshots.
+ * @returns {Promise<{writes: Array<{ref: Object, data: Object}>, failed: Array<{path: string, error: Error}>}>}
+ */
+async function applyMigration(modelClass, migration, docs) {
+  const writes = [];
+  const failed = [];
+  for (const doc of docs) {
+    try {
+      const data = doc.data();
+      const migrated = await migration.up(cloneValue(data), {
+        docId: doc.id,
+        path: doc.ref.path,
+      });
+      if (migrated === undefined || isEqualValue(migrated, data)) continue;
+      if (!migrated || typeof migrated !== "object") {
+        throw new InvalidArgumentError(
+          `Migration ${migration.name} must return an object or undefined.`,
+          { name: migration.name }
+        );
+      }
+      writes.push({
+        ref: doc.ref,
+        data: {
+          ...setDerivedFields(modelClass, { ...migrated }),
+          ...getWriteStamp(modelClass),
+        },
+      });
+    } catch (error) {
+      failed.push({ path: doc.ref.path, error });
+    }
+  }
+  return { writes, failed };
+}
 
 class ServerAdapter {
   static firestore = null;
   static functions = null;
   static GeoPoint = null;
+  static defaultAdapter = null;
+
+  #firestore;
+  #functions;
+  #app;
+  #databases;
+  #settings;
+
+  /**
+   * Each adapter keeps its own Firestore instance and settings, so several adapters
+   * (e.g. for another project or a named database) can be used in the same process.
+   * - Operations of a model run against the adapter returned by its `getAdapter()`.
+   *   Set `static database` on a model, or pass `database` to a call, to route it to
+   *   another database ID, Firestore instance or adapter.
+   * - Unless `options.asDefault` is false, the adapter becomes the default adapter, used for
+   *   models whose adapter is not a ServerAdapter. The statics `ServerAdapter.defaultActor`,
+   *   `actorResolver` and `idempotencyTTL` read and change the settings of the default adapter.
+   * @param {Object} firestore - Firestore instance from firebase-admin.
+   * @param {Object|null} [functions=null] - Functions instance (optional).
+   * @param {Object} [options={}] - Adapter options.
+   * @param {string|Object} [options.defaultActor="cloud functions"] - Actor recorded when a write doesn't specify one.
+   * @param {Function} [options.actorResolver] - Function that converts an actor (uid, `auth` or request object) to a uid.
+   * @param {number} [options.idempotencyTTL] - Milliseconds idempotency keys are kept (default 7 days).
+   * @param {boolean} [options.trackWrites=false] - Whether documents written by the adapter are
+   *   stamped with `_adapterWriteId`, so that triggers can skip them with `skipAdapterWrites`.
+   * @param {Object<string, Object>} [options.databases={}] - Firestore instances keyed by database ID.
+   * @param {Object|null} [options.app=null] - App used to open database IDs not in `databases`
+   *   (the default app if not specified).
+   * @param {boolean} [options.asDefault=true] - Whether the adapter becomes the default adapter.
+   * @param {Object} [options.logger] - Logger with `debug`, `info`, `warn` and `error` methods
+   *   (the firebase-functions logger if not specified).
+   * @param {string} [options.logLevel="warn"] - Minimum level written: "debug", "info", "warn",
+   *   "error" or "silent".
+   * @param {boolean} [options.logData=false] - Whether written documents are logged
+   *   (fields in the model's `sensitiveFields` are redacted).
+   * @param {Function|null} [options.correlationIdResolver=null] - Function returning the
+   *   correlation ID of log entries outside of `ServerAdapter.runWithCorrelationId`.
+   */
+  constructor(firestore, functions = null, options = {}) {
+    const {
+      defaultActor = DEFAULT_ACTOR,
+      actorResolver = defaultActorResolver,
+      idempotencyTTL = DEFAULT_IDEMPOTENCY_TTL,
+      trackWrites = false,
+      databases = {},
+      app = null,
+      asDefault = true,
+      logger: customLogger = logger,
+      logLevel = "warn",
+      logData = false,
+      correlationIdResolver = null,
+    } = options;
+    if (!LOG_LEVELS.includes(logLevel)) {
+      throw new InvalidArgumentError(
+        `logLevel must be one of ${LOG_LEVELS.join(", ")}.`,
+        { logLevel }
+      );
+    }
+    this.#firestore = firestore;
+    this.#functions = functions;
+    this.#app = app;
+    this.#databases = new Map(Object.entries(databases));
+    this.#settings = {
+      defaultActor,
+      actorResolver,
+      idempotencyTTL,
+      trackWrites,
+      logger: customLogger,
+      logLevel,
+      logData,
+      correlationIdResolver,
+    };
+
+    if (!asDefault) return;
+    ServerAdapter.defaultAdapter = this;
+    ServerAdapter.firestore = firestore;
+    ServerAdapter.functions = functions; // 2025-12-29 added
+    ServerAdapter.GeoPoint = GeoPoint; // 2025-12-29 added
+  }
+
+  /**
+   * Returns the settings of the default adapter.
+   * @returns {Object}
+   * @throws {PreconditionError} If no default adapter has been constructed.
+   */
+  static #getDefaultSettings() {
+    if (!ServerAdapter.defaultAdapter) {
+      throw new PreconditionError("Firestore instance not initialized");
+    }
+    return ServerAdapter.defaultAdapter.#settings;
+  }
+
+  /**
+   * Actor recorded by the default adapter when a write doesn't specify one.
+   * - Setting it changes the default adapter's `defaultActor`.
+   * @type {string|Object}
+   */
+  static get defaultActor() {
+    return ServerAdapter.defaultAdapter?.defaultActor ?? DEFAULT_ACTOR;
+  }
+
+  static set defaultActor(value) {
+    ServerAdapter.#getDefaultSettings().defaultActor = value;
+  }
+
+  /**
+   * Function the default adapter uses to convert an actor to a uid.
+   * - Setting it changes the default adapter's `actorResolver`.
+   * @type {Function}
+   */
+  static get actorResolver() {
+    return ServerAdapter.defaultAdapter?.actorResolver ?? defaultActorResolver;
+  }
+
+  static set actorResolver(value) {
+    ServerAdapter.#getDefaultSettings().actorResolver = value;
+  }
+
+  /**
+   * Milliseconds the default adapter keeps idempotency keys.
+   * - Setting it changes the default adapter's `idempotencyTTL`.
+   * @type {number}
+   */
+  static get idempotencyTTL() {
+    return (
+      ServerAdapter.defaultAdapter?.idempotencyTTL ?? DEFAULT_IDEMPOTENCY_TTL
+    );
+  }
+
+  static set idempotencyTTL(value) {
+    ServerAdapter.#getDefaultSettings().idempotencyTTL = value;
+  }
+
+  get type() {
+    return "SERVER";
+  }
+
+  /**
+   * 設定されたロガーを返します（既定は firebase-functions の logger）。
+   * FireModel でコンソールを出力するために使用します。
+   */
+  get logger() {
+    return this.#settings.logger;
+  }
+
+  /**
+   * Minimum level of the log entries the adapter writes.
+   * @returns {string}
+   */
+  get logLevel() {
+    return this.#settings.logLevel;
+  }
+
+  /**
+   * Whether written documents are included in log entries.
+   * @returns {boolean}
+   */
+  get logData() {
+    return this.#settings.logData;
+  }
+
+  /**
+   * Function returning the correlation ID of log entries, or null.
+   * @returns {Function|null}
+   */
+  get correlationIdResolver() {
+    return this.#settings.correlationIdResolver;
+  }
+
+  /**
+   * Run `fn` with a correlation ID added to every log entry written inside it,
+   * including asynchronous work it starts.
+   * @param {string|null} correlationId - Correlation or trace ID.
+   * @param {Function} fn - Function to run.
+   * @returns {*} Return value of `fn`.
+   */
+  static runWithCorrelationId(correlationId, fn) {
+    return correlationStore.run(correlationId, fn);
+  }
+
+  /**
+   * Run `fn` with a request-scoped document loader.
+   * - `fetchDoc` and `fetchDocsByIds` calls made inside it (without a transaction) are
+   *   coalesced into `getAll` calls, and each document is read at most once.
+   * - Writes through the adapter (`create`, `update`, `delete`, ...) inside it clear the
+   *   loaded documents, so later reads see them. `runTransaction` also clears them before
+   *   the update function runs and after the transaction settles.
+   * - A write given a caller-owned `transaction` clears them when the method returns, but
+   *   the transaction commits later. Documents read through the loader until then are
+   *   cached as they were before the commit, so run the transaction with the adapter's
+   *   `runTransaction`, which clears them again after the commit.
+   * - Nested calls share the outer loader.
+   *
+   * @example
+   * export const getInvoice = onCall((request) =>
+   *   ServerAdapter.runWithLoader(async () => {
+   *     const invoice = await new Invoice().fetchDoc({ docId: request.data.docId });
+   *     const customers = await Promise.all(
+   *       invoice.customerIds.map((docId) => new Customer().fetchDoc({ docId }))
+   *     );
+   *     // ...
+   *   })
+   * );
+   *
+   * @param {Function} fn - Function to run.
+   * @returns {*} Return value of `fn`.
+   */
+  static runWithLoader(fn) {
+    if (loaderStore.getStore()) return fn();
+    return loaderStore.run(createDocumentLoader(), fn);
+  }
+
+  /**
+   * Returns the Firestore instance.
+   */
+  get firestore() {
+    if (!this.#firestore) {
+      throw new PreconditionError("Firestore instance not initialized");
+    }
+    return this.#firestore;
+  }
+
+  /**
+   * Returns the Functions instance (optional for server-side).
+   * @returns {Object|null} Functions instance or null
+   */
+  get functions() {
+    return this.#functions;
+  }
+
+  /**
+   * Returns the GeoPoint class from firebase-admin.
+   */
+  get GeoPoint() {
+    return GeoPoint;
+  }
+
+  /**
+   * Actor recorded when a write doesn't specify one.
+   * @returns {string|Object}
+   */
+  get defaultActor() {
+    return this.#settings.defaultActor;
+  }
+
+  /**
+   * Function that converts an actor to a uid.
+   * @returns {Function}
+   */
+  get actorResolver() {
+    return this.#settings.actorResolver;
+  }
+
+  /**
+   * Milliseconds idempotency keys are kept.
+   * @returns {number}
+   */
+  get idempotencyTTL() {
+    return this.#settings.idempotencyTTL;
+  }
+
+  /**
+   * Whether documents written by the adapter are stamped with a write ID.
+   * @returns {boolean}
+   */
+  get trackWrites() {
+    return this.#settings.trackWrites;
+  }
+
+  /**
+   * Returns the Firestore instance of a database.
+   * - A database ID is looked up in `options.databases`, otherwise it is opened with
+   *   `getFirestore(app, databaseId)` and cached.
+   * - A Firestore instance is returned as is, and an adapter is replaced with its Firestore.
+   * @param {string|Object|null} [database=null] - Database ID, Firestore instance or adapter.
+   *   The adapter's own Firestore instance if not specified.
+   * @returns {Firestore}
+   * @throws {Error} If `database` is invalid.
+   */
+  getDatabase(database = null) {
+    if (database instanceof ServerAdapter) return database.firestore;
+    if (database && typeof database === "object") return database;
+    if (database === null || database === this.firestore.databaseId) {
+      return this.firestore;
+    }
+    if (typeof database !== "string" || database.length === 0) {
+      throw new InvalidArgumentError(
+        `database must be a database ID, a Firestore instance or a ServerAdapter.`
+      );
+    }
+    if (!this.#databases.has(database)) {
+      this.#databases.set(
+        database,
+        this.#app ? getFirestore(this.#app, database) : getFirestore(database)
+      );
+    }
+    return this.#databases.get(database);
+  }
+
+  /**
+   * Assigns the next Autonumber code to this instance within a transaction.
+   * - Settings are read from `Autonumbers/{collectionPath}`:
+   *   - `field`: Property to assign the code to.
+   *   - `length`: Number of digits (zero-padded).
+   *   - `step`: Increment per issued code (default 1).
+   *   - `prefix` / `suffix`: Templates with date tokens `{YYYY}`, `{YY}`, `{MM}`, `{DD}`, `{FY}`.
+   *     ex) `INV-{YYYY}-` -> `INV-2026-00042`
+   *   - `reset`: "none", "yearly", "fiscalYear", "monthly" or "daily".
+   *   - `fiscalYearStartMonth`: First month of the fiscal year (default 4).
+   *   - `timeZone`: Time zone used for date tokens and reset periods (default "UTC").
+   * - If the document does not exist, it is initialized from the model's `static autonumber`
+   *   defaults (ex. `{ field: "code", length: 5 }`) if defined. `field` is required.
+   * @param {Object} args - Options.
+   * @param {Object} args.transaction - Firestore transaction (required).
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<Function>} Function to update the Autonumber document.
+   */
+  async setAutonumber({ transaction, prefix = null, database = null } = {}) {
+    const log = startOperationLog(this, "setAutonumber", { prefix });
+    try {
+      if (!transaction) {
+        throw new InvalidArgumentError("transaction is required.");
+      }
+
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const { field, codes, commit } = await allocateAutonumbers({
+        transaction,
+        firestore: resolveFirestore(this.constructor, database),
+        collectionPath,
+        count: 1,
+        defaults: this.constructor.autonumber,
+      });
+
+      this[field] = codes[0];
+
+      return commit;
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Returns the Autonumber settings of the model's collection.
+   * - Settings not stored in the document are filled with defaults.
+   * @param {Object} args - Options.
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<Object|null>} Autonumber settings, or null if the document does not exist.
+   */
+  async getAutonumber({ prefix = null, database = null } = {}) {
+    const log = startOperationLog(this, "getAutonumber", { prefix });
+    try {
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const docSnap = await getAutonumberDocRef(
+        resolveFirestore(this.constructor, database),
+        collectionPath
+      ).get();
+      return docSnap.exists
+        ? { ...AUTONUMBER_DEFAULTS, ...docSnap.data() }
+        : null;
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Creates or updates the Autonumber settings of the model's collection.
+   * - Given settings are merged into the document. If the document does not exist, it is
+   *   initialized with the model's `static autonumber` defaults first.
+   * - Set `current` to change the last issued number.
+   * @example
+   * await new Invoice().updateAutonumber({
+   *   settings: { field: "code", prefix: "INV-{FY}-", length: 5, reset: "fiscalYear" },
+   * });
+   * @param {Object} args - Options.
+   * @param {Object} args.settings - Settings to update.
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<Object>} Updated Autonumber settings.
+   * @throws {Error} If settings are invalid.
+   */
+  async updateAutonumber({
+    settings = {},
+    prefix = null,
+    database = null,
+  } = {}) {
+    const log = startOperationLog(this, "updateAutonumber", { prefix });
+    try {
+      validateAutonumberSettings(settings);
+
+      const firestore = resolveFirestore(this.constructor, database);
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const docRef = getAutonumberDocRef(firestore, collectionPath);
+
+      return await firestore.runTransaction(async (txn) => {
+        const docSnap = await txn.get(docRef);
+        const data = {
+          ...AUTONUMBER_DEFAULTS,
+          ...(docSnap.exists ? docSnap.data() : this.constructor.autonumber),
+          ...settings,
+        };
+        if (!data.field) {
+          throw new InvalidArgumentError(
+            `Autonumber field is required. collection: ${collectionPath}`
+          );
+        }
+        txn.set(docRef, data);
+        return data;
+      });
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Returns the code that will be issued next, without consuming it.
+   * @param {Object} args - Options.
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {Date} [args.date=new Date()] - Date used for reset periods and date tokens.
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<string>} Next code.
+   * @throws {NotFoundError} If Autonumber is not configured.
+   * @throws {AutonumberDisabledError|AutonumberExhaustedError} If Autonumber is disabled or exhausted.
+   */
+  async previewAutonumber({
+    prefix = null,
+    date = new Date(),
+    database = null,
+  } = {}) {
+    const log = startOperationLog(this, "previewAutonumber", { prefix });
+    try {
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const adapter = getModelAdapter(this.constructor);
+      const data =
+        (await adapter.getAutonumber.call(this, { prefix, database })) ||
+        this.constructor.autonumber;
+      if (!data) {
+        throw new NotFoundError(
+          `Could not find Autonumber document. collection: ${collectionPath}`,
+          { path: `Autonumbers/${collectionPath}` }
+        );
+      }
+
+      const { codes } = planAutonumbers(data, { collectionPath, date });
+      return codes[0];
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Returns a function to update the counter document in Firestore.
+   * - This function treats 'this' as a FireModel instance.
+   * - Counters are maintained only if the model's `static useCounter` is true.
+   * - The count is stored in `{parent}/meta/docCounter` as a field named after the collection.
+   *   ex) `companies/{companyId}/customers` -> `companies/{companyId}/meta/docCounter.customers`
+   * - If the model's `static counterShards` is greater than 1, the count is split into shard
+   *   documents under `{parent}/meta/docCounter/shards` to spread writes.
+   * @param {Object} args - Parameters for counter update.
+   * @param {Object} args.transaction - Firestore transaction or batch object (required).
+   * @param {boolean} [args.increment=true] - Whether to increment (true) or decrement (false) the counter.
+   * @param {number} [args.count=1] - Number of documents added or removed.
+   * @param {string|null} [args.prefix=null] - Optional path prefix for collection.
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<Function|null>} Function to update the counter document, or null if counters are disabled.
+   */
+  async getCounterUpdater(args = {}) {
+    const {
+      transaction,
+      increment = true,
+      count = 1,
+      prefix = null,
+      database = null,
+    } = args;
+    // transaction is required
+    if (!transaction) {
+      throw new InvalidArgumentError(
+        "[ServerAdapter - getCounterUpdater] transaction is required."
+      );
+    }
+
+    if (!this.constructor.useCounter) return null;
+
+    const { colName, counterRef, shardsRef, shards } = getCounterRefs(
+      resolveFirestore(this.constructor, database),
+      this.constructor,
+      prefix
+    );
+    const amount = FieldValue.increment(increment ? count : -count);
+
+    if (shards > 1) {
+      const shardRef = shardsRef.doc(
+        `${colName}_${Math.floor(Math.random() * shards)}`
+      );
+      return () =>
+        transaction.set(
+          shardRef,
+          { collection: colName, count: amount },
+          { merge: true }
+        );
+    }
+
+    return () =>
+      transaction.set(counterRef, { [colName]: amount }, { merge: true });
+  }
+
+  /**
+   * Returns the number of documents in the model's collection from the counter document.
+   * - Requires the model's `static useCounter` to be true.
+   * @param {Object} args - Options.
+   * @param {string|null} [args.prefix=null] - Optional path prefix for collection.
+   * @param {Object|null} [args.transaction=null] - Firestore transaction (optional).
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<number>} Number of documents (0 if the counter does not exist yet).
+   * @throws {PreconditionError} If counters are disabled for the model.
+   */
+  async getCount({ prefix = null, transaction = null, database = null } = {}) {
+    const log = startOperationLog(this, "getCount", { prefix });
+    try {
+      if (!this.constructor.useCounter) {
+        throw new PreconditionError(`Counter is not enabled for this model.`);
+      }
+
+      const { colName, counterRef, shardsRef, shards } = getCounterRefs(
+        resolveFirestore(this.constructor, database),
+        this.constructor,
+        prefix
+      );
+
+      if (shards > 1) {
+        const aggregateQuery = shardsRef
+          .where("collection", "==", colName)
+          .aggregate({ total: AggregateField.sum("count") });
+        const snapshot = transaction
+          ? await transaction.get(aggregateQuery)
+          : await aggregateQuery.get();
+        return snapshot.data().total;
+      }
+
+      const docSnap = transaction
+        ? await transaction.get(counterRef)
+        : await counterRef.get();
+      return (docSnap.exists && docSnap.get(colName)) || 0;
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Rebuilds the counter of the model's collection from the actual number of documents.
+   * - Counts documents with a server-side aggregation and overwrites the counter (all shards).
+   * - Use it to initialize counters for existing collections or to repair drift.
+   * @param {Object} args - Options.
+   * @param {string|null} [args.prefix=null] - Optional path prefix for collection.
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<number>} Number of documents written to the counter.
+   * @throws {PreconditionError} If counters are disabled for the model.
+   */
+  async recount({ prefix = null, database = null } = {}) {
+    const log = startOperationLog(this, "recount", { prefix });
+    try {
+      if (!this.constructor.useCounter) {
+        throw new PreconditionError(`Counter is not enabled for this model.`);
+      }
+
+      const firestore = resolveFirestore(this.constructor, database);
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const { colName, counterRef, shardsRef, shards } = getCounterRefs(
+        firestore,
+        this.constructor,
+        prefix
+      );
+
+      return await firestore.runTransaction(async (txn) => {
+        const countQuery = firestore.collection(collectionPath).count();
+        const count = (await txn.get(countQuery)).data().count;
+
+        if (shards > 1) {
+          for (let i = 0; i < shards; i++) {
+            txn.set(shardsRef.doc(`${colName}_${i}`), {
+              collection: colName,
+              count: i === 0 ? count : 0,
+            });
+          }
+        } else {
+          txn.set(counterRef, { [colName]: count }, { merge: true });
+        }
+
+        return count;
+      });
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Create a new document in Firestore.
+   * @param {Object} args - Creation options.
+   * @param {string} [args.docId] - Document ID to use (optional). It must not be used yet.
+   * @param {boolean} [args.useAutonumber=true] - Whether to use auto-numbering.
+   * @param {Object} [args.transaction] - Firestore transaction.
+   * @param {Function} [args.callBack] - Callback function.
+   * @param {string} [args.prefix] - Path prefix.
+   * @param {string|Object} [args.actor] - Acting user (uid, `auth` or request object).
+   * @param {boolean|string} [args.optimisticLock] - Overrides the model's `optimisticLock`.
+   * @param {string|null} [args.idempotencyKey=null] - Key (e.g. event ID) recorded with the document.
+   *   A repeated call with the same key returns the original reference without writing or
+   *   running `callBack`. Keys are scoped to the operation (and `docId` if specified).
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<DocumentReference>} Reference to the created document.
+   * @throws {ValidationError} If `validate()` fails.
+   * @throws {AlreadyExistsError} If a document with `docId` already exists.
+   * @throws {Error} If creation fails or `callBack` is not a function.
+   */
+  async create(args = {}) {
+    const {
+      docId,
+      useAutonumber = true,
+      transaction,
+      callBack,
+      prefix,
+      actor = null,
+      optimisticLock,
+      idempotencyKey = null,
+      database = null,
+    } = args;
+
+    const log = startOperationLog(this, "create", args, { document: true });
+    try {
+      const firestore = resolveFirestore(this.constructor, database);
+      const uid = resolveActor(actor, getModelAdapter(this.constructor));
+      const lockMode = getLockMode(this.constructor, optimisticLock);
+      const versionField = getVersionField(this.constructor);
+
+      // `callBack` must be a function if provided.
+      if (callBack && typeof callBack !== "function") {
+        throw new InvalidArgumentError(
+          `[ServerAdapter.js - create] callBack must be a function.`
+        );
+      }
+
+      // Pre-create hooks and validation
+      await this.beforeCreate(args);
+      await this.beforeEdit(args);
+      validateInstance(this);
+
+      // transaction processing
+      const performTransaction = async (txn) => {
+        const collectionPath = this.constructor.getCollectionPath(prefix);
+        const colRef = firestore
+          .collection(collectionPath)
+          .withConverter(this.constructor.converter());
+
+        // Return the original document if the key has already been used.
+        const idempotencyRef = idempotencyKey
+          ? getIdempotencyRef(
+              firestore,
+              collectionPath,
+              "create",
+              idempotencyKey,
+              docId || null
+            )
+          : null;
+        if (idempotencyRef) {
+          const keySnap = await txn.get(idempotencyRef);
+          if (keySnap.exists) {
+            return { docRef: colRef.doc(keySnap.get("docId")), replayed: true };
+          }
+        }
+
+        // Get function to update autonumber if `useAutonumber` is true.
+        const updateAutonumber =
+          this.constructor.useAutonumber && useAutonumber
+            ? await getModelAdapter(this.constructor).setAutonumber.call(this, {
+                transaction: txn,
+                prefix,
+                database: firestore,
+              })
+            : null;
+
+        // Prepare document reference
+        const docRef = docId ? colRef.doc(docId) : colRef.doc();
+
+        // A specified document ID must not be used yet.
+        if (docId) {
+          const docSnap = await txn.get(docRef.withConverter(null));
+          if (docSnap.exists) {
+            throw new AlreadyExistsError(
+              `The document to be created already exists. The document ID is ${docId}.`,
+              { path: docSnap.ref.path, docId }
+            );
+          }
+        }
+
+        // Get function to update counter document.
+        const adapter = getModelAdapter(this.constructor);
+        const counterUpdater = await adapter.getCounterUpdater.bind(this)({
+          transaction: txn,
+          increment: true,
+          prefix,
+          database: firestore,
+        });
+
+        // Set metadata
+        this.docId = docRef.id;
+        this.createdAt = new Date();
+        this.updatedAt = new Date();
+        this.uid = uid;
+
+        // Create document
+        writeHistory(txn, {
+          firestore,
+          modelClass: this.constructor,
+          collectionPath,
+          docId: this.docId,
+          operation: "create",
+          uid,
+          before: null,
+          after: toFirestoreData(this),
+        });
+        txn.set(
+          docRef.withConverter(null),
+          toStoredData(
+            this,
+            lockMode === "version" ? { [versionField]: 1 } : {}
+          )
+        );
+
+        // Update autonumber if applicable
+        if (updateAutonumber) await updateAutonumber();
+
+        if (counterUpdater) await counterUpdater();
+
+        if (idempotencyRef) {
+          txn.set(
+            idempotencyRef,
+            toIdempotencyData({
+              key: idempotencyKey,
+              operation: "create",
+              docId: docRef.id,
+              ttl: getModelAdapter(this.constructor).idempotencyTTL,
+            })
+          );
+        }
+
+        // Execute callback if provided
+        if (callBack) await callBack(txn);
+
+        // Return document reference
+        return { docRef, replayed: false };
+      };
+
+      const { docRef, replayed } = transaction
+        ? await performTransaction(transaction)
+        : await firestore.runTransaction(performTransaction);
+
+      if (replayed) {
+        this.docId = docRef.id;
+        return docRef;
+      }
+
+      rememberState(this);
+      lockStates.set(this, { version: 1, updatedAt: this.updatedAt });
+
+      return docRef;
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      clearLoadedDocs();
+      log.end();
+    }
+  }
+
+  /**
+   * Get a document from Firestore by its ID and load into this instance.
+   * - The class properties will be cleared if the document does not exist.
+   * @param {Object} args - Fetch options.
+   * @param {string} args.docId - Document ID to fetch.
+   * @param {Object|null} [args.transaction=null] - Firestore transaction (optional).
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<boolean>} True if document was found and loaded, false if not found.
+   * @throws {Error} If `docId` is not specified or fetch fails.
+   */
+  async fetch(args = {}) {
+    const { docId, transaction = null, prefix = null, database = null } = args;
+    const log = startOperationLog(this, "fetch", args);
+    try {
+      if (!docId) {
+        throw new InvalidArgumentError(
+          "[ServerAdapter.js - fetch] docId is required."
+        );
+      }
+
+      // Get collection path defined by FireModel.
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+
+      // Prepare document reference.
+      const colRef = resolveFirestore(this.constructor, database)
+        .collection(collectionPath)
+        .withConverter(this.constructor.converter());
+      const docRef = colRef.doc(docId);
+
+      // Fetch document snapshot.
+      const docSnap = transaction
+        ? await transaction.get(docRef)
+        : await docRef.get();
+
+      // Load data into this instance, or reset if not found.
+      this.initialize(docSnap.exists ? docSnap.data() : null);
+      if (docSnap.exists) {
+        rememberState(this);
+        rememberLockState(this, docSnap);
+      }
+
+      return docSnap.exists;
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Get a document from Firestore by its ID and return as a new instance.
+   * - Inside `ServerAdapter.runWithLoader`, reads without a transaction go through the
+   *   request-scoped loader: concurrent calls are batched and each document is read once.
+   * @param {Object} args - Fetch options.
+   * @param {string} args.docId - Document ID to fetch.
+   * @param {Object|null} [args.transaction=null] - Firestore transaction (optional).
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<Object|null>} Document data, or null if not found.
+   * @throws {Error} If `docId` is not specified or fetch fails.
+   */
+  async fetchDoc(args = {}) {
+    const log = startOperationLog(this, "fetchDoc", args);
+    try {
+      const {
+        docId,
+        transaction = null,
+        prefix = null,
+        database = null,
+      } = args;
+
+      // Throw error if docId is not provided.
+      if (!docId) {
+        throw new InvalidArgumentError(
+          "[ServerAdapter.js - fetchDoc] 'docId' is required."
+        );
+      }
+
+      // Get collection path defined by FireModel.
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const firestore = resolveFirestore(this.constructor, database);
+
+      // Read through the request-scoped loader if any.
+      const loader = transaction ? null : loaderStore.getStore();
+      if (loader) {
+        const docSnap = await loader.load(
+          firestore,
+          firestore.collection(collectionPath).doc(docId)
+        );
+        return hydrateSnapshot(this.constructor, docSnap);
+      }
+
+      // Prepare document reference.
+      const colRef = firestore
+        .collection(collectionPath)
+        .withConverter(this.constructor.converter());
+      const docRef = colRef.doc(docId);
+
+      // Fetch document snapshot.
+      const docSnap = transaction
+        ? await transaction.get(docRef)
+        : await docRef.get();
+
+      if (!docSnap.exists) return null;
+
+      const instance = docSnap.data();
+      rememberState(instance);
+      rememberLockState(instance, docSnap);
+      return instance;
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Fetch documents by their IDs with `getAll`, in one round trip.
+   * - `docs` is in the order of `docIds`, with null for documents that don't exist.
+   *   Duplicated IDs are read once, and each position gets its own instance.
+   * - Inside `ServerAdapter.runWithLoader`, reads without a transaction go through the
+   *   request-scoped loader.
+   *
+   * @example
+   * const { docs, missing } = await new Customer().fetchDocsByIds({
+   *   docIds: invoice.customerIds,
+   *   prefix: "companies/abc",
+   * });
+   *
+   * @param {Object} args - Fetch options.
+   * @param {Array<string>} args.docIds - Document IDs to fetch.
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {Object|null} [args.transaction=null] - Firestore transaction (optional).
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<{docs: Array<Object|null>, missing: Array<string>}>} Instances and the IDs not found.
+   * @throws {Error} If `docIds` is invalid or fetch fails.
+   */
+  async fetchDocsByIds({
+    docIds,
+    prefix = null,
+    transaction = null,
+    database = null,
+  } = {}) {
+    const log = startOperationLog(this, "fetchDocsByIds", { prefix });
+    try {
+      if (!Array.isArray(docIds)) {
+        throw new InvalidArgumentError(`docIds must be an array.`);
+      }
+      const invalid = docIds.find(
+        (docId) => typeof docId !== "string" || !docId || docId.includes("/")
+      );
+      if (invalid !== undefined) {
+        throw new InvalidArgumentError(
+          `Invalid docId: ${invalid}. Must be a non-empty string without slashes.`,
+          { docId: invalid }
+        );
+      }
+
+      const firestore = resolveFirestore(this.constructor, database);
+      const colRef = firestore.collection(
+        this.constructor.getCollectionPath(prefix)
+      );
+      const uniqueIds = [...new Set(docIds)];
+      const refs = uniqueIds.map((docId) => colRef.doc(docId));
+
+      const loader = transaction ? null : loaderStore.getStore();
+      let snapshots = [];
+      if (loader) {
+        snapshots = await Promise.all(
+          refs.map((ref) => loader.load(firestore, ref))
+        );
+      } else if (refs.length) {
+        snapshots = transaction
+          ? await transaction.getAll(...refs)
+          : await firestore.getAll(...refs);
+      }
+
+      const snapshotById = new Map(
+        uniqueIds.map((docId, index) => [docId, snapshots[index]])
+      );
+      return {
+        docs: docIds.map((docId) =>
+          hydrateSnapshot(this.constructor, snapshotById.get(docId))
+        ),
+        missing: uniqueIds.filter((docId) => !snapshotById.get(docId).exists),
+      };
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Firestore のクエリ条件の配列を受け取り、クエリを絞り込む関数の配列を生成して返します。
+   * - `constraints` 配列には、`where`, `or`, `and`, `orderBy`, `limit`, `limitToLast`, `select` を指定できます。
+   * - 例：`[['where', 'age', '>=', 18], ['orderBy', 'age', 'desc'], ['limit', 10]]`
+   * - 返された関数は Query を受け取り、条件を適用した Query を返します。
+   *   例：`queries.reduce((queryRef, apply) => apply(queryRef), colRef)`
+   * - カーソル（`startAfter` など）は `fetchDocs` で指定してください。
+   * - 不明なクエリタイプや不正な条件が指定された場合はエラーをスローします。
+   *
+   * @param {Array} constraints - クエリ条件の配列です。
+   * @returns {Array<Function>} - Query を絞り込む関数の配列を返します。
+   * @throws {Error} - 不明なクエリタイプや不正な条件が指定された場合、エラーをスローします。
+   */
+  createQueries(constraints) {
+    const log = startOperationLog(this, "createQueries", {});
+    try {
+      validateQueryConstraints(constraints);
+      return constraints.map(createQueryApplier);
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Firestore の `tokenMap` に基づく N-Gram 検索用のクエリを絞り込む関数を生成します。
+   * - 検索文字列を空白で区切った語ごとに、モデルの `tokenMapOptions.ngram` のうち語に収まる最長の長さで
+   *   トークンを作成し、Firestore の `tokenMap` を利用した検索クエリを生成します。
+   * - 例：`"検索"`（ngram: [1, 2]）→ `['検索']`、`"検"` → `['検']`
+   * - 検索文字列は `tokenMap` の生成時と同じく正規化（全角・半角、カタカナ・ひらがな、大文字・小文字）されます。
+   * - サロゲートペア文字（絵文字など）は Firestore の `tokenMap` では検索対象としないため除外します。
+   *
+   * @param {string} constraints - 検索に使用する文字列です。
+   * @returns {Array<Function>} - Query を絞り込む関数の配列を返します。
+   * @throws {Error} - `constraints` が空文字の場合、エラーをスローします。
+   */
+  createTokenMapQueries(constraints) {
+    const settings = getTokenMapSettings(this.constructor);
+    return this.createQueries(getSearchConstraints(constraints, settings));
+  }
+
+  /**
+   * Regenerates `tokenMap` of existing documents from the model's `tokenFields`, in batches.
+   * - Use after adding `tokenFields` to a model or changing `tokenMapOptions`.
+   * - Only documents whose `tokenMap` differs are written. `updatedAt` and `uid` are not changed.
+   * - Documents are processed in document ID order. Pass the returned `lastDocId` as
+   *   `startAfter` to resume an interrupted backfill.
+   * @param {Object} args - Backfill options.
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {number} [args.batchSize=500] - Number of documents read and written per batch.
+   * @param {string|null} [args.startAfter=null] - docId to resume after (optional).
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<{scanned: number, updated: number, lastDocId: string|null}>}
+   * @throws {Error} If the model has no `tokenFields`, arguments are invalid or writing fails.
+   */
+  async backfillTokenMap({
+    prefix = null,
+    batchSize = MAX_BATCH_WRITES,
+    startAfter = null,
+    database = null,
+  } = {}) {
+    const log = startOperationLog(this, "backfillTokenMap", { prefix });
+    try {
+      const settings = getTokenMapSettings(this.constructor);
+      if (settings.fields.length === 0) {
+        throw new PreconditionError(`The model has no tokenFields.`);
+      }
+
+      if (
+        !Number.isInteger(batchSize) ||
+        batchSize <= 0 ||
+        batchSize > MAX_BATCH_WRITES
+      ) {
+        throw new InvalidArgumentError(
+          `Invalid batchSize: ${batchSize}. Must be 1-${MAX_BATCH_WRITES}.`
+        );
+      }
+
+      const firestore = resolveFirestore(this.constructor, database);
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const baseQuery = firestore
+        .collection(collectionPath)
+        .orderBy(FieldPath.documentId())
+        .limit(batchSize);
+
+      const result = { scanned: 0, updated: 0, lastDocId: startAfter };
+      while (true) {
+        const queryRef = result.lastDocId
+          ? baseQuery.startAfter(result.lastDocId)
+          : baseQuery;
+        const snapshot = await queryRef.get();
+        if (snapshot.empty) break;
+
+        const batch = firestore.batch();
+        let writes = 0;
+        snapshot.docs.forEach((doc) => {
+          const tokenMap = generateTokenMap(doc.data(), settings);
+          if (isEqualValue(doc.get(TOKEN_MAP_FIELD), tokenMap)) return;
+          batch.update(doc.ref, {
+            [TOKEN_MAP_FIELD]: tokenMap,
+            ...getWriteStamp(this.constructor),
+          });
+          writes++;
+        });
+        if (writes) await batch.commit();
+
+        result.scanned += snapshot.size;
+        result.updated += writes;
+        result.lastDocId = snapshot.docs[snapshot.docs.length - 1].id;
+        if (snapshot.size < batchSize) break;
+      }
+
+      return result;
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Fetch documents from Firestore that match the given constraints.
+   * - `constraints` and `options` accept the same tuples:
+   *   `where`, `or`, `and`, `orderBy`, `limit`, `limitToLast`, `select`,
+   *   `startAt`, `startAfter`, `endAt` and `endBefore`.
+   * - `where` supports every Firestore operator, including `in`, `not-in` and
+   *   `array-contains-any`, and also accepts a `Filter` (`['where', Filter.or(...)]`).
+   * - `or` / `and` take nested filter tuples.
+   *   ex) `[['or', ['where', 'status', '==', 'active'], ['where', 'priority', '>=', 3]]]`
+   * - Use `FieldPath.documentId()` (or "__name__") as the field to filter by document ID.
+   *   ex) `[['where', FieldPath.documentId(), 'in', ['a', 'b']]]`
+   * - `select` loads only the given fields (and `docId`); other properties of the returned instances keep
+   *   their default values, so don't save them back with `update` without `fields`.
+   * - Cursor tuples take a docId, a model instance or a DocumentSnapshot.
+   *   ex) `[['orderBy', 'code'], ['startAfter', 'abc123'], ['limit', 100]]`
+   * - `constraints` may also be a search string. It is expanded to `tokenMap` queries
+   *   (see `createTokenMapQueries`) and combined with `options`.
+   *   ex) `fetchDocs({ constraints: "やまだ", options: [['limit', 20]] })`
+   *   Combining it with `orderBy` requires a composite index for each token, so sort in memory instead.
+   * - If `withCursor` is true, returns `{ docs, nextCursor }` where `nextCursor` is the docId
+   *   of the last document of a full page (pass it to `startAfter` for the next page), or null.
+   *   With `limitToLast` it is the docId of the first document (pass it to `endBefore`).
+   *
+   * @param {Object} args - Fetch options.
+   * @param {Array|string} [args.constraints=[]] - Query constraints, or a search string.
+   * @param {Array} [args.options=[]] - Additional query options.
+   * @param {Object|null} [args.transaction=null] - Firestore transaction (optional).
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {boolean} [args.withCursor=false] - Whether to return the next-page cursor.
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<Array<Object>|{docs: Array<Object>, nextCursor: string|null}>}
+   * @throws {Error} If constraints are invalid or fetch fails.
+   */
+  async fetchDocs({
+    constraints = [],
+    options = [],
+    transaction = null,
+    prefix = null,
+    withCursor = false,
+    database = null,
+  } = {}) {
+    const log = startOperationLog(this, "fetchDocs", { prefix });
+    try {
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const colRef = resolveFirestore(this.constructor, database)
+        .collection(collectionPath)
+        .withConverter(this.constructor.converter());
+
+      return await queryCollection({
+        colRef,
+        constraints:
+          typeof constraints === "string"
+            ? getSearchConstraints(
+                constraints,
+                getTokenMapSettings(this.constructor)
+              )
+            : constraints,
+        options,
+        transaction,
+        withCursor,
+        hydrate: (doc) => {
+          const instance = doc.data();
+          rememberState(instance);
+          rememberLockState(instance, doc);
+          return instance;
+        },
+      });
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Fetch documents whose location is within `radius` meters of `center`, nearest first.
+   * - The model must declare `static locationField` (a GeoPoint field). The adapter stores
+   *   its geohash in `geohash` on `create` / `update`; documents written before the field
+   *   was declared are found after they are updated.
+   * - Runs one range query on `geohash` per cell covering the circle (up to 9, in parallel),
+   *   merges the results, drops documents outside the circle (the cells are larger than it)
+   *   and sorts the rest by distance.
+   * - `constraints` accepts filter tuples only (`where`, `or`, `and`), because the queries
+   *   are ordered by `geohash`. Combining them with the range requires a composite index.
+   *
+   * @example
+   * const sites = await new Site().fetchDocsNear({
+   *   center: new GeoPoint(35.6812, 139.7671),
+   *   radius: 5000,
+   *   constraints: [["where", "status", "==", "active"]],
+   * });
+   *
+   * @param {Object} args - Fetch options.
+   * @param {Object} args.center - GeoPoint (or `{ latitude, longitude }`) of the center.
+   * @param {number} args.radius - Radius in meters.
+   * @param {Array} [args.constraints=[]] - Filter tuples.
+   * @param {number|null} [args.limit=null] - Maximum number of nearest documents returned.
+   * @param {boolean} [args.withDistance=false] - Whether to return `{ doc, distance }` pairs
+   *   (distance in meters) instead of model instances.
+   * @param {Object|null} [args.transaction=null] - Firestore transaction (optional).
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<Array<Object>|Array<{doc: Object, distance: number}>>}
+   * @throws {Error} If the model has no `locationField`, arguments are invalid or fetch fails.
+   */
+  async fetchDocsNear({
+    center,
+    radius,
+    constraints = [],
+    limit = null,
+    withDistance = false,
+    transaction = null,
+    prefix = null,
+    database = null,
+  } = {}) {
+    const log = startOperationLog(this, "fetchDocsNear", { prefix });
+    try {
+      const locationField = getLocationField(this.constructor);
+      if (!locationField) {
+        throw new PreconditionError(`The model has no locationField.`);
+      }
+
+      const coordinates = toCoordinates(center);
+      if (!coordinates) {
+        throw new InvalidArgumentError(
+          `center must be a GeoPoint or { latitude, longitude }.`
+        );
+      }
+
+      if (!Number.isFinite(radius) || radius <= 0) {
+        throw new InvalidArgumentError(
+          `Invalid radius: ${radius}. Must be a positive number of meters.`
+        );
+      }
+
+      if (limit !== null && (!Number.isInteger(limit) || limit <= 0)) {
+        throw new InvalidArgumentError(
+          `Invalid limit: ${limit}. Must be a positive integer.`
+        );
+      }
+
+      validateQueryConstraints(constraints);
+      const invalid = constraints.find(
+        (item) => !["where", "or", "and"].includes(item?.[0])
+      );
+      if (invalid) {
+        throw new InvalidArgumentError(
+          `fetchDocsNear accepts only where, or and and constraints: ${invalid[0]}.`
+        );
+      }
+
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const colRef = resolveFirestore(this.constructor, database)
+        .collection(collectionPath)
+        .withConverter(this.constructor.converter());
+      const filtered = await applyQueryConstraints(colRef, constraints);
+
+      const snapshots = await Promise.all(
+        getGeohashQueryBounds(coordinates, radius).map(([start, end]) => {
+          const queryRef = filtered
+            .orderBy(GEOHASH_FIELD)
+            .startAt(start)
+            .endAt(end);
+          return transaction ? transaction.get(queryRef) : queryRef.get();
+        })
+      );
+
+      const results = new Map();
+      snapshots
+        .flatMap((snapshot) => snapshot.docs)
+        .forEach((doc) => {
+          if (results.has(doc.id)) return;
+          const location = toCoordinates(doc.get(locationField));
+          if (!location) return;
+          const distance = getDistance(coordinates, location);
+          if (distance > radius) return;
+          const instance = doc.data();
+          rememberState(instance);
+          rememberLockState(instance, doc);
+          results.set(doc.id, { doc: instance, distance });
+        });
+
+      const sorted = [...results.values()]
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit ?? undefined);
+      return withDistance ? sorted : sorted.map(({ doc }) => doc);
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Iterate over all documents matching the given constraints, page by page.
+   * - Returns an async iterator that yields model instances one by one.
+   * - Only one page (`pageSize` documents) is held in memory at a time.
+   * - Accepts the filter tuples of `fetchDocs` (`where`, `or`, `and`), `orderBy` and `select`,
+   *   or a search string. `limit`, `limitToLast` and cursor tuples cannot be used; use
+   *   `startAfter` instead.
+   *
+   * @example
+   * for await (const customer of new Customer().streamDocs({ pageSize: 500 })) {
+   *   // ...
+   * }
+   *
+   * @param {Object} args - Iteration options.
+   * @param {Array|string} [args.constraints=[]] - Query constraints, or a search string.
+   * @param {Array} [args.options=[]] - Additional query options.
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {number} [args.pageSize=500] - Number of documents fetched per page.
+   * @param {string|Object|null} [args.startAfter=null] - Cursor to start after (docId, model instance or snapshot).
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {AsyncGenerator<Object>} Async iterator of model instances.
+   * @throws {Error} If arguments are invalid or fetch fails.
+   */
+  async *streamDocs({
+    constraints = [],
+    options = [],
+    prefix = null,
+    pageSize = 500,
+    startAfter = null,
+    database = null,
+  } = {}) {
+    const log = startOperationLog(this, "streamDocs", { prefix });
+    try {
+      if (!Array.isArray(options)) {
+        throw new InvalidArgumentError(`options must be an array.`);
+      }
+
+      if (!Number.isInteger(pageSize) || pageSize <= 0) {
+        throw new InvalidArgumentError(
+          `Invalid pageSize: ${pageSize}. Must be a positive integer.`
+        );
+      }
+
+      const filterItems =
+        typeof constraints === "string"
+          ? getSearchConstraints(
+              constraints,
+              getTokenMapSettings(this.constructor)
+            )
+          : constraints;
+      validateQueryConstraints(filterItems);
+      const queryItems = [...filterItems, ...options];
+      validateQueryConstraints(queryItems);
+      const invalid = queryItems.find(([type]) => !STREAMABLE_TYPES.has(type));
+      if (invalid) {
+        throw new InvalidArgumentError(
+          `Query type ${invalid[0]} cannot be used with streamDocs.`
+        );
+      }
+
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const colRef = resolveFirestore(this.constructor, database)
+        .collection(collectionPath)
+        .withConverter(this.constructor.converter());
+
+      const baseQuery = await applyQueryConstraints(colRef, queryItems);
+      let cursor = startAfter ? await resolveCursor(colRef, startAfter) : null;
+
+      while (true) {
+        let queryRef = cursor ? baseQuery.startAfter(cursor) : baseQuery;
+        queryRef = queryRef.limit(pageSize);
+
+        const snapshot = await queryRef.get();
+        for (const doc of snapshot.docs) {
+          const instance = doc.data();
+          rememberState(instance);
+          rememberLockState(instance, doc);
+          yield instance;
+        }
+
+        if (snapshot.size < pageSize) break;
+        cursor = snapshot.docs[snapshot.docs.length - 1];
+      }
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Run a server-side aggregation query on documents that match the given constraints.
+   * - `constraints` and `options` are handled the same way as `fetchDocs`.
+   * - `aggregations` maps an alias to an aggregation tuple:
+   *   `['count']`, `['sum', field]` or `['average', field]`.
+   *   ex) `{ count: ['count'], total: ['sum', 'amount'] }` -> `{ count: 12, total: 34000 }`
+   * - Documents are not loaded into memory.
+   *
+   * @param {Object} args - Aggregation options.
+   * @param {Object} args.aggregations - Aggregation tuples keyed by alias.
+   * @param {Array} [args.constraints=[]] - Query constraints.
+   * @param {Array} [args.options=[]] - Additional query options.
+   * @param {Object|null} [args.transaction=null] - Firestore transaction (optional).
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<Object>} Aggregation results keyed by alias.
+   * @throws {Error} If arguments are invalid or the aggregation fails.
+   */
+  async aggregate({
+    aggregations = {},
+    constraints = [],
+    options = [],
+    transaction = null,
+    prefix = null,
+    database = null,
+  } = {}) {
+    const log = startOperationLog(this, "aggregate", { prefix });
+    try {
+      if (!Array.isArray(constraints)) {
+        throw new InvalidArgumentError(`constraints must be an array.`);
+      }
+
+      if (!Array.isArray(options)) {
+        throw new InvalidArgumentError(`options must be an array.`);
+      }
+
+      const aliases = Object.keys(aggregations || {});
+      if (aliases.length === 0) {
+        throw new InvalidArgumentError(
+          `aggregations must have at least one entry.`
+        );
+      }
+
+      const spec = {};
+      for (const alias of aliases) {
+        if (!Array.isArray(aggregations[alias])) {
+          throw new InvalidArgumentError(
+            `Invalid aggregation ${alias}: ${aggregations[alias]}. Must be a tuple like ['count'].`
+          );
+        }
+        const [type, field] = aggregations[alias];
+        switch (type) {
+          case "count":
+            spec[alias] = AggregateField.count();
+            break;
+          case "sum":
+          case "average":
+            if (!field) {
+              throw new InvalidArgumentError(
+                `${type} aggregation requires a field.`
+              );
+            }
+            spec[alias] = AggregateField[type](field);
+            break;
+          default:
+            throw new InvalidArgumentError(
+              `Invalid aggregation type: ${type}. Please use one of: count, sum, average`
+            );
+        }
+      }
+
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const colRef = resolveFirestore(this.constructor, database).collection(
+        collectionPath
+      );
+      const queryRef = await applyQueryConstraints(
+        colRef,
+        [...constraints, ...options],
+        transaction
+      );
+
+      const aggregateQuery = queryRef.aggregate(spec);
+      const snapshot = transaction
+        ? await transaction.get(aggregateQuery)
+        : await aggregateQuery.get();
+
+      return snapshot.data();
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Count documents that match the given constraints.
+   * @param {Object} args - Same as `aggregate` except `aggregations`.
+   * @returns {Promise<number>} Number of matching documents.
+   */
+  async countDocs(args = {}) {
+    const adapter = getModelAdapter(this.constructor);
+    const result = await adapter.aggregate.call(this, {
+      ...args,
+      aggregations: { count: ["count"] },
+    });
+    return result.count;
+  }
+
+  /**
+   * Sum the given field of documents that match the given constraints.
+   * @param {Object} args - Same as `aggregate` except `aggregations`.
+   * @param {string} args.field - Field to sum.
+   * @returns {Promise<number>} Sum of the field (0 if no documents match).
+   */
+  async sumDocs({ field, ...args } = {}) {
+    const adapter = getModelAdapter(this.constructor);
+    const result = await adapter.aggregate.call(this, {
+      ...args,
+      aggregations: { sum: ["sum", field] },
+    });
+    return result.sum;
+  }
+
+  /**
+   * Average the given field of documents that match the given constraints.
+   * @param {Object} args - Same as `aggregate` except `aggregations`.
+   * @param {string} args.field - Field to average.
+   * @returns {Promise<number|null>} Average of the field (null if no documents match).
+   */
+  async averageDocs({ field, ...args } = {}) {
+    const adapter = getModelAdapter(this.constructor);
+    const result = await adapter.aggregate.call(this, {
+      ...args,
+      aggregations: { average: ["average", field] },
+    });
+    return result.average;
+  }
+
+  /**
+   * Updates the Firestore document with the current instance data.
+   * - Requires `this.docId` to be set (usually after calling `fetch()`).
+   * - Runs within a transaction. If not provided, one is created internally.
+   * - If `callBack` is provided, it will be executed after the update.
+   * - If `prefix` is provided, it is used to resolve the collection path.
+   * - By default the whole document is overwritten. If `fields`, `changedOnly` or `fieldValues`
+   *   is specified, only those fields (plus `updatedAt` and `uid`) are written.
+   *   - `fields`: field names (dot paths allowed) to write. ex) `['name', 'address.city']`
+   *   - `changedOnly`: write top-level fields that differ from the last fetched/written state.
+   *   - `fieldValues`: FieldValue operations keyed by field.
+   *     ex) `{ count: ['increment', 1], tags: ['arrayUnion', 'a'], checkedAt: ['serverTimestamp'] }`
+   *     The local values of these fields are not updated; fetch again to get the results.
+   * - If optimistic locking is enabled (`static optimisticLock` of the model or `optimisticLock`),
+   *   the stored version or `updatedAt` is compared with the one captured at fetch time and
+   *   `ConflictError` is thrown on mismatch. The version is incremented on every update.
+   *   Reads must precede writes in a transaction, so pass a `transaction` with no prior writes.
+   *
+   * 現在のインスタンスデータで Firestore のドキュメントを更新します。
+   * - `this.docId` が設定されていない場合はエラーになります（通常は `fetch()` を事前に実行）。
+   * - 更新処理はトランザクション内で行われ、未指定の場合は内部で生成されます。
+   * - `callBack` が指定されている場合は、更新後に実行されます。
+   * - `prefix` が指定されていれば、コレクションパスの解決に使用されます。
+   * - `fields`, `changedOnly`, `fieldValues` のいずれかが指定された場合は、該当するフィールドのみを更新します。
+   *
+   * @param {Object} args - Parameters for update.
+   * @param {Object|null} [args.transaction=null] - Firestore transaction object.
+   * @param {function|null} [args.callBack=null] - Callback function after update.
+   * @param {string|null} [args.prefix=null] - Optional Firestore path prefix.
+   * @param {string|Object|null} [args.actor=null] - Acting user (uid, `auth` or request object).
+   * @param {Array<string>|null} [args.fields=null] - Fields to write (partial update).
+   * @param {boolean} [args.changedOnly=false] - Whether to write changed fields only (partial update).
+   * @param {Object|null} [args.fieldValues=null] - FieldValue operations keyed by field (partial update).
+   * @param {boolean|string} [args.optimisticLock] - Overrides the model's `optimisticLock`.
+   * @param {string|null} [args.idempotencyKey=null] - Key (e.g. event ID) making repeated calls for
+   *   the same document no-ops.
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<DocumentReference>} Reference to the updated document.
+   * @throws {ConflictError} If the document was modified since it was fetched.
+   * @throws {ValidationError} If `validate()` fails.
+   * @throws {Error} If `docId` is not set or update fails.
+   */
+  async update(args = {}) {
+    const {
+      transaction = null,
+      callBack = null,
+      prefix = null,
+      actor = null,
+      fields = null,
+      changedOnly = false,
+      fieldValues = null,
+      optimisticLock,
+      idempotencyKey = null,
+      database = null,
+    } = args;
+    const log = startOperationLog(this, "update", args, { document: true });
+    try {
+      const firestore = resolveFirestore(this.constructor, database);
+      const uid = resolveActor(actor, getModelAdapter(this.constructor));
+      const lockMode = getLockMode(this.constructor, optimisticLock);
+      const versionField = getVersionField(this.constructor);
+      const historyMode = getHistoryMode(this.constructor);
 
-  constructor(firestore, functions = null) {
-    ServerAdapter.firestore = firestore;
-    ServerAdapter.functions = functions; // 2025-12-29 added
-    ServerAdapter.GeoPoint = GeoPoint; // 2025-12-29 added
+      if (callBack !== null && typeof callBack !== "function") {
+        throw new InvalidArgumentError(`callBack must be a function.`);
+      }
+
+      if (fields !== null && !Array.isArray(fields)) {
+        throw new InvalidArgumentError(`fields must be an array.`);
+      }
+
+      if (!this.docId) {
+        throw new PreconditionError(
+          `The docId property is required for update(). Call fetch() first.`
+        );
+      }
+
+      await this.beforeUpdate(args);
+      await this.beforeEdit(args);
+      validateInstance(this);
+
+      const isPartial = fields !== null || changedOnly || fieldValues !== null;
+      let writtenFields = [];
+      let nextVersion = null;
+
+      const performTransaction = async (txn) => {
+        const collectionPath = this.constructor.getCollectionPath(prefix);
+        const colRef = firestore
+          .collection(collectionPath)
+          .withConverter(this.constructor.converter());
+        const docRef = colRef.doc(this.docId);
+
+        // Skip the update if the key has already been used.
+        const idempotencyRef = idempotencyKey
+          ? getIdempotencyRef(
+              firestore,
+              collectionPath,
+              "update",
+              idempotencyKey,
+              this.docId
+            )
+          : null;
+        if (idempotencyRef && (await txn.get(idempotencyRef)).exists) {
+          return { docRef, replayed: true };
+        }
+
+        // Read the stored document for optimistic locking and history.
+        const currentDocSnap =
+          lockMode || historyMode
+            ? await txn.get(docRef.withConverter(null))
+            : null;
+        const before = currentDocSnap?.exists ? currentDocSnap.data() : null;
+
+        if (lockMode) {
+          assertNotModified(this, currentDocSnap, lockMode);
+          nextVersion = (currentDocSnap.get(versionField) ?? 0) + 1;
+        }
+
+        this.updatedAt = new Date();
+        this.uid = uid;
+
+        let after = toFirestoreData(this);
+        if (isPartial) {
+          const data = toFirestoreData(this);
+          const targetFields = [...(fields || [])];
+          if (changedOnly) {
+            targetFields.push(...getChangedFields(this, data));
+          }
+
+          const payload = {};
+          [...new Set([...targetFields, ...METADATA_FIELDS])].forEach((key) => {
+            const value = getByPath(data, key);
+            payload[key] = value === undefined ? FieldValue.delete() : value;
+          });
+          // Values after the write, used for history and derived fields. Fields not
+          // written are taken from the instance if the stored document was not read.
+          after = cloneValue(before || data);
+          Object.keys(payload).forEach((key) =>
+            setByPath(after, key, getByPath(data, key))
+          );
+
+          Object.entries(fieldValues || {}).forEach(([key, value]) => {
+            payload[key] = toFieldValue(key, value);
+            setByPath(
+              after,
+              key,
+              simulateFieldValue(getByPath(before, key), value)
+            );
+          });
+          if (lockMode) payload[versionField] = nextVersion;
+
+          // Regenerate search tokens if a searchable field is written.
+          const tokenSettings = getTokenMapSettings(this.constructor);
+          const touchesTokens = Object.keys(payload).some((key) =>
+            tokenSettings.fields.some(
+              (field) =>
+                field === key ||
+                field.startsWith(`${key}.`) ||
+                key.startsWith(`${field}.`)
+            )
+          );
+          if (touchesTokens) {
+            payload[TOKEN_MAP_FIELD] = generateTokenMap(after, tokenSettings);
+          }
+
+          // Recompute the geohash if the location field is written.
+          const locationField = getLocationField(this.constructor);
+          const touchesLocation =
+            locationField &&
+            Object.keys(payload).some(
+              (key) =>
+                key === locationField ||
+                locationField.startsWith(`${key}.`) ||
+                key.startsWith(`${locationField}.`)
+            );
+          if (touchesLocation) {
+            payload[GEOHASH_FIELD] = getLocationGeohash(after, locationField);
+          }
+
+          writtenFields = Object.keys(payload);
+          txn.update(docRef.withConverter(null), {
+            ...payload,
+            ...getWriteStamp(this.constructor),
+          });
+        } else {
+          txn.set(
+            docRef.withConverter(null),
+            toStoredData(this, lockMode ? { [versionField]: nextVersion } : {})
+          );
+        }
+
+        writeHistory(txn, {
+          firestore,
+          modelClass: this.constructor,
+          collectionPath,
+          docId: this.docId,
+          operation: "update",
+          uid,
+          before,
+          after,
+        });
+
+        if (idempotencyRef) {
+          txn.set(
+            idempotencyRef,
+            toIdempotencyData({
+              key: idempotencyKey,
+              operation: "update",
+              docId: this.docId,
+              ttl: getModelAdapter(this.constructor).idempotencyTTL,
+            })
+          );
+        }
+
+        if (callBack) await callBack(txn);
+        return { docRef, replayed: false };
+      };
+
+      const { docRef, replayed } = transaction
+        ? await performTransaction(transaction)
+        : await firestore.runTransaction(performTransaction);
+      if (replayed) return docRef;
+
+      // Written fields are no longer regarded as changed.
+      const state = fetchedStates.get(this);
+      if (isPartial && state) {
+        const data = toFirestoreData(this);
+        writtenFields.forEach((key) =>
+          setByPath(state, key, cloneValue(getByPath(data, key)))
+        );
+      } else {
+        rememberState(this);
+      }
+      if (lockMode) {
+        lockStates.set(this, {
+          version: nextVersion,
+          updatedAt: this.updatedAt,
+        });
+      }
+
+      return docRef;
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      clearLoadedDocs();
+      log.end();
+    }
   }
 
-  get type() {
-    return "SERVER";
+  /**
+   * Checks if any child documents exist for this document, based on `hasMany` configuration.
+   * - For collections, the prefix is applied to the collection path.
+   * - If `restrictOnly` is true, only items whose `onDelete` policy is `restrict` are checked.
+   *
+   * [NOTE]
+   * - 2025/10/06 現在、transaction.get() に Query を指定することはできない仕様。
+   *   そのため、依存ドキュメントの存在確認には getDocs() を使用することになるが、
+   *   transaction 内での読み取りにならず、当該処理の直後に他のプロセスから依存ドキュメントが
+   *   追加された場合に整合性を失う可能性あり。
+   *   引数 transaction が本来であれば不要だが、将来的に transaction.get() が
+   *   Query に対応した場合に備えて引数として受け取る形にしておく。
+   *
+   * @param {Object} args - Options for the check.
+   * @param {Object|null} [args.transaction=null] - Firestore transaction object (optional).
+   * @param {string|null} [args.prefix=null] - Optional path prefix for resolving collections.
+   * @param {boolean} [args.restrictOnly=false] - Whether to check `restrict` items only.
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<object|boolean>} Matching `hasMany` item if found, otherwise false.
+   * @throws {Error} If `docId` is not set or query fails.
+   */
+  async hasChild({
+    transaction = null,
+    prefix = null,
+    restrictOnly = false,
+    database = null,
+  } = {}) {
+    const log = startOperationLog(this, "hasChild", {
+      prefix,
+      docId: this.docId,
+    });
+    try {
+      if (!this.docId) {
+        throw new PreconditionError(
+          `The docId property is required. Call fetch() first.`
+        );
+      }
+
+      const firestore = resolveFirestore(this.constructor, database);
+      for (const item of this.constructor.hasMany) {
+        if (restrictOnly && getDeletePolicy(item) !== "restrict") continue;
+
+        const queryRef = getDependentsQuery(
+          firestore,
+          item,
+          this.docId,
+          prefix
+        ).limit(1);
+
+        /** transaction.get() が Query に対応した場合は以下をコメントアウト */
+        const snapshot = await queryRef.get();
+
+        /** transaction.get() が Query に対応した場合は以下を使用 */
+        // const snapshot = transaction
+        //   ? await transaction.get(queryRef)
+        //   : await queryRef.get();
+
+        if (!snapshot.empty) return item;
+      }
+
+      return false;
+    } catch (error) {
+      log.fail(error);
+      throw error;
+    } finally {
+      log.end();
+    }
   }
 
   /**
-   * console を返します。
-   * FireModel でコンソールを出力するために使用します。
+   * Deletes the document with the current `docId` from Firestore.
+   * - If `logicalDelete` is enabled, moves the document to an archive collection instead of permanent deletion.
+   *   Archived documents are stamped with `deletedAt`, `deletedBy` and `deleteReason`.
+   * - Runs within a transaction. If not provided, a new one is created internally.
+   * - If `callBack` is provided, it is executed after deletion.
+   * - If `prefix` is provided, it is used to resolve the collection path.
+   * - Dependents defined by `hasMany` are handled according to each item's `onDelete` policy
+   *   (`restrict` (default), `cascade`, `archive-cascade` or `set-null`).
+   *   Non-restrict policies are applied in the same transaction as this deletion when the
+   *   dependents need at most 400 writes. Otherwise they are applied in batches after the
+   *   transaction commits, which is not possible with a caller-provided `transaction`.
+   *   Dependents are written directly, without the counters, history, hooks and `hasMany`
+   *   of their own model.
+   *
+   * 現在の `docId` を持つドキュメントを Firestore から削除します。
+   * - `logicalDelete` が有効な場合は、物理削除せずアーカイブコレクションに移動します。
+   * - トランザクション内で実行され、指定がなければ内部で作成されます。
+   * - `callBack` が指定されていれば、削除後に実行されます。
+   * - `prefix` が指定されていれば、コレクションパスの解決に使用されます。
+   *
+   * @param {Object} args - Deletion options.
+   * @param {Object|null} [args.transaction=null] - Firestore transaction object.
+   * @param {function|null} [args.callBack=null] - Callback to execute after deletion.
+   * @param {string|null} [args.prefix=null] - Optional Firestore path prefix.
+   * @param {string|Object|null} [args.actor=null] - Acting user recorded on the archived document.
+   * @param {boolean|string} [args.optimisticLock] - Overrides the model's `optimisticLock`.
+   * @param {string|null} [args.reason=null] - Reason recorded on archived documents.
+   * @param {string|null} [args.idempotencyKey=null] - Key (e.g. event ID) making repeated calls for
+   *   the same document no-ops. Repeated calls return the original result.
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<{dependents: Array<{collection: string, type: string, onDelete: string, count: number}>}>}
+   *   Number of dependents touched per non-restrict `hasMany` item.
+   * @throws {ConflictError} If the document was modified since it was fetched.
+   * @throws {DependentExistsError} If dependents of a `restrict` item exist.
+   * @throws {PreconditionError} If dependents need too many writes for the given `transaction`.
+   * @throws {Error} If `docId` is missing, or the document can't be deleted.
    */
-  get logger() {
-    return logger;
+  async delete(args = {}) {
+    const {
+      transaction = null,
+      callBack = null,
+      prefix = null,
+      actor = null,
+      optimisticLock,
+      reason = null,
+      idempotencyKey = null,
+      database = null,
+    } = args;
+    const log = startOperationLog(this, "delete", args, { document: true });
+    try {
+      const firestore = resolveFirestore(this.constructor, database);
+      const uid = resolveActor(actor, getModelAdapter(this.constructor));
+      const lockMode = getLockMode(this.constructor, optimisticLock);
+      const historyMode = getHistoryMode(this.constructor);
+
+      if (callBack !== null && typeof callBack !== "function") {
+        throw new InvalidArgumentError(`callBack must be a function.`);
+      }
+
+      if (!this.docId) {
+        throw new PreconditionError(
+          `The docId property is required for delete(). Call fetch() first.`
+        );
+      }
+      await this.beforeDelete(args);
+
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const colRef = firestore.collection(collectionPath);
+      const docRef = colRef.doc(this.docId);
+
+      // Return the original result if the key has already been used.
+      const idempotencyRef = idempotencyKey
+        ? getIdempotencyRef(
+            firestore,
+            collectionPath,
+            "delete",
+            idempotencyKey,
+            this.docId
+          )
+        : null;
+      if (idempotencyRef) {
+        const keySnap = await idempotencyRef.get();
+        if (keySnap.exists) return keySnap.get("result");
+      }
+
+      // Find dependents to apply on-delete policies to. They are written in the same
+      // transaction as this deletion, or after it commits if there are too many.
+      const hasPolicies = (this.constructor.hasMany || []).some(
+        (item) => getDeletePolicy(item) !== "restrict"
+      );
+      let dependentGroups = [];
+      if (hasPolicies) {
+        const hasChild = await getModelAdapter(this.constructor).hasChild.call(
+          this,
+          {
+            prefix,
+            restrictOnly: true,
+            database: firestore,
+          }
+        );
+        if (hasChild) {
+          throw new DependentExistsError(
+            `Cannot delete because the associated document exists in the ${hasChild.collection} collection.`,
+            { docId: this.docId, item: hasChild }
+          );
+        }
+        dependentGroups = await findDependents(this, { firestore, prefix });
+        if (!dependentGroups && transaction) {
+          throw new PreconditionError(
+            `Too many dependents to delete in the given transaction. Call delete() without a transaction.`,
+            { docId: this.docId }
+          );
+        }
+      }
+
+      let deleted = false;
+      const performTransaction = async (txn) => {
+        deleted = false;
+
+        // The key may have been used while dependents were found.
+        if (idempotencyRef) {
+          const keySnap = await txn.get(idempotencyRef);
+          if (keySnap.exists) return keySnap.get("result");
+        }
+
+        // Read the stored document for optimistic locking, history, archiving and counters.
+        const currentDocSnap =
+          lockMode ||
+          historyMode ||
+          this.constructor.logicalDelete ||
+          this.constructor.useCounter
+            ? await txn.get(docRef)
+            : null;
+
+        // Check that the document has not been modified since it was fetched
+        if (lockMode) {
+          assertNotModified(this, currentDocSnap, lockMode);
+        }
+
+        // Check for child documents before deletion
+        // If child documents exist, throw an error to prevent deletion
+        const hasChild = await getModelAdapter(this.constructor).hasChild.call(
+          this,
+          {
+            transaction: txn,
+            prefix,
+            restrictOnly: true,
+            database: firestore,
+          }
+        );
+        if (hasChild) {
+          throw new DependentExistsError(
+            `Cannot delete because the associated document exists in the ${hasChild.collection} collection.`,
+            { docId: this.docId, item: hasChild }
+          );
+        }
+
+        // Read dependents found above. Those deleted in the meantime are skipped.
+        const dependentSnaps = await Promise.all(
+          (dependentGroups || []).map(({ refs }) =>
+            refs.length ? txn.getAll(...refs) : []
+          )
+        );
+
+        // Get function to update counter document.
+        // Deleting a document that does not exist does not change the count.
+        const adapter = getModelAdapter(this.constructor);
+        const counterUpdater = currentDocSnap?.exists
+          ? await adapter.getCounterUpdater.bind(this)({
+              transaction: txn,
+              increment: false,
+              prefix,
+              database: firestore,
+            })
+          : null;
+
+        // If logicalDelete is enabled, archive the document before deletion
+        if (this.constructor.logicalDelete) {
+          // The document must exist to be archived.
+          if (!currentDocSnap.exists) {
+            throw new NotFoundError(
+              `The document to be deleted did not exist. The document ID is ${this.docId}.`,
+              { path: docRef.path, docId: this.docId }
+            );
+          }
+
+          const sourceDocData = currentDocSnap.data();
+          const archiveColRef = firestore.collection(
+            `${collectionPath}_archive`
+          );
+          const archiveDocRef = archiveColRef.doc(this.docId);
+          txn.set(
+            archiveDocRef,
+            toArchiveData(sourceDocData, {
+              modelClass: this.constructor,
+              uid,
+              reason,
+            })
+          );
+        }
+
+        txn.delete(docRef);
+
+        if (currentDocSnap?.exists) {
+          writeHistory(txn, {
+            firestore,
+            modelClass: this.constructor,
+            collectionPath,
+            docId: this.docId,
+            operation: "delete",
+            uid,
+            before: currentDocSnap.data(),
+            after: null,
+          });
+        }
+
+        if (counterUpdater) await counterUpdater();
+
+        const dependents = dependentGroups
+          ? dependentGroups.map(({ item, policy }, index) => {
+              const docSnaps = dependentSnaps[index].filter(
+                (docSnap) => docSnap.exists
+              );
+              docSnaps.forEach((docSnap) =>
+                writeDeletePolicy(txn, {
+                  firestore,
+                  modelClass: this.constructor,
+                  item,
+                  policy,
+                  docSnap,
+                  parentId: this.docId,
+                  uid,
+                  reason,
+                })
+              );
+              return {
+                collection: item.collection,
+                type: item.type,
+                onDelete: policy,
+                count: docSnaps.length,
+              };
+            })
+          : [];
+
+        const result = { dependents };
+        if (idempotencyRef) {
+          txn.set(
+            idempotencyRef,
+            toIdempotencyData({
+              key: idempotencyKey,
+              operation: "delete",
+              docId: this.docId,
+              result,
+              ttl: getModelAdapter(this.constructor).idempotencyTTL,
+            })
+          );
+        }
+
+        if (callBack) await callBack(txn);
+        deleted = true;
+        return result;
+      };
+
+      if (transaction) return await performTransaction(transaction);
+
+      const result = await firestore.runTransaction(performTransaction);
+
+      // Apply on-delete policies to too many dependents once this document is deleted.
+      if (deleted && !dependentGroups) {
+        result.dependents = await applyDeletePolicies(this, {
+          firestore,
+          prefix,
+          uid,
+          reason,
+        });
+        if (idempotencyRef) await idempotencyRef.update({ result });
+      }
+
+      return result;
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      clearLoadedDocs();
+      log.end();
+    }
   }
 
   /**
-   * Returns the Firestore instance.
+   * Restores an archived document to its original collection.
+   * @param {Object} args - Restore options.
+   * @param {string} args.docId - Document ID to restore.
+   * @param {string|null} [args.prefix=null] - Optional Firestore path prefix.
+   * @param {Object|null} [args.transaction=null] - Firestore transaction object.
+   * @param {string|Object|null} [args.actor=null] - Acting user recorded on the restored document.
+   * @param {string|null} [args.idempotencyKey=null] - Key (e.g. event ID) making repeated calls no-ops.
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<DocumentReference>} Reference to the restored document.
+   * @throws {NotFoundError} If the archived document does not exist.
+   * @throws {Error} If `docId` is missing or restoring fails.
    */
-  get firestore() {
-    if (!ServerAdapter.firestore) {
-      throw new Error("Firestore instance not initialized");
+  async restore({
+    docId,
+    prefix = null,
+    transaction = null,
+    actor = null,
+    idempotencyKey = null,
+    database = null,
+  } = {}) {
+    const log = startOperationLog(this, "restore", { prefix, docId });
+    try {
+      if (!docId) throw new InvalidArgumentError("docId is required.");
+      const firestore = resolveFirestore(this.constructor, database);
+      const uid = resolveActor(actor, getModelAdapter(this.constructor));
+
+      const performTransaction = async (txn) => {
+        const collectionPath = this.constructor.getCollectionPath(prefix);
+
+        // Return the restored document if the key has already been used.
+        const idempotencyRef = idempotencyKey
+          ? getIdempotencyRef(
+              firestore,
+              collectionPath,
+              "restore",
+              idempotencyKey,
+              docId
+            )
+          : null;
+        if (idempotencyRef && (await txn.get(idempotencyRef)).exists) {
+          return firestore.collection(collectionPath).doc(docId);
+        }
+
+        const archivePath = `${collectionPath}_archive`;
+        const archiveColRef = firestore.collection(archivePath);
+        const archiveDocRef = archiveColRef.doc(docId);
+        const docSnapshot = await txn.get(archiveDocRef);
+        if (!docSnapshot.exists) {
+          throw new NotFoundError(
+            `Archived document not found at ${archivePath}. docId: ${docId}`,
+            { path: archiveDocRef.path, docId }
+          );
+        }
+
+        const colRef = firestore.collection(collectionPath);
+        const docRef = colRef.doc(docId);
+
+        // Get function to update counter document.
+        // A document that already exists is overwritten, so it is counted only once.
+        const adapter = getModelAdapter(this.constructor);
+        const exists = this.constructor.useCounter
+          ? (await txn.get(docRef)).exists
+          : false;
+        const counterUpdater = exists
+          ? null
+          : await adapter.getCounterUpdater.bind(this)({
+              transaction: txn,
+              increment: true,
+              prefix,
+              database: firestore,
+            });
+
+        const restoredData = {
+          ...fromArchiveData(docSnapshot.data()),
+          updatedAt: new Date(),
+          uid,
+          ...getWriteStamp(this.constructor),
+        };
+        txn.delete(archiveDocRef);
+        txn.set(docRef, restoredData);
+
+        writeHistory(txn, {
+          firestore,
+          modelClass: this.constructor,
+          collectionPath,
+          docId,
+          operation: "restore",
+          uid,
+          before: null,
+          after: restoredData,
+        });
+
+        if (counterUpdater) await counterUpdater();
+
+        if (idempotencyRef) {
+          txn.set(
+            idempotencyRef,
+            toIdempotencyData({
+              key: idempotencyKey,
+              operation: "restore",
+              docId,
+              ttl: getModelAdapter(this.constructor).idempotencyTTL,
+            })
+          );
+        }
+
+        return docRef;
+      };
+
+      if (transaction) {
+        return await performTransaction(transaction);
+      } else {
+        return await firestore.runTransaction(performTransaction);
+      }
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      clearLoadedDocs();
+      log.end();
     }
-    return ServerAdapter.firestore;
   }
 
   /**
-   * Returns the Functions instance (optional for server-side).
-   * @returns {Object|null} Functions instance or null
+   * Fetch change history entries of a document, newest first.
+   * - Requires the model's `static history` to be enabled.
+   * - Each entry has `operation` ("create", "update", "delete" or "restore"), `actor`,
+   *   `timestamp` and `changes` (`{ [field]: { before, after } }`).
+   * - In "collection" mode, a composite index on `docId` and `timestamp` is required.
+   * @param {Object} args - Fetch options.
+   * @param {string} [args.docId=this.docId] - Document ID.
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {number|null} [args.limit=null] - Maximum number of entries (optional).
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<Array<Object>>} History entries.
+   * @throws {PreconditionError} If history is disabled.
+   * @throws {Error} If `docId` is not specified or fetch fails.
    */
-  get functions() {
-    return ServerAdapter.functions;
-  }
+  async fetchHistory({
+    docId = this.docId,
+    prefix = null,
+    limit = null,
+    database = null,
+  } = {}) {
+    const log = startOperationLog(this, "fetchHistory", { prefix, docId });
+    try {
+      const historyMode = getHistoryMode(this.constructor);
+      if (!historyMode) {
+        throw new PreconditionError(`History is not enabled for this model.`);
+      }
 
-  /**
-   * Returns the GeoPoint class from firebase-admin.
-   */
-  get GeoPoint() {
-    if (!ServerAdapter.GeoPoint) {
-      throw new Error("GeoPoint class not initialized");
-    }
-    return ServerAdapter.GeoPoint;
-  }
+      if (!docId) {
+        throw new InvalidArgumentError(
+          "[ServerAdapter.js - fetchHistory] docId is required."
+        );
+      }
 
-  async setAutonumber({ transaction, prefix = null } = {}) {
-    if (!transaction) {
-      throw new Error("transaction is required.");
-    }
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      let queryRef = getHistoryColRef(
+        resolveFirestore(this.constructor, database),
+        historyMode,
+        collectionPath,
+        docId
+      );
+      if (historyMode === "collection") {
+        queryRef = queryRef.where("docId", "==", docId);
+      }
+      queryRef = queryRef.orderBy("timestamp", "desc");
+      if (limit) queryRef = queryRef.limit(limit);
 
-    if (!prefix) {
-      throw new Error("prefix is required.");
+      const snapshot = await queryRef.get();
+      return snapshot.docs.map((doc) => ({
+        id: doc.id,
+        ...toDatesDeep(doc.data()),
+      }));
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      log.end();
     }
+  }
 
+  /**
+   * Rebuild a document as it was at the given time by replaying its history.
+   * - Requires the model's `static history` to be enabled since the document was created.
+   * @param {Object} args - Fetch options.
+   * @param {Date} args.at - Point in time to rebuild.
+   * @param {string} [args.docId=this.docId] - Document ID.
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<Object|null>} Model instance, or null if the document did not exist at that time.
+   * @throws {PreconditionError} If history is disabled.
+   * @throws {Error} If arguments are invalid or fetch fails.
+   */
+  async fetchAsOf({
+    at,
+    docId = this.docId,
+    prefix = null,
+    database = null,
+  } = {}) {
+    const log = startOperationLog(this, "fetchAsOf", { prefix, docId });
     try {
-      const collectionPath = this.constructor.getCollectionPath(prefix);
-      const docRef = ServerAdapter.firestore
-        .collection("Autonumbers")
-        .doc(collectionPath);
+      const historyMode = getHistoryMode(this.constructor);
+      if (!historyMode) {
+        throw new PreconditionError(`History is not enabled for this model.`);
+      }
 
-      const docSnap = await transaction.get(docRef);
-      if (!docSnap.exists) {
-        throw new Error(
-          `Could not find Autonumber document. collection: ${collectionPath}`
+      if (!docId) {
+        throw new InvalidArgumentError(
+          "[ServerAdapter.js - fetchAsOf] docId is required."
         );
       }
 
-      const data = docSnap.data();
-      if (!data?.status) {
-        throw new Error(
-          `Autonumber is disabled. collection: ${collectionPath}`
-        );
+      if (!(at instanceof Date) || isNaN(at.getTime())) {
+        throw new InvalidArgumentError(`at must be a valid Date.`);
       }
 
-      const newNumber = data.current + 1;
-      const length = data.length;
-      const maxValue = Math.pow(10, length) - 1;
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      let queryRef = getHistoryColRef(
+        resolveFirestore(this.constructor, database),
+        historyMode,
+        collectionPath,
+        docId
+      );
+      if (historyMode === "collection") {
+        queryRef = queryRef.where("docId", "==", docId);
+      }
+      queryRef = queryRef.where("timestamp", "<=", at).orderBy("timestamp");
 
-      if (newNumber > maxValue) {
-        throw new Error(
-          `The maximum value for Autonumber has been reached. collection: ${collectionPath}`
-        );
+      const snapshot = await queryRef.get();
+      let state = null;
+      for (const doc of snapshot.docs) {
+        const { operation, changes = {} } = doc.data();
+        if (operation === "delete") {
+          state = null;
+          continue;
+        }
+        state = { ...(state || {}) };
+        Object.entries(changes).forEach(([key, { after }]) => {
+          state[key] = after;
+        });
       }
 
-      const newCode = String(newNumber).padStart(length, "0");
-      this[data.field] = newCode;
+      if (!state) return null;
 
-      return () => transaction.update(docRef, { current: newNumber });
+      const instance = new this.constructor();
+      instance.initialize({ ...toDatesDeep(state), docId });
+      return instance;
     } catch (err) {
-      console.error(`[ServerAdapter.js - setAutonumber]`, err);
+      log.fail(err);
       throw err;
+    } finally {
+      log.end();
     }
   }
 
-  // /**
-  //  * Returns a function to update the counter document in Firestore.
-  //  * - This function treats 'this' as a FireModel instance.
-  //  * @param {Object} args - Parameters for counter update.
-  //  * @param {Object} args.transaction - Firestore transaction object (required).
-  //  * @param {boolean} [args.increment=true] - Whether to increment (true) or decrement (false) the counter.
-  //  * @param {string|null} [args.prefix=null] - Optional path prefix for collection.
-  //  * @returns {Promise<Function>} Function to update the counter document.
-  //  */
-  // async getCounterUpdater(args = {}) {
-  //   const { transaction, increment = true, prefix = null } = args;
-  //   // transaction is required
-  //   if (!transaction) {
-  //     throw new Error(
-  //       "[ServerAdapter - getCounterUpdater] transaction is required."
-  //     );
-  //   }
+  /**
+   * Create multiple documents in chunks.
+   * - `docs` accepts model instances or plain objects (converted with the model constructor).
+   * - Runs `beforeCreate`, `beforeEdit` and `validate` for each document.
+   * - Each chunk runs in a transaction. Items whose `docId` is already used are reported as
+   *   failed with `AlreadyExistsError` and the rest of the chunk is created; if Autonumber is
+   *   used, consecutive numbers are reserved for them at once.
+   * - Chunks may be committed in parallel with `concurrency`, but chunks using Autonumber
+   *   contend on the same counter document, so keep it at 1 in that case.
+   *
+   * @param {Object} args - Creation options.
+   * @param {Array<Object>} args.docs - Documents to create.
+   * @param {boolean} [args.useAutonumber=true] - Whether to use auto-numbering.
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {number} [args.chunkSize=400] - Number of documents committed together (capped at Firestore's write limit).
+   * @param {number} [args.concurrency=1] - Number of chunks committed at the same time.
+   * @param {string|Object|null} [args.actor=null] - Acting user (uid, `auth` or request object).
+   * @param {boolean|string} [args.optimisticLock] - Overrides the model's `optimisticLock`.
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<{succeeded: Array<{index: number, docId: string}>, failed: Array<{index: number, docId: string|null, error: Error}>}>}
+   * @throws {Error} If arguments are invalid.
+   */
+  async createMany(args = {}) {
+    const {
+      docs,
+      useAutonumber = true,
+      prefix = null,
+      chunkSize = 400,
+      concurrency = 1,
+      actor = null,
+      optimisticLock,
+      database = null,
+    } = args;
+
+    const log = startOperationLog(this, "createMany", args);
+    try {
+      const firestore = resolveFirestore(this.constructor, database);
+      const uid = resolveActor(actor, getModelAdapter(this.constructor));
+      const lockMode = getLockMode(this.constructor, optimisticLock);
+      const versionField = getVersionField(this.constructor);
+      const withAutonumber = this.constructor.useAutonumber && useAutonumber;
+      const historyMode = getHistoryMode(this.constructor);
+      const effectiveChunkSize = getBulkChunkSize({
+        docs,
+        chunkSize,
+        concurrency,
+        writesPerItem: historyMode ? 2 : 1,
+        extraWrites:
+          (withAutonumber ? 1 : 0) + (this.constructor.useCounter ? 1 : 0),
+      });
+
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const colRef = firestore
+        .collection(collectionPath)
+        .withConverter(this.constructor.converter());
+
+      const instances = docs.map((doc) =>
+        doc instanceof this.constructor ? doc : new this.constructor(doc)
+      );
+
+      const adapter = getModelAdapter(this.constructor);
+      const writeChunk = async (writer, chunk) => {
+        const counterUpdater = await adapter.getCounterUpdater.bind(this)({
+          transaction: writer,
+          increment: true,
+          count: chunk.length,
+          prefix,
+          database: firestore,
+        });
+        for (const instance of chunk) {
+          const docRef = instance.docId
+            ? colRef.doc(instance.docId)
+            : colRef.doc();
+          instance.docId = docRef.id;
+          instance.createdAt = new Date();
+          instance.updatedAt = new Date();
+          instance.uid = uid;
+          writer.set(
+            docRef.withConverter(null),
+            toStoredData(
+              instance,
+              lockMode === "version" ? { [versionField]: 1 } : {}
+            )
+          );
+          writeHistory(writer, {
+            firestore,
+            modelClass: this.constructor,
+            collectionPath,
+            docId: instance.docId,
+            operation: "create",
+            uid,
+            before: null,
+            after: toFirestoreData(instance),
+          });
+        }
+        if (counterUpdater) await counterUpdater();
+      };
 
-  //   // Get collection path defined by class.
-  //   // -> `getCollectionPath()` is a static method defined in FireModel.
-  //   // ex) `customers` or `companies/{companyId}/customers`
-  //   const collectionPath = this.constructor.getCollectionPath(prefix);
+      return await processBulk(instances, {
+        prepare: async (instance) => {
+          await instance.beforeCreate(args);
+          await instance.beforeEdit(args);
+          validateInstance(instance);
+        },
+        commitChunk: async (chunk) => {
+          const rejected = await firestore.runTransaction(async (txn) => {
+            // Documents with a given docId must not exist yet.
+            const rejected = new Map();
+            const presets = chunk.filter((instance) => instance.docId);
+            const docSnaps = presets.length
+              ? await txn.getAll(
+                  ...presets.map((instance) =>
+                    colRef.doc(instance.docId).withConverter(null)
+                  )
+                )
+              : [];
+            docSnaps.forEach((docSnap, i) => {
+              if (!docSnap.exists) return;
+              rejected.set(
+                presets[i],
+                new AlreadyExistsError(
+                  `The document to be created already exists. The document ID is ${docSnap.id}.`,
+                  { path: docSnap.ref.path, docId: docSnap.id }
+                )
+              );
+            });
 
-  //   // Divide collection path into segments.
-  //   // ex) `["companies", "{companyId}", "customers"]`
-  //   const segments = collectionPath.split("/");
+            const creatable = chunk.filter(
+              (instance) => !rejected.has(instance)
+            );
+            if (!creatable.length) return rejected;
 
-  //   // Get collection name (Last segment is collection name)
-  //   const colName = segments.pop();
+            const autonumbers = withAutonumber
+              ? await allocateAutonumbers({
+                  transaction: txn,
+                  firestore,
+                  collectionPath,
+                  count: creatable.length,
+                  defaults: this.constructor.autonumber,
+                })
+              : null;
+            if (autonumbers) {
+              creatable.forEach(
+                (instance, i) =>
+                  (instance[autonumbers.field] = autonumbers.codes[i])
+              );
+            }
+            await writeChunk(txn, creatable);
+            if (autonumbers) autonumbers.commit();
+            return rejected;
+          });
 
-  //   // Determine effective collection path for counter-document.
-  //   const effectiveDocPath = `${segments.join("/")}/meta/docCounter`;
-  //   const docRef = ServerAdapter.firestore.doc(effectiveDocPath);
-  //   const docSnap = await transaction.get(docRef);
-  //   if (!docSnap.exists) {
-  //     return () => transaction.set(docRef, { [colName]: increment ? 1 : 0 });
-  //   } else {
-  //     return () =>
-  //       transaction.update(docRef, {
-  //         [colName]: ServerAdapter.firestore.FieldValue.increment(
-  //           increment ? 1 : -1
-  //         ),
-  //       });
-  //   }
-  // }
+          chunk
+            .filter((instance) => !rejected.has(instance))
+            .forEach((instance) => {
+              rememberState(instance);
+              lockStates.set(instance, {
+                version: 1,
+                updatedAt: instance.updatedAt,
+              });
+            });
+          return rejected;
+        },
+        chunkSize: effectiveChunkSize,
+        concurrency,
+      });
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      clearLoadedDocs();
+      log.end();
+    }
+  }
 
   /**
-   * Create a new document in Firestore.
-   * @param {Object} args - Creation options.
-   * @param {string} [args.docId] - Document ID to use (optional).
-   * @param {boolean} [args.useAutonumber=true] - Whether to use auto-numbering.
-   * @param {Object} [args.transaction] - Firestore transaction.
-   * @param {Function} [args.callBack] - Callback function.
-   * @param {string} [args.prefix] - Path prefix.
-   * @returns {Promise<DocumentReference>} Reference to the created document.
-   * @throws {Error} If creation fails or `callBack` is not a function.
+   * Update multiple documents in chunks with batched writes.
+   * - Every instance in `docs` must have `docId`.
+   * - Runs `beforeUpdate`, `beforeEdit` and `validate` for each document.
+   * - If history or optimistic locking is enabled, each chunk runs in a transaction to read
+   *   the stored documents. With locking, items modified since they were fetched are reported
+   *   as failed with `ConflictError` and the version of the others is incremented.
+   *
+   * @param {Object} args - Update options.
+   * @param {Array<Object>} args.docs - Model instances to update.
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {number} [args.chunkSize=400] - Number of documents committed together (capped at Firestore's write limit).
+   * @param {number} [args.concurrency=1] - Number of chunks committed at the same time.
+   * @param {string|Object|null} [args.actor=null] - Acting user (uid, `auth` or request object).
+   * @param {boolean|string} [args.optimisticLock] - Overrides the model's `optimisticLock`.
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<{succeeded: Array<{index: number, docId: string}>, failed: Array<{index: number, docId: string|null, error: Error}>}>}
+   * @throws {Error} If arguments are invalid.
    */
-  async create(args = {}) {
-    const { docId, useAutonumber = true, transaction, callBack, prefix } = args;
+  async updateMany(args = {}) {
+    const {
+      docs,
+      prefix = null,
+      chunkSize = 400,
+      concurrency = 1,
+      actor = null,
+      optimisticLock,
+      database = null,
+    } = args;
 
+    const log = startOperationLog(this, "updateMany", args);
     try {
-      // `callBack` must be a function if provided.
-      if (callBack && typeof callBack !== "function") {
-        throw new Error(
-          `[ServerAdapter.js - create] callBack must be a function.`
-        );
-      }
+      const firestore = resolveFirestore(this.constructor, database);
+      const uid = resolveActor(actor, getModelAdapter(this.constructor));
+      const lockMode = getLockMode(this.constructor, optimisticLock);
+      const versionField = getVersionField(this.constructor);
+      const historyMode = getHistoryMode(this.constructor);
+      const effectiveChunkSize = getBulkChunkSize({
+        docs,
+        chunkSize,
+        concurrency,
+        writesPerItem: historyMode ? 2 : 1,
+      });
 
-      // Pre-create hooks and validation
-      await this.beforeCreate(args);
-      await this.beforeEdit(args);
-      this.validate();
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const colRef = firestore
+        .collection(collectionPath)
+        .withConverter(this.constructor.converter());
 
-      // transaction processing
-      const performTransaction = async (txn) => {
-        // Get function to update autonumber if `useAutonumber` is true.
-        const updateAutonumber =
-          this.constructor.useAutonumber && useAutonumber
-            ? await this.setAutonumber({ transaction: txn, prefix })
-            : null;
+      return await processBulk(docs, {
+        prepare: async (instance) => {
+          if (!instance.docId) {
+            throw new InvalidArgumentError(
+              `The docId property is required for updateMany().`
+            );
+          }
+          await instance.beforeUpdate(args);
+          await instance.beforeEdit(args);
+          validateInstance(instance);
+        },
+        commitChunk: async (chunk) => {
+          const rejected = new Map();
+          const versions = new Map();
+          const writeChunk = (writer, beforeSnaps = []) => {
+            chunk.forEach((instance, i) => {
+              if (rejected.has(instance)) return;
+              instance.updatedAt = new Date();
+              instance.uid = uid;
+              writer.set(
+                colRef.doc(instance.docId).withConverter(null),
+                toStoredData(
+                  instance,
+                  lockMode ? { [versionField]: versions.get(instance) } : {}
+                )
+              );
+              writeHistory(writer, {
+                firestore,
+                modelClass: this.constructor,
+                collectionPath,
+                docId: instance.docId,
+                operation: "update",
+                uid,
+                before: beforeSnaps[i]?.exists ? beforeSnaps[i].data() : null,
+                after: toFirestoreData(instance),
+              });
+            });
+          };
 
-        // Get function to update counter document.
-        // const adapter = this.constructor.getAdapter();
-        // const counterUpdater = await adapter.getCounterUpdater.bind(this)({
-        //   transaction: txn,
-        //   increment: true,
-        //   prefix,
-        // });
+          if (!historyMode && !lockMode) {
+            const batch = firestore.batch();
+            writeChunk(batch);
+            await batch.commit();
+            chunk.forEach(rememberState);
+            return rejected;
+          }
 
-        // Prepare document reference
-        const collectionPath = this.constructor.getCollectionPath(prefix);
-        const colRef = ServerAdapter.firestore
-          .collection(collectionPath)
-          .withConverter(this.constructor.converter());
-        const docRef = docId ? colRef.doc(docId) : colRef.doc();
+          // Read the stored documents to check locks and record history.
+          await firestore.runTransaction(async (txn) => {
+            rejected.clear();
+            const beforeSnaps = await txn.getAll(
+              ...chunk.map((instance) =>
+                colRef.doc(instance.docId).withConverter(null)
+              )
+            );
+            if (lockMode) {
+              chunk.forEach((instance, i) => {
+                try {
+                  assertNotModified(instance, beforeSnaps[i], lockMode);
+                  versions.set(
+                    instance,
+                    (beforeSnaps[i].get(versionField) ?? 0) + 1
+                  );
+                } catch (error) {
+                  rejected.set(instance, error);
+                }
+              });
+            }
+            writeChunk(txn, beforeSnaps);
+          });
 
-        // Set metadata
-        this.docId = docRef.id;
-        this.createdAt = new Date();
-        this.updatedAt = new Date();
-        this.uid = "cloud functions";
+          chunk
+            .filter((instance) => !rejected.has(instance))
+            .forEach((instance) => {
+              rememberState(instance);
+              if (lockMode) {
+                lockStates.set(instance, {
+                  version: versions.get(instance),
+                  updatedAt: instance.updatedAt,
+                });
+              }
+            });
+          return rejected;
+        },
+        chunkSize: effectiveChunkSize,
+        concurrency,
+      });
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      clearLoadedDocs();
+      log.end();
+    }
+  }
 
-        // Create document
-        txn.set(docRef, this);
+  /**
+   * Delete multiple documents in chunks.
+   * - Every instance in `docs` must have `docId`.
+   * - Runs `beforeDelete` and the `hasChild` check for each document. The `onDelete` policies
+   *   of `hasMany` are applied in batches to the dependents of the documents deleted, after
+   *   the chunk is committed. If that fails, the item is reported as failed with the error
+   *   although its document has been deleted. Dependents are written directly, without the
+   *   counters, history, hooks and `hasMany` of their own model.
+   * - If `logicalDelete`, history or counters are enabled, each chunk runs in a transaction
+   *   that reads the documents before deletion; otherwise a batched write is used. Only
+   *   documents that existed are subtracted from the counter. With `logicalDelete`,
+   *   items whose document does not exist are reported as failed with `NotFoundError`.
+   * - If optimistic locking is enabled, chunks also run in a transaction and items modified
+   *   since they were fetched are reported as failed with `ConflictError`.
+   *
+   * @param {Object} args - Deletion options.
+   * @param {Array<Object>} args.docs - Model instances to delete.
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {number} [args.chunkSize=400] - Number of documents committed together (capped at Firestore's write limit).
+   * @param {number} [args.concurrency=1] - Number of chunks committed at the same time.
+   * @param {string|Object|null} [args.actor=null] - Acting user (uid, `auth` or request object).
+   * @param {string|null} [args.reason=null] - Reason recorded on archived documents.
+   * @param {boolean|string} [args.optimisticLock] - Overrides the model's `optimisticLock`.
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<{succeeded: Array<{index: number, docId: string}>, failed: Array<{index: number, docId: string|null, error: Error}>}>}
+   * @throws {Error} If arguments are invalid.
+   */
+  async deleteMany(args = {}) {
+    const {
+      docs,
+      prefix = null,
+      chunkSize = 400,
+      concurrency = 1,
+      actor = null,
+      reason = null,
+      optimisticLock,
+      database = null,
+    } = args;
 
-        // Update autonumber if applicable
-        if (updateAutonumber) await updateAutonumber();
+    const log = startOperationLog(this, "deleteMany", args);
+    try {
+      const firestore = resolveFirestore(this.constructor, database);
+      const uid = resolveActor(actor, getModelAdapter(this.constructor));
+      const lockMode = getLockMode(this.constructor, optimisticLock);
+      const logicalDelete = this.constructor.logicalDelete;
+      const historyMode = getHistoryMode(this.constructor);
+      const effectiveChunkSize = getBulkChunkSize({
+        docs,
+        chunkSize,
+        concurrency,
+        writesPerItem: 1 + (logicalDelete ? 1 : 0) + (historyMode ? 1 : 0),
+        extraWrites: this.constructor.useCounter ? 1 : 0,
+      });
 
-        // if (counterUpdater) await counterUpdater();
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const colRef = firestore.collection(collectionPath);
+      const archiveColRef = firestore.collection(`${collectionPath}_archive`);
+      const adapter = getModelAdapter(this.constructor);
+      const getCounterUpdater = (writer, count) =>
+        adapter.getCounterUpdater.bind(this)({
+          transaction: writer,
+          increment: false,
+          count,
+          prefix,
+          database: firestore,
+        });
 
-        // Execute callback if provided
-        if (callBack) await callBack(txn);
+      const hasPolicies = (this.constructor.hasMany || []).some(
+        (item) => getDeletePolicy(item) !== "restrict"
+      );
 
-        // Return document reference
-        return docRef;
+      // Delete the documents of a chunk. Resolves to the items rejected.
+      const deleteChunk = async (chunk) => {
+        const docRefs = chunk.map((instance) => colRef.doc(instance.docId));
+
+        if (
+          !logicalDelete &&
+          !historyMode &&
+          !lockMode &&
+          !this.constructor.useCounter
+        ) {
+          const batch = firestore.batch();
+          docRefs.forEach((docRef) => batch.delete(docRef));
+          await batch.commit();
+          return new Map();
+        }
+
+        return await firestore.runTransaction(async (txn) => {
+          const rejected = new Map();
+          const sourceDocSnaps = await txn.getAll(...docRefs);
+          let deleted = 0;
+
+          sourceDocSnaps.forEach((docSnap, i) => {
+            // Documents to be archived must exist.
+            if (logicalDelete && !docSnap.exists) {
+              rejected.set(
+                chunk[i],
+                new NotFoundError(
+                  `The document to be deleted did not exist. The document ID is ${docSnap.id}.`,
+                  { path: docSnap.ref.path, docId: docSnap.id }
+                )
+              );
+              return;
+            }
+            if (lockMode) {
+              try {
+                assertNotModified(chunk[i], docSnap, lockMode);
+              } catch (error) {
+                rejected.set(chunk[i], error);
+                return;
+              }
+            }
+            if (logicalDelete) {
+              txn.set(
+                archiveColRef.doc(docSnap.id),
+                toArchiveData(docSnap.data(), {
+                  modelClass: this.constructor,
+                  uid,
+                  reason,
+                })
+              );
+            }
+            txn.delete(docSnap.ref);
+            if (docSnap.exists) {
+              deleted++;
+              writeHistory(txn, {
+                firestore,
+                modelClass: this.constructor,
+                collectionPath,
+                docId: docSnap.id,
+                operation: "delete",
+                uid,
+                before: docSnap.data(),
+                after: null,
+              });
+            }
+          });
+
+          const counterUpdater = deleted
+            ? await getCounterUpdater(txn, deleted)
+            : null;
+          if (counterUpdater) await counterUpdater();
+          return rejected;
+        });
       };
 
-      const docRef = transaction
-        ? await performTransaction(transaction)
-        : await ServerAdapter.firestore.runTransaction(performTransaction);
+      return await processBulk(docs, {
+        prepare: async (instance) => {
+          if (!instance.docId) {
+            throw new InvalidArgumentError(
+              `The docId property is required for deleteMany().`
+            );
+          }
+          await instance.beforeDelete(args);
+          const hasChild = await adapter.hasChild.call(instance, {
+            prefix,
+            restrictOnly: true,
+            database: firestore,
+          });
+          if (hasChild) {
+            throw new DependentExistsError(
+              `Cannot delete because the associated document exists in the ${hasChild.collection} collection.`,
+              { docId: instance.docId, item: hasChild }
+            );
+          }
+        },
+        commitChunk: async (chunk) => {
+          const rejected = await deleteChunk(chunk);
+          if (!hasPolicies) return rejected;
 
-      return docRef;
+          // Apply on-delete policies once the documents are deleted.
+          const failed = new Map(rejected);
+          for (const instance of chunk) {
+            if (failed.has(instance)) continue;
+            try {
+              await applyDeletePolicies(instance, {
+                firestore,
+                prefix,
+                uid,
+                reason,
+              });
+            } catch (error) {
+              failed.set(instance, error);
+            }
+          }
+          return failed;
+        },
+        chunkSize: effectiveChunkSize,
+        concurrency,
+      });
     } catch (err) {
-      console.error(`[ServerAdapter.js - create] An error has occurred.`, err);
+      log.fail(err);
       throw err;
+    } finally {
+      clearLoadedDocs();
+      log.end();
     }
   }
 
   /**
-   * Get a document from Firestore by its ID and load into this instance.
-   * - The class properties will be cleared if the document does not exist.
+   * Fetch archived documents of the model's collection (`{collectionPath}_archive`).
+   * - Accepts the same arguments as `fetchDocs`.
+   * - Returned instances have `deletedAt`, `deletedBy` and `deleteReason`.
+   *   ex) `[['where', 'deletedBy', '==', uid], ['orderBy', 'deletedAt', 'desc'], ['limit', 50]]`
+   * @param {Object} args - Same as `fetchDocs`.
+   * @returns {Promise<Array<Object>|{docs: Array<Object>, nextCursor: string|null}>}
+   * @throws {Error} If constraints are invalid or fetch fails.
+   */
+  async fetchArchivedDocs({
+    constraints = [],
+    options = [],
+    transaction = null,
+    prefix = null,
+    withCursor = false,
+    database = null,
+  } = {}) {
+    const log = startOperationLog(this, "fetchArchivedDocs", { prefix });
+    try {
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const colRef = resolveFirestore(this.constructor, database)
+        .collection(`${collectionPath}_archive`)
+        .withConverter(this.constructor.converter());
+
+      return await queryCollection({
+        colRef,
+        constraints,
+        options,
+        transaction,
+        withCursor,
+        hydrate: toArchivedInstance,
+      });
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Fetch an archived document by its ID.
    * @param {Object} args - Fetch options.
    * @param {string} args.docId - Document ID to fetch.
    * @param {Object|null} [args.transaction=null] - Firestore transaction (optional).
    * @param {string|null} [args.prefix=null] - Path prefix (optional).
-   * @returns {Promise<boolean>} True if document was found and loaded, false if not found.
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<Object|null>} Model instance with archive metadata, or null if not found.
    * @throws {Error} If `docId` is not specified or fetch fails.
    */
-  async fetch(args = {}) {
-    const { docId, transaction = null, prefix = null } = args;
+  async fetchArchivedDoc({
+    docId,
+    transaction = null,
+    prefix = null,
+    database = null,
+  } = {}) {
+    const log = startOperationLog(this, "fetchArchivedDoc", { prefix, docId });
     try {
       if (!docId) {
-        throw new Error("[ServerAdapter.js - fetch] docId is required.");
+        throw new InvalidArgumentError(
+          "[ServerAdapter.js - fetchArchivedDoc] docId is required."
+        );
       }
 
-      // Get collection path defined by FireModel.
       const collectionPath = this.constructor.getCollectionPath(prefix);
+      const docRef = resolveFirestore(this.constructor, database)
+        .collection(`${collectionPath}_archive`)
+        .withConverter(this.constructor.converter())
+        .doc(docId);
 
-      // Prepare document reference.
-      const colRef = ServerAdapter.firestore
-        .collection(collectionPath)
-        .withConverter(this.constructor.converter());
-      const docRef = colRef.doc(docId);
-
-      // Fetch document snapshot.
       const docSnap = transaction
         ? await transaction.get(docRef)
         : await docRef.get();
 
-      // Load data into this instance, or reset if not found.
-      this.initialize(docSnap.exists ? docSnap.data() : null);
-
-      return docSnap.exists;
+      return docSnap.exists ? toArchivedInstance(docSnap) : null;
     } catch (err) {
-      console.error(`[ServerAdapter.js - fetch]`, err);
+      log.fail(err);
       throw err;
+    } finally {
+      log.end();
     }
   }
 
   /**
-   * Get a document from Firestore by its ID and return as a new instance.
-   * @param {Object} args - Fetch options.
-   * @param {string} args.docId - Document ID to fetch.
-   * @param {Object|null} [args.transaction=null] - Firestore transaction (optional).
+   * Permanently removes archived documents older than the given date, in batches.
+   * - Intended to be run from a scheduled function.
+   * - Documents are compared by `field` (default `deletedAt`). Documents archived before
+   *   `deletedAt` was recorded can be purged with `field: "updatedAt"`.
+   * @param {Object} args - Purge options.
+   * @param {Date} args.olderThan - Archived documents before this date are removed.
    * @param {string|null} [args.prefix=null] - Path prefix (optional).
-   * @returns {Promise<Object|null>} Document data, or null if not found.
-   * @throws {Error} If `docId` is not specified or fetch fails.
+   * @param {string} [args.field="deletedAt"] - Date field to compare.
+   * @param {number} [args.batchSize=500] - Number of documents removed per batch.
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<number>} Number of removed documents.
+   * @throws {Error} If arguments are invalid or deletion fails.
    */
-  async fetchDoc(args = {}) {
+  async purgeArchive({
+    olderThan,
+    prefix = null,
+    field = "deletedAt",
+    batchSize = MAX_BATCH_WRITES,
+    database = null,
+  } = {}) {
+    const log = startOperationLog(this, "purgeArchive", { prefix });
     try {
-      const { docId, transaction = null, prefix = null } = args;
+      if (!(olderThan instanceof Date) || isNaN(olderThan.getTime())) {
+        throw new InvalidArgumentError(`olderThan must be a valid Date.`);
+      }
 
-      // Throw error if docId is not provided.
-      if (!docId) {
-        throw new Error("[ServerAdapter.js - fetchDoc] 'docId' is required.");
+      if (
+        !Number.isInteger(batchSize) ||
+        batchSize <= 0 ||
+        batchSize > MAX_BATCH_WRITES
+      ) {
+        throw new InvalidArgumentError(
+          `Invalid batchSize: ${batchSize}. Must be 1-${MAX_BATCH_WRITES}.`
+        );
       }
 
-      // Get collection path defined by FireModel.
+      const firestore = resolveFirestore(this.constructor, database);
       const collectionPath = this.constructor.getCollectionPath(prefix);
+      const queryRef = firestore
+        .collection(`${collectionPath}_archive`)
+        .where(field, "<", olderThan)
+        .limit(batchSize);
 
-      // Prepare document reference.
-      const colRef = ServerAdapter.firestore
-        .collection(collectionPath)
-        .withConverter(this.constructor.converter());
-      const docRef = colRef.doc(docId);
+      let count = 0;
+      while (true) {
+        const snapshot = await queryRef.get();
+        if (snapshot.empty) break;
 
-      // Fetch document snapshot.
-      const docSnap = transaction
-        ? await transaction.get(docRef)
-        : await docRef.get();
+        const batch = firestore.batch();
+        snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+        await batch.commit();
+
+        count += snapshot.size;
+        if (snapshot.size < batchSize) break;
+      }
 
-      return docSnap.exists ? docSnap.data() : null;
+      return count;
     } catch (err) {
-      console.error(
-        "[ServerAdapter.js - fetchDoc] An error has occurred:",
-        err
-      );
+      log.fail(err);
       throw err;
+    } finally {
+      log.end();
     }
   }
 
   /**
-   * Firestore のクエリ条件の配列を受け取り、Firestore のクエリオブジェクト配列を生成して返します。
-   * - `constraints` 配列には、`where`, `orderBy`, `limit` などの Firestore クエリを指定できます。
-   * - 例：`[['where', 'age', '>=', 18], ['orderBy', 'age', 'desc'], ['limit', 10]]`
-   * - 不明なクエリタイプが指定された場合はエラーをスローします。
-   *
-   * @param {Array} constraints - クエリ条件の配列です。
-   * @returns {Array<Object>} - Firestore クエリオブジェクトの配列を返します。
-   * @throws {Error} - 不明なクエリタイプが指定された場合、エラーをスローします。
+   * Permanently removes expired idempotency keys, in batches.
+   * - Intended to be run from a scheduled function. Alternatively, configure a Firestore TTL
+   *   policy on the `expiresAt` field of the `{collection}_idempotency` collection group.
+   * @param {Object} args - Purge options.
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {Date} [args.olderThan=new Date()] - Keys expiring before this date are removed.
+   * @param {number} [args.batchSize=500] - Number of keys removed per batch.
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<number>} Number of removed keys.
+   * @throws {Error} If arguments are invalid or deletion fails.
    */
-  createQueries(constraints) {
-    const result = [];
-    const validQueryTypes = ["where", "orderBy", "limit"];
-
-    constraints.forEach((constraint) => {
-      const [type, ...args] = constraint;
-
-      switch (type) {
-        case "where":
-          result.push(where(...args));
-          break;
-        case "orderBy":
-          if (!["asc", "desc"].includes(args[1] || "asc")) {
-            console.error(
-              "[ServerAdapter.js - createQueries] Invalid orderBy direction:",
-              args[1]
-            );
-            throw new Error(
-              `Invalid orderBy direction: ${args[1]}. Use "asc" or "desc".`
-            );
-          }
-          result.push(orderBy(args[0], args[1] || "asc"));
-          break;
-        case "limit":
-          if (typeof args[0] !== "number" || args[0] <= 0) {
-            console.error(
-              "[ServerAdapter.js - createQueries] Invalid limit value:",
-              args[0]
-            );
-            throw new Error(
-              `Invalid limit value: ${args[0]}. Must be a positive number.`
-            );
-          }
-          result.push(limit(args[0]));
-          break;
-        default:
-          console.error(
-            "[ServerAdapter.js - createQueries] Invalid query type:",
-            type
-          );
-          throw new Error(
-            `Invalid query type: ${type}. Please use one of: ${validQueryTypes.join(
-              ", "
-            )}`
-          );
+  async purgeIdempotencyKeys({
+    prefix = null,
+    olderThan = new Date(),
+    batchSize = MAX_BATCH_WRITES,
+    database = null,
+  } = {}) {
+    const log = startOperationLog(this, "purgeIdempotencyKeys", { prefix });
+    try {
+      if (!(olderThan instanceof Date) || isNaN(olderThan.getTime())) {
+        throw new InvalidArgumentError(`olderThan must be a valid Date.`);
       }
-    });
-    return result;
+
+      if (
+        !Number.isInteger(batchSize) ||
+        batchSize <= 0 ||
+        batchSize > MAX_BATCH_WRITES
+      ) {
+        throw new InvalidArgumentError(
+          `Invalid batchSize: ${batchSize}. Must be 1-${MAX_BATCH_WRITES}.`
+        );
+      }
+
+      const firestore = resolveFirestore(this.constructor, database);
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const queryRef = firestore
+        .collection(`${collectionPath}_idempotency`)
+        .where("expiresAt", "<", olderThan)
+        .limit(batchSize);
+
+      let count = 0;
+      while (true) {
+        const snapshot = await queryRef.get();
+        if (snapshot.empty) break;
+
+        const batch = firestore.batch();
+        snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+        await batch.commit();
+
+        count += snapshot.size;
+        if (snapshot.size < batchSize) break;
+      }
+
+      return count;
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      log.end();
+    }
   }
 
   /**
-   * Firestore の `tokenMap` に基づく N-Gram 検索用のクエリオブジェクトを生成します。
-   * - 検索文字列の 1 文字・2 文字ごとのトークンを作成し、Firestore の `tokenMap` を利用した検索クエリを生成します。
-   * - 例：`"検索"` → `['検', '索', '検索']`
-   * - サロゲートペア文字（絵文字など）は Firestore の `tokenMap` では検索対象としないため除外します。
+   * Export the documents of the model's collection to NDJSON.
+   * - Each line is `{ "docId": ..., "archive": false, "data": ... }`. If `includeArchive` is true,
+   *   documents of `{collectionPath}_archive` follow with `"archive": true`.
+   * - Data is exported as stored, without the converter. Timestamps, GeoPoints, references,
+   *   bytes and nested maps are written so that `importDocs` restores the same types.
+   * - Documents are read in pages of `pageSize`, so only one page is held in memory at a time.
    *
-   * @param {string} constraints - 検索に使用する文字列です。
-   * @returns {Array<Object>} - Firestore クエリオブジェクトの配列を返します。
-   * @throws {Error} - `constraints` が空文字の場合、エラーをスローします。
+   * @example
+   * await new Customer().exportDocs({
+   *   destination: "/tmp/customers.ndjson",
+   *   prefix: "companies/abc",
+   * });
+   *
+   * @param {Object} args - Export options.
+   * @param {string|Object} args.destination - File path, or a writable stream (left open).
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {boolean} [args.includeArchive=true] - Whether archived documents are exported.
+   * @param {number} [args.pageSize=500] - Number of documents read per page.
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<{exported: number, archived: number}>} Numbers of exported documents.
+   * @throws {Error} If arguments are invalid or the export fails.
    */
-  createTokenMapQueries(constraints) {
-    if (!constraints || constraints.trim().length === 0) {
-      throw new Error("Search string (constraints) cannot be empty.");
-    }
-
-    const result = new Set(); // クエリの重複を防ぐために `Set` を使用
-
-    // サロゲートペア文字（絵文字など）を除外
-    const target = constraints.replace(
-      /[\uD800-\uDBFF]|[\uDC00-\uDFFF]|~|\*|\[|\]|\s+/g,
-      ""
-    );
+  async exportDocs({
+    destination,
+    prefix = null,
+    includeArchive = true,
+    pageSize = 500,
+    database = null,
+  } = {}) {
+    const log = startOperationLog(this, "exportDocs", { prefix });
+    let output = null;
+    try {
+      if (!Number.isInteger(pageSize) || pageSize <= 0) {
+        throw new InvalidArgumentError(
+          `Invalid pageSize: ${pageSize}. Must be a positive integer.`
+        );
+      }
 
-    // 1 文字・2 文字のトークンを生成
-    const tokens = [
-      ...new Set([
-        ...[...target].map((_, i) => target.substring(i, i + 1)), // 1 文字トークン
-        ...[...target].map((_, i) => target.substring(i, i + 2)).slice(0, -1), // 2 文字トークン
-      ]),
-    ];
+      const firestore = resolveFirestore(this.constructor, database);
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const targets = [{ path: collectionPath, archive: false }];
+      if (includeArchive) {
+        targets.push({ path: `${collectionPath}_archive`, archive: true });
+      }
 
-    // Firestore クエリオブジェクトを作成
-    tokens.forEach((token) => {
-      result.add(where(`tokenMap.${token}`, "==", true));
-    });
+      output = openExportDestination(destination);
+      const result = { exported: 0, archived: 0 };
+      for (const { path, archive } of targets) {
+        const docs = iterateCollection(firestore.collection(path), pageSize);
+        for await (const doc of docs) {
+          await output.write(
+            JSON.stringify({
+              docId: doc.id,
+              archive,
+              data: encodeExportValue(doc.data()),
+            })
+          );
+          result[archive ? "archived" : "exported"]++;
+        }
+      }
+      await output.close();
 
-    return Array.from(result); // `Set` を配列に変換して返す
+      return result;
+    } catch (err) {
+      output?.destroy();
+      log.fail(err);
+      throw err;
+    } finally {
+      log.end();
+    }
   }
 
-  async fetchDocs({
-    constraints = [],
-    options = [],
-    transaction = null,
+  /**
+   * Import documents from NDJSON written by `exportDocs` into the model's collection.
+   * - The prefix may differ from the exported one. ex) Seeding another tenant.
+   * - Typed values are restored, then each document is passed through the model's converter
+   *   (`fromFirestore` and `toFirestore`). Fields the converter doesn't return
+   *   (archive metadata, `tokenMap`, ...) are kept as exported.
+   * - `mode`: "overwrite" replaces existing documents, "skip-existing" leaves them untouched
+   *   and counts them in `skipped`.
+   * - Lines that cannot be parsed or converted are reported in `failed`, and the others are
+   *   still imported.
+   * - If `dryRun` is true, nothing is written and the result reports what would be imported.
+   * - If the model uses a counter, each batch runs in a transaction and the counter is
+   *   increased by the number of documents created in the collection (overwritten and
+   *   archived documents are not counted). Autonumber is not updated.
+   *
+   * @param {Object} args - Import options.
+   * @param {string|Object} args.source - File path, or a readable stream.
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {string} [args.mode="overwrite"] - "overwrite" or "skip-existing".
+   * @param {boolean} [args.dryRun=false] - Whether to only report what would be imported.
+   * @param {boolean} [args.includeArchive=true] - Whether archived documents are imported.
+   * @param {number} [args.batchSize=500] - Number of documents written per batch (max 500,
+   *   or 499 if the model uses a counter).
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<{imported: number, skipped: number, failed: Array<{line: number, docId: string|null, error: Error}>}>}
+   * @throws {Error} If arguments are invalid or a write fails.
+   */
+  async importDocs({
+    source,
     prefix = null,
+    mode = "overwrite",
+    dryRun = false,
+    includeArchive = true,
+    batchSize = MAX_BATCH_WRITES,
+    database = null,
   } = {}) {
+    const log = startOperationLog(this, "importDocs", { prefix });
     try {
-      if (!Array.isArray(constraints)) {
-        throw new Error(`constraints must be an array.`);
+      if (!IMPORT_MODES.includes(mode)) {
+        throw new InvalidArgumentError(
+          `Invalid mode: ${mode}. Must be one of ${IMPORT_MODES.join(", ")}.`
+        );
       }
 
-      if (!Array.isArray(options)) {
-        throw new Error(`options must be an array.`);
+      if (
+        !Number.isInteger(batchSize) ||
+        batchSize <= 0 ||
+        batchSize > MAX_BATCH_WRITES
+      ) {
+        throw new InvalidArgumentError(
+          `Invalid batchSize: ${batchSize}. Must be 1-${MAX_BATCH_WRITES}.`
+        );
       }
 
+      const firestore = resolveFirestore(this.constructor, database);
       const collectionPath = this.constructor.getCollectionPath(prefix);
-      const colRef = ServerAdapter.firestore
-        .collection(collectionPath)
-        .withConverter(this.constructor.converter());
+      const useCounter = this.constructor.useCounter;
+      const adapter = getModelAdapter(this.constructor);
+      const lines = readImportLines(source);
+      const result = { imported: 0, skipped: 0, failed: [] };
 
-      let queryRef = colRef;
+      // One write of each batch is left for the counter.
+      const effectiveBatchSize = useCounter
+        ? Math.min(batchSize, MAX_BATCH_WRITES - 1)
+        : batchSize;
 
-      [...constraints, ...options].forEach(([type, ...args]) => {
-        switch (type) {
-          case "where":
-            queryRef = queryRef.where(...args);
-            break;
-          case "orderBy":
-            queryRef = queryRef.orderBy(args[0], args[1] || "asc");
-            break;
-          case "limit":
-            queryRef = queryRef.limit(args[0]);
-            break;
-          default:
-            throw new Error(`Invalid query type: ${type}`);
+      let pending = [];
+      const flush = async () => {
+        const items = pending;
+        pending = [];
+        if (items.length === 0) return;
+
+        // Write the items not skipped, and count the documents created.
+        const writeItems = async (writer, snapshots) => {
+          const counts = { imported: 0, skipped: 0, created: 0 };
+          items.forEach(({ ref, data, archive }, index) => {
+            const exists = snapshots[index]?.exists ?? false;
+            if (exists && mode === "skip-existing") {
+              counts.skipped++;
+              return;
+            }
+            writer?.set(ref, data);
+            counts.imported++;
+            if (!exists && !archive) counts.created++;
+          });
+
+          const counterUpdater =
+            writer && counts.created
+              ? await adapter.getCounterUpdater.bind(this)({
+                  transaction: writer,
+                  count: counts.created,
+                  prefix,
+                  database: firestore,
+                })
+              : null;
+          if (counterUpdater) await counterUpdater();
+          return counts;
+        };
+
+        const refs = items.map(({ ref }) => ref);
+        let counts;
+        if (dryRun) {
+          counts = await writeItems(
+            null,
+            mode === "skip-existing" ? await firestore.getAll(...refs) : []
+          );
+        } else if (useCounter) {
+          counts = await firestore.runTransaction(async (txn) =>
+            writeItems(txn, await txn.getAll(...refs))
+          );
+        } else {
+          const batch = firestore.batch();
+          counts = await writeItems(
+            batch,
+            mode === "skip-existing" ? await firestore.getAll(...refs) : []
+          );
+          if (counts.imported) await batch.commit();
         }
-      });
+        result.imported += counts.imported;
+        result.skipped += counts.skipped;
+      };
 
-      const snapshot = transaction
-        ? await transaction.get(queryRef)
-        : await queryRef.get();
+      let lineNumber = 0;
+      for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) continue;
+
+        let docId = null;
+        try {
+          const record = JSON.parse(line);
+          docId = record.docId ?? null;
+          if (typeof docId !== "string" || !docId || docId.includes("/")) {
+            throw new InvalidArgumentError(
+              "docId must be a non-empty string without slashes.",
+              { docId }
+            );
+          }
+          if (record.archive && !includeArchive) continue;
+
+          const ref = firestore
+            .collection(
+              record.archive ? `${collectionPath}_archive` : collectionPath
+            )
+            .doc(docId);
+          const data = decodeExportValue(record.data ?? {}, firestore);
+          pending.push({
+            ref,
+            data: toImportData(this.constructor, ref, data),
+            archive: !!record.archive,
+          });
+        } catch (err) {
+          result.failed.push({ line: lineNumber, docId, error: err });
+          continue;
+        }
 
-      return snapshot.docs.map((doc) => doc.data());
+        if (pending.length >= effectiveBatchSize) await flush();
+      }
+      await flush();
+
+      return result;
     } catch (err) {
-      console.error(`[ServerAdapter.js - fetchDocs]`, err);
+      log.fail(err);
       throw err;
+    } finally {
+      log.end();
     }
   }
 
   /**
-   * Updates the Firestore document with the current instance data.
-   * - Requires `this.docId` to be set (usually after calling `fetch()`).
-   * - Runs within a transaction. If not provided, one is created internally.
-   * - If `callBack` is provided, it will be executed after the update.
-   * - If `prefix` is provided, it is used to resolve the collection path.
-   *
-   * 現在のインスタンスデータで Firestore のドキュメントを更新します。
-   * - `this.docId` が設定されていない場合はエラーになります（通常は `fetch()` を事前に実行）。
-   * - 更新処理はトランザクション内で行われ、未指定の場合は内部で生成されます。
-   * - `callBack` が指定されている場合は、更新後に実行されます。
-   * - `prefix` が指定されていれば、コレクションパスの解決に使用されます。
+   * Apply the model's pending migrations to its stored documents.
+   * - Migrations are declared on the model in the order they are applied:
+   *   `static migrations = [{ name: "001-split-name", up: (data, { docId, path }) => ({ ... }) }]`.
+   *   `up` receives a copy of the stored data and returns the new data (the document is
+   *   replaced), or `undefined` to leave it unchanged. `tokenMap` and `geohash` of the new
+   *   data are recomputed, so `up` doesn't need to maintain them.
+   * - Without a prefix, documents under all prefixes (every collection with the model's
+   *   collection ID) are migrated, followed by their `_archive` collections if `includeArchive` is true.
+   * - Each page of `batchSize` documents is read and written in a transaction together with
+   *   the progress recorded in `_migrations`, so an interrupted run resumes after the last
+   *   committed page. `up` may run again when a transaction is retried, and should be
+   *   idempotent (return `undefined` for migrated data), because a failed migration is
+   *   restarted from the beginning on the next run.
+   * - Documents for which `up` throws are reported in `failed`. The migration is then recorded
+   *   as "failed" and the following migrations are not run.
+   * - If `dryRun` is true, nothing is written. Each migration sees the stored data, not the
+   *   output of the previous ones.
+   * - Migrations run one by one; don't run them from several processes at the same time.
    *
-   * @param {Object} args - Parameters for update.
-   * @param {Object|null} [args.transaction=null] - Firestore transaction object.
-   * @param {function|null} [args.callBack=null] - Callback function after update.
-   * @param {string|null} [args.prefix=null] - Optional Firestore path prefix.
-   * @returns {Promise<DocumentReference>} Reference to the updated document.
-   * @throws {Error} If `docId` is not set or update fails.
+   * @param {Object} args - Migration options.
+   * @param {string|null} [args.prefix=null] - Path prefix to limit the migration to (all prefixes if null).
+   * @param {boolean} [args.includeArchive=true] - Whether archived documents are migrated.
+   * @param {boolean} [args.dryRun=false] - Whether to only report what would be changed.
+   * @param {number} [args.batchSize=499] - Number of documents per page (max 499).
+   * @param {Function|null} [args.onProgress=null] - Called after each page with
+   *   `{ name, processed, updated, failed }` of the running migration.
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Promise<{dryRun: boolean, migrations: Array<{name: string, status: string, processed: number, updated: number, failed: Array<{path: string, error: Error}>}>}>}
+   *   `status` is "completed", "failed", "skipped" (already applied) or "pending" (not run).
+   * @throws {Error} If migrations or arguments are invalid, or reading or writing fails.
    */
-  async update(args = {}) {
-    const { transaction = null, callBack = null, prefix = null } = args;
+  async runMigrations({
+    prefix = null,
+    includeArchive = true,
+    dryRun = false,
+    batchSize = MAX_BATCH_WRITES - 1,
+    onProgress = null,
+    database = null,
+  } = {}) {
+    const log = startOperationLog(this, "runMigrations", { prefix });
     try {
-      if (callBack !== null && typeof callBack !== "function") {
-        throw new Error(`callBack must be a function.`);
-      }
+      const migrations = getMigrations(this.constructor);
 
-      if (!this.docId) {
-        throw new Error(
-          `The docId property is required for update(). Call fetch() first.`
+      // One write of each transaction records the progress.
+      if (
+        !Number.isInteger(batchSize) ||
+        batchSize <= 0 ||
+        batchSize > MAX_BATCH_WRITES - 1
+      ) {
+        throw new InvalidArgumentError(
+          `Invalid batchSize: ${batchSize}. Must be 1-${MAX_BATCH_WRITES - 1}.`
         );
       }
 
-      await this.beforeUpdate(args);
-      await this.beforeEdit(args);
-      this.validate();
+      if (onProgress !== null && typeof onProgress !== "function") {
+        throw new InvalidArgumentError(`onProgress must be a function.`);
+      }
 
-      const performTransaction = async (txn) => {
-        const collectionPath = this.constructor.getCollectionPath(prefix);
-        const colRef = ServerAdapter.firestore
-          .collection(collectionPath)
-          .withConverter(this.constructor.converter());
-        const docRef = colRef.doc(this.docId);
+      const firestore = resolveFirestore(this.constructor, database);
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const collectionId = collectionPath.split("/").pop();
+      const targets = getMigrationTargets(firestore, this.constructor, {
+        prefix,
+        includeArchive,
+      });
 
-        this.updatedAt = new Date();
-        this.uid = "cloud functions";
+      const report = { dryRun, migrations: [] };
+      for (const migration of migrations) {
+        const result = {
+          name: migration.name,
+          status: "pending",
+          processed: 0,
+          updated: 0,
+          failed: [],
+        };
+        report.migrations.push(result);
+        if (report.migrations.some(({ status }) => status === "failed")) {
+          continue;
+        }
 
-        txn.set(docRef, this);
-        if (callBack) await callBack(txn);
-        return docRef;
-      };
+        const progressRef = getMigrationRef(
+          firestore,
+          prefix ? collectionPath : collectionId,
+          migration.name
+        );
+        const stored = (await progressRef.get()).data() ?? null;
+        if (stored?.status === "completed") {
+          result.status = "skipped";
+          continue;
+        }
 
-      const docRef = transaction
-        ? await performTransaction(transaction)
-        : await ServerAdapter.firestore.runTransaction(performTransaction);
+        // Resume after the last committed page of an interrupted run.
+        const position = stored?.status === "running" ? stored.position : null;
+        const recorded = {
+          collectionId,
+          prefix,
+          name: migration.name,
+          startedAt: stored?.startedAt ?? new Date(),
+        };
+        if (!dryRun && !position) {
+          await progressRef.set({
+            ...recorded,
+            status: "running",
+            position: null,
+            processed: 0,
+            updated: 0,
+            failed: 0,
+            updatedAt: new Date(),
+            completedAt: null,
+          });
+        }
 
-      return docRef;
+        for (const [index, target] of targets.entries()) {
+          if (position && index < position.index) continue;
+          let cursor = position?.index === index ? position.cursor : null;
+
+          while (true) {
+            let queryRef = target.query.limit(batchSize);
+            if (cursor) {
+              queryRef = queryRef.startAfter(
+                target.group ? cursor : cursor.split("/").pop()
+              );
+            }
+
+            const migratePage = async (transaction) => {
+              const snapshot = transaction
+                ? await transaction.get(queryRef)
+                : await queryRef.get();
+              const { writes, failed } = await applyMigration(
+                this.constructor,
+                migration,
+                snapshot.docs
+              );
+              const lastDoc = snapshot.docs[snapshot.docs.length - 1];
+              if (transaction && lastDoc) {
+                writes.forEach(({ ref, data }) => transaction.set(ref, data));
+                transaction.set(
+                  progressRef,
+                  {
+                    ...recorded,
+                    status: "running",
+                    position: { index, cursor: lastDoc.ref.path },
+                    processed: FieldValue.increment(snapshot.size),
+                    updated: FieldValue.increment(writes.length),
+                    failed: FieldValue.increment(failed.length),
+                    updatedAt: new Date(),
+                  },
+                  { merge: true }
+                );
+              }
+              return { snapshot, writes, failed, lastDoc };
+            };
+
+            const page = dryRun
+              ? await migratePage(null)
+              : await firestore.runTransaction(migratePage);
+
+            result.processed += page.snapshot.size;
+            result.updated += page.writes.length;
+            result.failed.push(...page.failed);
+            if (page.snapshot.size > 0 && onProgress) {
+              await onProgress({
+                name: migration.name,
+                processed: result.processed,
+                updated: result.updated,
+                failed: result.failed.length,
+              });
+            }
+
+            if (page.snapshot.size < batchSize) break;
+            cursor = page.lastDoc.ref.path;
+          }
+        }
+
+        result.status = result.failed.length ? "failed" : "completed";
+        if (!dryRun) {
+          await progressRef.set(
+            {
+              ...recorded,
+              status: result.status,
+              position: null,
+              updatedAt: new Date(),
+              completedAt: result.status === "completed" ? new Date() : null,
+            },
+            { merge: true }
+          );
+        }
+      }
+
+      return report;
     } catch (err) {
-      console.error(`[ServerAdapter.js - update] An error has occurred.`);
+      log.fail(err);
       throw err;
+    } finally {
+      log.end();
     }
   }
 
   /**
-   * Checks if any child documents exist for this document, based on `hasMany` configuration.
-   * - For collections, the prefix is applied to the collection path.
-   *
-   * [NOTE]
-   * - 2025/10/06 現在、transaction.get() に Query を指定することはできない仕様。
-   *   そのため、依存ドキュメントの存在確認には getDocs() を使用することになるが、
-   *   transaction 内での読み取りにならず、当該処理の直後に他のプロセスから依存ドキュメントが
-   *   追加された場合に整合性を失う可能性あり。
-   *   引数 transaction が本来であれば不要だが、将来的に transaction.get() が
-   *   Query に対応した場合に備えて引数として受け取る形にしておく。
+   * Detach every realtime listener started by this instance with `subscribe` or `subscribeDocs`.
+   * @returns {number} Number of detached listeners.
+   */
+  unsubscribe() {
+    return detachListeners(this);
+  }
+
+  /**
+   * Listen to a document and load it into this instance whenever it changes.
+   * - Returns immediately, as FireModel's `subscribe` does; the instance is loaded when the
+   *   first snapshot arrives.
+   * - A previous `subscribe` listener of this instance is detached first.
+   * - `callback(instance, type)` is called on every change; `type` is "added", "modified" or
+   *   "removed". The instance is reset when the document is removed.
+   * - Call `unsubscribe()` to stop listening.
    *
-   * @param {Object} args - Options for the check.
-   * @param {Object|null} [args.transaction=null] - Firestore transaction object (optional).
-   * @param {string|null} [args.prefix=null] - Optional path prefix for resolving collections.
-   * @returns {Promise<object|boolean>} Matching `hasMany` item if found, otherwise false.
-   * @throws {Error} If `docId` is not set or query fails.
+   * @param {Object} args - Listener options.
+   * @param {string} args.docId - Document ID to listen to.
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {Function|null} [args.callback=null] - Called with this instance and the change type.
+   * @param {Function|null} [args.onError=null] - Called if the listener stops with an error.
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @throws {Error} If `docId` is not specified.
    */
-  async hasChild({ transaction = null, prefix = null } = {}) {
+  subscribe({
+    docId,
+    prefix = null,
+    callback = null,
+    onError = null,
+    database = null,
+  } = {}) {
+    const log = startOperationLog(this, "subscribe", { prefix, docId });
     try {
-      if (!this.docId) {
-        throw new Error(`The docId property is required. Call fetch() first.`);
+      if (!docId) {
+        throw new InvalidArgumentError(`docId is required.`);
       }
 
-      for (const item of this.constructor.hasMany) {
-        const collectionPath =
-          item.type === "collection" && prefix
-            ? `${prefix}/${item.collection}`.replace(/^\/|\/$/g, "")
-            : item.collection;
-
-        const colRef =
-          item.type === "collection"
-            ? ServerAdapter.firestore.collection(collectionPath)
-            : ServerAdapter.firestore.collectionGroup(item.collection);
+      if (callback !== null && typeof callback !== "function") {
+        throw new InvalidArgumentError(`callback must be a function.`);
+      }
 
-        const queryRef = colRef
-          .where(item.field, item.condition, this.docId)
-          .limit(1);
+      detachListeners(this, "doc");
 
-        /** transaction.get() が Query に対応した場合は以下をコメントアウト */
-        const snapshot = await queryRef.get();
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const docRef = resolveFirestore(this.constructor, database)
+        .collection(collectionPath)
+        .withConverter(this.constructor.converter())
+        .doc(docId);
 
-        /** transaction.get() が Query に対応した場合は以下を使用 */
-        // const snapshot = transaction
-        //   ? await transaction.get(queryRef)
-        //   : await queryRef.get();
+      let exists = null;
+      attachListener(this, docRef, {
+        kind: "doc",
+        method: "subscribe",
+        onError,
+        handle: (docSnap) => {
+          const type = docSnap.exists
+            ? exists
+              ? "modified"
+              : "added"
+            : exists
+            ? "removed"
+            : null;
+          exists = docSnap.exists;
 
-        if (!snapshot.empty) return item;
-      }
+          this.initialize(docSnap.exists ? docSnap.data() : null);
+          if (docSnap.exists) {
+            rememberState(this);
+            rememberLockState(this, docSnap);
+          }
 
-      return false;
-    } catch (error) {
-      console.error(`[ServerAdapter.js - hasChild] ${error.message}`, error);
-      throw error;
+          if (type) notifyListener(this, "subscribe", callback, this, type);
+        },
+      });
+    } catch (err) {
+      log.fail(err);
+      throw err;
+    } finally {
+      log.end();
     }
   }
 
   /**
-   * Deletes the document with the current `docId` from Firestore.
-   * - If `logicalDelete` is enabled, moves the document to an archive collection instead of permanent deletion.
-   * - Runs within a transaction. If not provided, a new one is created internally.
-   * - If `callBack` is provided, it is executed after deletion.
-   * - If `prefix` is provided, it is used to resolve the collection path.
-   *
-   * 現在の `docId` を持つドキュメントを Firestore から削除します。
-   * - `logicalDelete` が有効な場合は、物理削除せずアーカイブコレクションに移動します。
-   * - トランザクション内で実行され、指定がなければ内部で作成されます。
-   * - `callBack` が指定されていれば、削除後に実行されます。
-   * - `prefix` が指定されていれば、コレクションパスの解決に使用されます。
+   * Listen to documents matching the given constraints.
+   * - `constraints`, `options` and `prefix` are handled the same way as `fetchDocs`
+   *   (including search strings).
+   * - Returns immediately, as FireModel's `subscribeDocs` does, with an array of model
+   *   instances that is kept in sync with the query results from the first snapshot on.
+   *   Unchanged documents keep the same instance.
+   * - `callback(changes, docs)` is called on every snapshot (including the first one) with
+   *   `changes` as `[{ type, doc, oldIndex, newIndex }]`, where `type` is "added",
+   *   "modified" or "removed" and `doc` is a model instance.
+   * - Call `unsubscribe()` to stop listening.
    *
-   * @param {Object} args - Deletion options.
-   * @param {Object|null} [args.transaction=null] - Firestore transaction object.
-   * @param {function|null} [args.callBack=null] - Callback to execute after deletion.
-   * @param {string|null} [args.prefix=null] - Optional Firestore path prefix.
-   * @returns {Promise<void>} Resolves when deletion is complete.
-   * @throws {Error} If `docId` is missing, or the document can't be deleted.
+   * @param {Object} args - Listener options.
+   * @param {Array|string} [args.constraints=[]] - Query constraints, or a search string.
+   * @param {Array} [args.options=[]] - Additional query options.
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {Function|null} [args.callback=null] - Called with the changes and the current documents.
+   * @param {Function|null} [args.onError=null] - Called if the listener stops with an error.
+   * @param {string|Object|null} [args.database=null] - Database ID, Firestore instance or adapter
+   *   to use instead of the model's database.
+   * @returns {Array<Object>} Live array of model instances.
+   * @throws {Error} If constraints are invalid.
    */
-  async delete(args = {}) {
-    const { transaction = null, callBack = null, prefix = null } = args;
+  subscribeDocs({
+    constraints = [],
+    options = [],
+    prefix = null,
+    callback = null,
+    onError = null,
+    database = null,
+  } = {}) {
+    const log = startOperationLog(this, "subscribeDocs", { prefix });
     try {
-      if (callBack !== null && typeof callBack !== "function") {
-        throw new Error(`callBack must be a function.`);
+      if (callback !== null && typeof callback !== "function") {
+        throw new InvalidArgumentError(`callback must be a function.`);
       }
 
-      if (!this.docId) {
-        throw new Error(
-          `The docId property is required for delete(). Call fetch() first.`
-        );
+      if (!Array.isArray(options)) {
+        throw new InvalidArgumentError(`options must be an array.`);
       }
-      await this.beforeDelete(args);
 
-      const collectionPath = this.constructor.getCollectionPath(prefix);
-      const colRef = ServerAdapter.firestore.collection(collectionPath);
-      const docRef = colRef.doc(this.docId);
+      const queryItems =
+        typeof constraints === "string"
+          ? getSearchConstraints(
+              constraints,
+              getTokenMapSettings(this.constructor)
+            )
+          : constraints;
 
-      const performTransaction = async (txn) => {
-        // Check for child documents before deletion
-        // If child documents exist, throw an error to prevent deletion
-        const hasChild = await this.hasChild({ transaction: txn, prefix });
-        if (hasChild) {
-          throw new Error(
-            `Cannot delete because the associated document exists in the ${hasChild.collection} collection.`
-          );
-        }
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const colRef = resolveFirestore(this.constructor, database)
+        .collection(collectionPath)
+        .withConverter(this.constructor.converter());
+      const queryItemsWithOptions = [...queryItems, ...options];
+      validateQueryConstraints(queryItemsWithOptions);
 
-        // Get function to update counter document.
-        // const adapter = this.constructor.getAdapter();
-        // const counterUpdater = await adapter.getCounterUpdater.bind(this)({
-        //   transaction: txn,
-        //   increment: false,
-        //   prefix,
-        // });
+      // Cursors are resolved before the listener starts; failures are passed to `onError`.
+      const queryRef = applyQueryConstraints(colRef, queryItemsWithOptions);
 
-        // If logicalDelete is enabled, archive the document before deletion
-        if (this.constructor.logicalDelete) {
-          // Fetch the document to be deleted
-          // This is necessary because in a transaction, docRef.get() cannot be used directly
-          // and we need to ensure the document exists before archiving
-          const sourceDocSnap = await txn.get(docRef);
-          if (!sourceDocSnap.exists) {
-            throw new Error(
-              `The document to be deleted did not exist. The document ID is ${this.docId}.`
-            );
-          }
+      const docs = [];
+      const instances = new Map();
+      attachListener(this, queryRef, {
+        kind: "query",
+        method: "subscribeDocs",
+        onError,
+        handle: (snapshot) => {
+          const changes = snapshot.docChanges().map((change) => {
+            const instance = change.doc.data();
+            if (change.type === "removed") {
+              instances.delete(change.doc.id);
+            } else {
+              rememberState(instance);
+              rememberLockState(instance, change.doc);
+              instances.set(change.doc.id, instance);
+            }
+            return {
+              type: change.type,
+              doc: instance,
+              oldIndex: change.oldIndex,
+              newIndex: change.newIndex,
+            };
+          });
 
-          const sourceDocData = sourceDocSnap.data();
-          const archiveColRef = ServerAdapter.firestore.collection(
-            `${collectionPath}_archive`
+          docs.splice(
+            0,
+            docs.length,
+            ...snapshot.docs.map((doc) => instances.get(doc.id))
           );
-          const archiveDocRef = archiveColRef.doc(this.docId);
-          txn.set(archiveDocRef, sourceDocData);
-        }
-
-        txn.delete(docRef);
-
-        // if (counterUpdater) await counterUpdater();
-
-        if (callBack) await callBack(txn);
-      };
 
-      if (transaction) {
-        await performTransaction(transaction);
-      } else {
-        await ServerAdapter.firestore.runTransaction(performTransaction);
-      }
+          notifyListener(this, "subscribeDocs", callback, changes, docs);
+        },
+      });
+      return docs;
     } catch (err) {
-      console.error(`[ServerAdapter.js - delete] An error has occurred.`);
+      log.fail(err);
       throw err;
+    } finally {
+      log.end();
     }
   }
 
-  async restore({ docId, prefix = null, transaction = null } = {}) {
+  /**
+   * Firestore トランザクションを実行します。
+   * - アダプターから呼び出された場合はアダプターの Firestore、モデルから呼び出された場合は
+   *   モデルの Firestore（`static database` を含む）で実行します。
+   * - `ServerAdapter.runWithLoader` 内では、開始前とトランザクションの終了後に読み込み済みの
+   *   ドキュメントを破棄します。
+   * @param {Function} updateFunction - トランザクション内で実行する関数
+   * @param {Object} [options={}]
+   * @param {string|Object|null} [options.database=null] - 使用するデータベース ID、Firestore インスタンスまたはアダプター
+   * @returns {Promise<any>} トランザクションの結果
+   */
+  async runTransaction(updateFunction, { database = null } = {}) {
+    const firestore =
+      this instanceof ServerAdapter
+        ? this.getDatabase(database)
+        : resolveFirestore(this.constructor, database);
+    clearLoadedDocs();
     try {
-      if (!docId) throw new Error("docId is required.");
+      return await firestore.runTransaction(updateFunction);
+    } finally {
+      clearLoadedDocs();
+    }
+  }
 
-      const performTransaction = async (txn) => {
-        const collectionPath = this.constructor.getCollectionPath(prefix);
-        const archivePath = `${collectionPath}_archive`;
-        const archiveColRef = ServerAdapter.firestore.collection(archivePath);
-        const archiveDocRef = archiveColRef.doc(docId);
-        const docSnapshot = await archiveDocRef.get();
-        if (!docSnapshot.exists) {
-          throw new Error(
-            `Archived document not found at ${archivePath}. docId: ${docId}`
-          );
-        }
+  /**
+   * Create callable functions exposing the model's `create`, `fetch`, `update`, `delete`,
+   * `fetchDocs` and `restore`.
+   * - Export the returned object to deploy the functions as a group. ex) `customer-create`
+   * - Each operation is authorized with `rules[operation]` (or `rules.default`), which may be
+   *   `true`, `false`, "authenticated" (default), `{ claims: {...} }` or a function
+   *   `(request, { operation, modelClass, prefix, data }) => boolean`.
+   * - The path prefix is resolved on the server with `options.prefix` (a string or a function
+   *   of the request, e.g. returning a path from custom claims); clients can't choose it.
+   * - Payload data is loaded into the model and validated with `validate()`. Fields maintained
+   *   by the adapter (`docId`, `createdAt`, `updatedAt`, `uid`, version, ...) are ignored.
+   * - The caller (`request.auth`) is recorded as the actor. Unauthenticated calls allowed
+   *   by the rule `true` are recorded as the adapter's `defaultActor`.
+   * - Errors are converted with `toHttpsError` (validation -> "invalid-argument",
+   *   missing documents -> "not-found", conflicts -> "aborted",
+   *   dependents -> "failed-precondition", others -> "internal").
+   *
+   * Payloads (`request.data`) and results:
+   * - create: `{ data, docId? }` -> `{ docId }`. A `docId` that is already used is rejected
+   *   with "already-exists"; existing documents are changed only through `update`.
+   * - fetch: `{ docId }` -> document data or null
+   * - update: `{ docId, data, fields? }` -> `{ docId }`. `data` is merged into the stored document.
+   *   `fields` limits the write to the model's own fields; fields maintained by the adapter
+   *   are rejected with "invalid-argument".
+   * - delete: `{ docId, reason? }` -> `{ docId, dependents }`
+   * - fetchDocs: `{ constraints?, options?, withCursor? }` -> array of document data
+   *   (or `{ docs, nextCursor }`)
+   * - restore: `{ docId }` -> `{ docId }`
+   *
+   * @example
+   * export const customer = ServerAdapter.createCallables(Customer, {
+   *   prefix: (request) => `companies/${request.auth.token.companyId}`,
+   *   rules: { default: { claims: { staff: true } }, delete: { claims: { admin: true } } },
+   *   callableOptions: { region: "asia-northeast1" },
+   * });
+   *
+   * @param {Function} modelClass - Model class.
+   * @param {Object} [options={}]
+   * @param {Array<string>} [options.operations] - Operations to expose (all by default).
+   * @param {Object} [options.rules={}] - Authorization rules keyed by operation or `default`.
+   * @param {string|Function|null} [options.prefix=null] - Path prefix or a function returning it.
+   * @param {Object} [options.callableOptions={}] - Options passed to `onCall`.
+   * @returns {Object<string, Function>} Callable functions keyed by operation.
+   */
+  static createCallables(modelClass, options = {}) {
+    const {
+      operations = CALLABLE_OPERATIONS,
+      rules = {},
+      prefix = null,
+      callableOptions = {},
+    } = options;
 
-        // Get function to update counter document.
-        // const adapter = this.constructor.getAdapter();
-        // const counterUpdater = await adapter.getCounterUpdater.bind(this)({
-        //   transaction: txn,
-        //   increment: true,
-        //   prefix,
-        // });
-
-        const colRef = ServerAdapter.firestore.collection(collectionPath);
-        const docRef = colRef.doc(docId);
-        txn.delete(archiveDocRef);
-        txn.set(docRef, docSnapshot.data());
+    const invalid = operations.find((op) => !CALLABLE_OPERATIONS.includes(op));
+    if (invalid) {
+      throw new InvalidArgumentError(
+        `[ServerAdapter.js - createCallables] Invalid operation: ${invalid}. Please use one of: ${CALLABLE_OPERATIONS.join(
+          ", "
+        )}`
+      );
+    }
 
-        // if (counterUpdater) await counterUpdater();
+    const fetchInstance = async (docId, resolvedPrefix) => {
+      const instance = new modelClass();
+      const exists = await instance.fetch({ docId, prefix: resolvedPrefix });
+      if (!exists) {
+        throw new NotFoundError(`Document not found: ${docId}`, {
+          path: `${modelClass.getCollectionPath(resolvedPrefix)}/${docId}`,
+          docId,
+        });
+      }
+      return instance;
+    };
 
-        return docRef;
-      };
+    const handlers = {
+      create: async (payload, request, resolvedPrefix) => {
+        const docId =
+          payload.docId === undefined
+            ? undefined
+            : toPayloadDocId(payload.docId);
+        const instance = toValidatedInstance(
+          modelClass,
+          toPayloadData(modelClass, payload.data)
+        );
+        const docRef = await instance.create({
+          docId,
+          prefix: resolvedPrefix,
+          actor: getCallableActor(request),
+        });
+        return { docId: docRef.id };
+      },
+      fetch: async (payload, request, resolvedPrefix) => {
+        const instance = await new modelClass().fetchDoc({
+          docId: toPayloadDocId(payload.docId),
+          prefix: resolvedPrefix,
+        });
+        return instance ? toCallableResult(instance) : null;
+      },
+      update: async (payload, request, resolvedPrefix) => {
+        const docId = toPayloadDocId(payload.docId);
+        const fields = toPayloadFields(modelClass, payload.fields);
+        const current = await fetchInstance(docId, resolvedPrefix);
+        const instance = toValidatedInstance(modelClass, {
+          ...toFirestoreData(current),
+          ...toPayloadData(modelClass, payload.data),
+          docId,
+        });
+        // The stored state is needed for partial updates and optimistic locking.
+        fetchedStates.set(instance, fetchedStates.get(current));
+        lockStates.set(instance, lockStates.get(current));
+        await instance.update({
+          prefix: resolvedPrefix,
+          actor: getCallableActor(request),
+          fields,
+        });
+        return { docId };
+      },
+      delete: async (payload, request, resolvedPrefix) => {
+        const docId = toPayloadDocId(payload.docId);
+        const instance = await fetchInstance(docId, resolvedPrefix);
+        const { dependents } = await instance.delete({
+          prefix: resolvedPrefix,
+          actor: getCallableActor(request),
+          reason: typeof payload.reason === "string" ? payload.reason : null,
+        });
+        return { docId, dependents };
+      },
+      fetchDocs: async (payload, request, resolvedPrefix) => {
+        const result = await new modelClass().fetchDocs({
+          constraints: payload.constraints ?? [],
+          options: payload.options ?? [],
+          prefix: resolvedPrefix,
+          withCursor: payload.withCursor === true,
+        });
+        return Array.isArray(result)
+          ? result.map(toCallableResult)
+          : {
+              docs: result.docs.map(toCallableResult),
+              nextCursor: result.nextCursor,
+            };
+      },
+      restore: async (payload, request, resolvedPrefix) => {
+        const docId = toPayloadDocId(payload.docId);
+        await new modelClass().restore({
+          docId,
+          prefix: resolvedPrefix,
+          actor: getCallableActor(request),
+        });
+        return { docId };
+      },
+    };
 
-      if (transaction) {
-        return await performTransaction(transaction);
-      } else {
-        return await ServerAdapter.firestore.runTransaction(performTransaction);
+    const handleRequest = async (operation, request) => {
+      const startedAt = Date.now();
+      try {
+        const payload = request.data || {};
+        const rule =
+          operation in rules
+            ? rules[operation]
+            : rules.default ?? "authenticated";
+        if (rule !== true && !request.auth) {
+          throw new HttpsError(
+            "unauthenticated",
+            "Authentication is required."
+          );
+        }
+        const resolvedPrefix =
+          typeof prefix === "function" ? await prefix(request) : prefix;
+        await authorizeCallable(rule, request, {
+          operation,
+          modelClass,
+          prefix: resolvedPrefix,
+          data: payload,
+        });
+        return await handlers[operation](payload, request, resolvedPrefix);
+      } catch (err) {
+        writeLog(
+          findLogAdapter(modelClass),
+          getFailureLevel(err),
+          `[ServerAdapter.js - createCallables] ${operation} failed.`,
+          {
+            operation,
+            model: modelClass.name,
+            uid: request.auth?.uid ?? null,
+            durationMs: Date.now() - startedAt,
+            outcome: "failure",
+            error: toLogError(err, getSensitiveFields(modelClass)),
+          }
+        );
+        throw toHttpsError(err);
       }
-    } catch (err) {
-      console.error(`[ServerAdapter.js - restore]`, err);
-      throw err;
-    }
-  }
+    };
 
-  /**
-   * サーバー側では unsubscribe は実行できません。
-   */
-  unsubscribe() {
-    throw new Error(`Can not use unsubscribe at server side.`);
+    // Entries logged while handling a request carry its trace ID as the correlation ID.
+    return Object.fromEntries(
+      operations.map((operation) => [
+        operation,
+        onCall(callableOptions, (request) =>
+          correlationStore.run(getTraceId(request), () =>
+            handleRequest(operation, request)
+          )
+        ),
+      ])
+    );
   }
 
   /**
-   * サーバー側では subscribe は実行できません。
+   * Create an `onDocumentCreated` trigger for the model's collection.
+   * - The handler receives `{ before, after, changedFields, prefix, docId, event }`:
+   *   `before` is null and `after` is the created document as a model instance.
+   * - `options.prefix` is a path template with parameters, resolved from the event params.
+   *   ex) `{ prefix: "companies/{companyId}" }` -> handler receives `prefix: "companies/abc"`
+   * - Other options (`region`, `database`, ...) are passed to `firebase-functions`.
+   *   `database` defaults to the model's `static database` if it is a database ID.
+   *
+   * @example
+   * export const onCustomerCreated = ServerAdapter.onDocumentCreated(
+   *   Customer,
+   *   async ({ after, prefix }) => { ... },
+   *   { prefix: "companies/{companyId}", region: "asia-northeast1" }
+   * );
+   *
+   * @param {Function} modelClass - Model class.
+   * @param {Function} handler - Handler function.
+   * @param {Object} [options={}] - Trigger options.
+   * @param {string|null} [options.prefix=null] - Prefix template. ex) `companies/{companyId}`
+   * @param {string} [options.docIdParam="docId"] - Path parameter name of the document ID.
+   * @param {boolean} [options.skipAdapterWrites=false] - Whether to ignore documents written by the
+   *   adapter. Requires an adapter created with `trackWrites`.
+   * @returns {Function} Cloud Function.
    */
-  subscribe() {
-    throw new Error(`Can not use subscribe at server side.`);
+  static onDocumentCreated(modelClass, handler, options = {}) {
+    return createDocumentTrigger({
+      factory: onDocumentCreated,
+      method: "onDocumentCreated",
+      modelClass,
+      handler,
+      options,
+      getSnapshots: (snapshot) => ({ before: null, after: snapshot }),
+    });
   }
 
   /**
-   * サーバー側では subscribeDocs は実行できません。
+   * Create an `onDocumentUpdated` trigger for the model's collection.
+   * - The handler receives `before` and `after` model instances and `changedFields`, the
+   *   top-level fields whose values differ (fields maintained by the adapter, such as
+   *   `updatedAt`, `uid` and `tokenMap`, are excluded).
+   * - Options are the same as `onDocumentCreated`. With `skipAdapterWrites`, updates made
+   *   by the adapter (e.g. by the handler itself) are ignored.
+   * @param {Function} modelClass - Model class.
+   * @param {Function} handler - Handler function.
+   * @param {Object} [options={}] - Trigger options.
+   * @returns {Function} Cloud Function.
    */
-  subscribeDocs() {
-    throw new Error(`Can not use subscribeDocs at server side.`);
+  static onDocumentUpdated(modelClass, handler, options = {}) {
+    return createDocumentTrigger({
+      factory: onDocumentUpdated,
+      method: "onDocumentUpdated",
+      modelClass,
+      handler,
+      options,
+      getSnapshots: (change) => ({
+        before: change.before,
+        after: change.after,
+      }),
+    });
   }
 
   /**
-   * Firestore トランザクションを実行します。
-   * @param {Function} updateFunction - トランザクション内で実行する関数
-   * @returns {Promise<any>} トランザクションの結果
+   * Create an `onDocumentDeleted` trigger for the model's collection.
+   * - The handler receives `before` as the deleted document and `after` as null.
+   * - Options are the same as `onDocumentCreated`. Deletions can't be attributed to the
+   *   adapter, so `skipAdapterWrites` has no effect.
+   * @param {Function} modelClass - Model class.
+   * @param {Function} handler - Handler function.
+   * @param {Object} [options={}] - Trigger options.
+   * @returns {Function} Cloud Function.
    */
-  async runTransaction(updateFunction) {
-    return await this.constructor.firestore.runTransaction(updateFunction);
+  static onDocumentDeleted(modelClass, handler, options = {}) {
+    return createDocumentTrigger({
+      factory: onDocumentDeleted,
+      method: "onDocumentDeleted",
+      modelClass,
+      handler,
+      options,
+      getSnapshots: (snapshot) => ({ before: snapshot, after: null }),
+    });
   }
 }
 
@@ -0,0 +1,1550 @@
+/**
+ * In-memory stand-in for the firebase-admin Firestore instance.
+ * - Implements the subset of the admin SDK used by ServerAdapter: collections, documents,
+ *   queries (including composite filters, cursors and aggregations), collection groups,
+ *   transactions, batched writes, `withConverter` and realtime listeners.
+ * - Intended for unit tests of FireModel classes without credentials or an emulator.
+ *
+ * @example
+ * import ServerAdapter from "@shisyamo4131/air-firebase-v2-server-adapter";
+ * import { MemoryFirestore } from "@shisyamo4131/air-firebase-v2-server-adapter/testing";
+ *
+ * const firestore = new MemoryFirestore();
+ * new ServerAdapter(firestore);
+ */
+import {
+  AggregateField,
+  FieldPath,
+  FieldValue,
+  Filter,
+  GeoPoint,
+  Timestamp,
+} from "firebase-admin/firestore";
+
+/**
+ * gRPC status codes used by Firestore errors.
+ */
+const CODES = {
+  INVALID_ARGUMENT: 3,
+  NOT_FOUND: 5,
+  ALREADY_EXISTS: 6,
+  FAILED_PRECONDITION: 9,
+  ABORTED: 10,
+};
+
+/**
+ * Error thrown by MemoryFirestore. `code` is the gRPC status code, as in the admin SDK.
+ */
+export class MemoryFirestoreError extends Error {
+  /**
+   * @param {number} code - gRPC status code.
+   * @param {string} message - Error message.
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "MemoryFirestoreError";
+    this.code = code;
+  }
+}
+
+/**
+ * Characters used for auto-generated document IDs.
+ */
+const AUTO_ID_CHARS =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+
+/**
+ * Returns a 20-character auto ID, as generated by the admin SDK.
+ * @returns {string}
+ */
+function autoId() {
+  let id = "";
+  for (let i = 0; i < 20; i++) {
+    id += AUTO_ID_CHARS.charAt(
+      Math.floor(Math.random() * AUTO_ID_CHARS.length)
+    );
+  }
+  return id;
+}
+
+/**
+ * Split a slash-separated path into segments.
+ * @param {string} path
+ * @returns {Array<string>}
+ */
+function splitPath(path) {
+  if (typeof path !== "string" || !path) {
+    throw new MemoryFirestoreError(
+      CODES.INVALID_ARGUMENT,
+      `Path must be a non-empty string.`
+    );
+  }
+  return path.split("/").filter(Boolean);
+}
+
+/**
+ * Returns the string form of a field path (string or FieldPath).
+ * @param {string|FieldPath} field
+ * @returns {string}
+ */
+function fieldPathString(field) {
+  return field instanceof FieldPath ? field.toString() : field;
+}
+
+/**
+ * Whether the field path designates the document ID.
+ * @param {string|FieldPath} field
+ * @returns {boolean}
+ */
+function isDocumentIdField(field) {
+  return fieldPathString(field) === "__name__";
+}
+
+/**
+ * Whether the value is a plain object (map).
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  if (!value || typeof value !== "object") return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Returns the value at the given dot-separated path.
+ * @param {Object} data
+ * @param {string} path
+ * @returns {*}
+ */
+function getField(data, path) {
+  return path
+    .split(".")
+    .reduce((acc, key) => (isPlainObject(acc) ? acc[key] : undefined), data);
+}
+
+/**
+ * Sets the value at the given dot-separated path, creating intermediate maps.
+ * - `undefined` removes the field.
+ * @param {Object} data
+ * @param {string} path
+ * @param {*} value
+ */
+function setField(data, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((acc, key) => {
+    if (!isPlainObject(acc[key])) acc[key] = {};
+    return acc[key];
+  }, data);
+  if (value === undefined) delete parent[last];
+  else parent[last] = value;
+}
+
+/**
+ * Deep-clone stored values. Immutable Firestore types are shared.
+ * @param {*} value
+ * @returns {*}
+ */
+function cloneData(value) {
+  if (Array.isArray(value)) return value.map(cloneData);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, cloneData(v)])
+    );
+  }
+  if (value instanceof Uint8Array) return new Uint8Array(value);
+  return value;
+}
+
+/**
+ * Convert a value to its stored form.
+ * - Dates become Timestamps. Unsupported values throw INVALID_ARGUMENT like the admin SDK.
+ * @param {*} value
+ * @param {string} path - Field path (used for error messages).
+ * @returns {*}
+ */
+function normalizeValue(value, path) {
+  if (value === undefined) {
+    throw new MemoryFirestoreError(
+      CODES.INVALID_ARGUMENT,
+      `Cannot use "undefined" as a Firestore value (found in field "${path}").`
+    );
+  }
+  if (
+    value === null ||
+    ["string", "boolean", "number"].includes(typeof value)
+  ) {
+    return value;
+  }
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (
+    value instanceof Timestamp ||
+    value instanceof GeoPoint ||
+    value instanceof MemoryDocumentReference ||
+    value instanceof Uint8Array
+  ) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((v, i) => normalizeValue(v, `${path}.${i}`));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [
+        k,
+        normalizeValue(v, path ? `${path}.${k}` : k),
+      ])
+    );
+  }
+  throw new MemoryFirestoreError(
+    CODES.INVALID_ARGUMENT,
+    `Couldn't serialize object of type "${value?.constructor?.name}" (found in field "${path}").`
+  );
+}
+
+/**
+ * Type order of Firestore values, used for sorting and range comparisons.
+ * @param {*} value
+ * @returns {number}
+ */
+function typeOrder(value) {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === "boolean") return 1;
+  if (typeof value === "number") return 2;
+  if (value instanceof Timestamp || value instanceof Date) return 3;
+  if (typeof value === "string") return 4;
+  if (value instanceof Uint8Array) return 5;
+  if (value instanceof MemoryDocumentReference) return 6;
+  if (value instanceof GeoPoint) return 7;
+  if (Array.isArray(value)) return 8;
+  return 9;
+}
+
+/**
+ * Compare path strings segment by segment.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function comparePaths(a, b) {
+  const as = a.split("/");
+  const bs = b.split("/");
+  for (let i = 0; i < Math.min(as.length, bs.length); i++) {
+    if (as[i] !== bs[i]) return as[i] < bs[i] ? -1 : 1;
+  }
+  return as.length - bs.length;
+}
+
+/**
+ * Compare two Firestore values in Firestore order.
+ * @param {*} a
+ * @param {*} b
+ * @returns {number} Negative, zero or positive.
+ */
+function compareValues(a, b) {
+  const ta = typeOrder(a);
+  const tb = typeOrder(b);
+  if (ta !== tb) return ta - tb;
+  switch (ta) {
+    case 0:
+      return 0;
+    case 1:
+      return Number(a) - Number(b);
+    case 2:
+      if (Number.isNaN(a)) return Number.isNaN(b) ? 0 : -1;
+      if (Number.isNaN(b)) return 1;
+      return a === b ? 0 : a < b ? -1 : 1;
+    case 3: {
+      const am = a instanceof Date ? a.getTime() : a.toMillis();
+      const bm = b instanceof Date ? b.getTime() : b.toMillis();
+      if (am !== bm) return am - bm;
+      return (a.nanoseconds ?? 0) - (b.nanoseconds ?? 0);
+    }
+    case 4:
+      return a === b ? 0 : a < b ? -1 : 1;
+    case 5:
+      return Buffer.compare(Buffer.from(a), Buffer.from(b));
+    case 6:
+      return comparePaths(a.path, b.path);
+    case 7:
+      return a.latitude - b.latitude || a.longitude - b.longitude;
+    case 8:
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const result = compareValues(a[i], b[i]);
+        if (result !== 0) return result;
+      }
+      return a.length - b.length;
+    default: {
+      const ak = Object.keys(a).sort();
+      const bk = Object.keys(b).sort();
+      for (let i = 0; i < Math.min(ak.length, bk.length); i++) {
+        if (ak[i] !== bk[i]) return ak[i] < bk[i] ? -1 : 1;
+        const result = compareValues(a[ak[i]], b[bk[i]]);
+        if (result !== 0) return result;
+      }
+      return ak.length - bk.length;
+    }
+  }
+}
+
+/**
+ * Apply a FieldValue transform to the current value.
+ * - The admin SDK has no public accessor for a transform's kind or arguments, so this reads
+ *   its `methodName`, `operand` and `elements` properties. The tests pin them against the
+ *   installed firebase-admin; an unknown shape fails with INVALID_ARGUMENT instead of
+ *   writing a wrong value.
+ * @param {*} current - Current stored value.
+ * @param {FieldValue} fieldValue - Transform.
+ * @returns {*} New value (undefined to delete the field).
+ */
+function applyTransform(current, fieldValue) {
+  const { methodName, operand, elements } = fieldValue;
+  const isArrayTransform =
+    methodName === "FieldValue.arrayUnion" ||
+    methodName === "FieldValue.arrayRemove";
+  if (
+    (methodName === "FieldValue.increment" && typeof operand !== "number") ||
+    (isArrayTransform && !Array.isArray(elements))
+  ) {
+    throw new MemoryFirestoreError(
+      CODES.INVALID_ARGUMENT,
+      `Unrecognized arguments for ${methodName}.`
+    );
+  }
+  switch (methodName) {
+    case "FieldValue.increment":
+      return (typeof current === "number" ? current : 0) + operand;
+    case "FieldValue.arrayUnion": {
+      const array = Array.isArray(current) ? [...current] : [];
+      elements.forEach((element) => {
+        const value = normalizeValue(element, "");
+        if (!array.some((v) => compareValues(v, value) === 0))
+          array.push(value);
+      });
+      return array;
+    }
+    case "FieldValue.arrayRemove": {
+      const values = elements.map((e) => normalizeValue(e, ""));
+      return (Array.isArray(current) ? current : []).filter(
+        (v) => !values.some((e) => compareValues(v, e) === 0)
+      );
+    }
+    case "FieldValue.serverTimestamp":
+      return Timestamp.now();
+    case "FieldValue.delete":
+      return undefined;
+    default:
+      throw new MemoryFirestoreError(
+        CODES.INVALID_ARGUMENT,
+        `Unsupported FieldValue: ${methodName}`
+      );
+  }
+}
+
+/**
+ * Split data into plain values and FieldValue transforms keyed by field path.
+ * @param {Object} data - Data to write.
+ * @param {string} [base=""] - Path of `data`.
+ * @param {Array} [transforms=[]] - Collected transforms.
+ * @returns {{values: Object, transforms: Array<[string, FieldValue]>}}
+ */
+function extractTransforms(data, base = "", transforms = []) {
+  const values = {};
+  for (const [key, value] of Object.entries(data)) {
+    const path = base ? `${base}.${key}` : key;
+    if (value instanceof FieldValue) {
+      transforms.push([path, value]);
+    } else if (isPlainObject(value)) {
+      values[key] = extractTransforms(value, path, transforms).values;
+    } else {
+      values[key] = normalizeValue(value, path);
+    }
+  }
+  return { values, transforms };
+}
+
+/**
+ * Deep-merge `source` maps into `target`.
+ * @param {Object} target
+ * @param {Object} source
+ * @returns {Object}
+ */
+function deepMerge(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      deepMerge(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+/**
+ * Snapshot of a document.
+ */
+export class MemoryDocumentSnapshot {
+  /**
+   * @param {MemoryDocumentReference} ref - Document reference.
+   * @param {Object|undefined} record - Stored record (`{ data, createTime, updateTime }`).
+   * @param {Array<string>|null} [fields=null] - Projected fields (`select`).
+   */
+  constructor(ref, record, fields = null) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = !!record;
+    this.createTime = record?.createTime;
+    this.updateTime = record?.updateTime;
+    this.readTime = Timestamp.now();
+    this._data = record ? cloneData(record.data) : undefined;
+    if (this._data && fields) {
+      const projected = {};
+      fields.forEach((field) => {
+        const value = getField(this._data, field);
+        if (value !== undefined) setField(projected, field, value);
+      });
+      this._data = projected;
+    }
+  }
+
+  /**
+   * Returns the document data, converted with the reference's converter if any.
+   * @returns {Object|undefined}
+   */
+  data() {
+    if (!this.exists) return undefined;
+    const converter = this.ref._converter;
+    if (converter) {
+      const raw = new MemoryDocumentSnapshot(this.ref.withConverter(null), {
+        data: this._data,
+        createTime: this.createTime,
+        updateTime: this.updateTime,
+      });
+      return converter.fromFirestore(raw);
+    }
+    return cloneData(this._data);
+  }
+
+  /**
+   * Returns the raw value of a field.
+   * @param {string|FieldPath} field
+   * @returns {*}
+   */
+  get(field) {
+    if (!this.exists) return undefined;
+    return cloneData(getField(this._data, fieldPathString(field)));
+  }
+
+  isEqual(other) {
+    return (
+      other instanceof MemoryDocumentSnapshot &&
+      this.ref.isEqual(other.ref) &&
+      compareValues(this._data ?? null, other._data ?? null) === 0
+    );
+  }
+}
+
+/**
+ * Snapshot of query results.
+ */
+export class MemoryQuerySnapshot {
+  /**
+   * @param {MemoryQuery} query - Query that produced the results.
+   * @param {Array<MemoryDocumentSnapshot>} docs - Matching documents.
+   * @param {Array<Object>} [changes] - Document changes since the previous snapshot.
+   */
+  constructor(query, docs, changes = null) {
+    this.query = query;
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+    this.readTime = Timestamp.now();
+    this._changes =
+      changes ||
+      docs.map((doc, newIndex) => ({
+        type: "added",
+        doc,
+        oldIndex: -1,
+        newIndex,
+      }));
+  }
+
+  forEach(callback, thisArg) {
+    this.docs.forEach(callback, thisArg);
+  }
+
+  docChanges() {
+    return this._changes;
+  }
+}
+
+/**
+ * Query built from filters, orders, limits and cursors.
+ */
+export class MemoryQuery {
+  /**
+   * @param {MemoryFirestore} firestore
+   * @param {Object} options - Query state.
+   */
+  constructor(firestore, options) {
+    this.firestore = firestore;
+    this._options = {
+      collectionPath: null,
+      collectionId: null,
+      allDescendants: false,
+      filters: [],
+      orders: [],
+      limit: null,
+      limitType: "first",
+      startAt: null,
+      endAt: null,
+      fields: null,
+      ...options,
+    };
+    this._converter = options.converter ?? null;
+  }
+
+  _with(options) {
+    return new this.constructor(this.firestore, {
+      ...this._options,
+      converter: this._converter,
+      ...options,
+    });
+  }
+
+  /**
+   * Adds a filter. Accepts `(field, op, value)` or a `Filter`.
+   * @returns {MemoryQuery}
+   */
+  where(fieldOrFilter, op, value) {
+    const filter =
+      fieldOrFilter instanceof Filter
+        ? fieldOrFilter
+        : Filter.where(fieldOrFilter, op, value);
+    validateFilter(filter);
+    return this._with({ filters: [...this._options.filters, filter] });
+  }
+
+  orderBy(field, direction = "asc") {
+    if (!["asc", "desc"].includes(direction)) {
+      throw new MemoryFirestoreError(
+        CODES.INVALID_ARGUMENT,
+        `Invalid orderBy direction: ${direction}`
+      );
+    }
+    if (this._options.startAt || this._options.endAt) {
+      throw new MemoryFirestoreError(
+        CODES.INVALID_ARGUMENT,
+        `orderBy() must come before startAt(), startAfter(), endBefore() or endAt().`
+      );
+    }
+    return this._with({
+      orders: [
+        ...this._options.orders,
+        { field: fieldPathString(field), direction },
+      ],
+    });
+  }
+
+  limit(n) {
+    return this._with({ limit: n, limitType: "first" });
+  }
+
+  limitToLast(n) {
+    return this._with({ limit: n, limitType: "last" });
+  }
+
+  startAt(...values) {
+    return this._with({ startAt: { values, inclusive: true } });
+  }
+
+  startAfter(...values) {
+    return this._with({ startAt: { values, inclusive: false } });
+  }
+
+  endAt(...values) {
+    return this._with({ endAt: { values, inclusive: true } });
+  }
+
+  endBefore(...values) {
+    return this._with({ endAt: { values, inclusive: false } });
+  }
+
+  select(...fields) {
+    return this._with({ fields: fields.map(fieldPathString) });
+  }
+
+  withConverter(converter) {
+    const query = this._with({});
+    query._converter = converter ?? null;
+    return query;
+  }
+
+  count() {
+    return new MemoryAggregateQuery(this, { count: AggregateField.count() });
+  }
+
+  aggregate(spec) {
+    return new MemoryAggregateQuery(this, spec);
+  }
+
+  /**
+   * Executes the query.
+   * @returns {Promise<MemoryQuerySnapshot>}
+   */
+  async get() {
+    return this._run();
+  }
+
+  /**
+   * Listens to query results. Returns a function to stop listening.
+   * @param {Function} onNext - Called with a MemoryQuerySnapshot.
+   * @param {Function} [onError] - Called if the query is invalid.
+   * @returns {Function}
+   */
+  onSnapshot(onNext, onError) {
+    return this.firestore._listen(
+      () => this._run(),
+      (snapshot, previous) => {
+        if (!previous) return snapshot;
+        const changes = diffQuerySnapshots(previous, snapshot);
+        if (changes.length === 0) return null;
+        return new MemoryQuerySnapshot(this, snapshot.docs, changes);
+      },
+      onNext,
+      onError
+    );
+  }
+
+  isEqual(other) {
+    return other instanceof MemoryQuery && other._key() === this._key();
+  }
+
+  _key() {
+    return JSON.stringify({
+      ...this._options,
+      filters: this._options.filters.length,
+    });
+  }
+
+  /**
+   * Effective orders: explicit orders, implicit inequality orders and the document name.
+   * @returns {Array<{field: string, direction: string}>}
+   */
+  _effectiveOrders() {
+    const orders = [...this._options.orders];
+    const inequalityFields = [];
+    flattenFilters(this._options.filters).forEach((filter) => {
+      const field = fieldPathString(filter._getField());
+      if (
+        ["<", "<=", ">", ">=", "!=", "not-in"].includes(
+          filter._getOperator()
+        ) &&
+        !inequalityFields.includes(field)
+      ) {
+        inequalityFields.push(field);
+      }
+    });
+    inequalityFields.forEach((field) => {
+      if (!orders.some((order) => order.field === field)) {
+        orders.push({ field, direction: "asc" });
+      }
+    });
+    if (!orders.some((order) => order.field === "__name__")) {
+      const direction = orders.length
+        ? orders[orders.length - 1].direction
+        : "asc";
+      orders.push({ field: "__name__", direction });
+    }
+    return orders;
+  }
+
+  _matchesScope(path) {
+    const segments = path.split("/");
+    const { collectionPath, collectionId, allDescendants } = this._options;
+    if (allDescendants) return segments[segments.length - 2] === collectionId;
+    return segments.slice(0, -1).join("/") === collectionPath;
+  }
+
+  _docRef(path) {
+    return new MemoryDocumentReference(this.firestore, path, this._converter);
+  }
+
+  _run(source = this.firestore._docs) {
+    const { filters, limit, limitType, fields } = this._options;
+    if (limitType === "last" && this._options.orders.length === 0) {
+      throw new MemoryFirestoreError(
+        CODES.INVALID_ARGUMENT,
+        `limitToLast() queries require specifying at least one orderBy() clause.`
+      );
+    }
+
+    const orders = this._effectiveOrders();
+    let entries = [...source.entries()].filter(
+      ([path, record]) =>
+        record &&
+        this._matchesScope(path) &&
+        filters.every((filter) => matchesFilter(filter, path, record.data)) &&
+        orders.every(
+          (order) =>
+            order.field === "__name__" ||
+            getField(record.data, order.field) !== undefined
+        )
+    );
+
+    const sortValue = (path, data, field) =>
+      field === "__name__" ? this._docRef(path) : getField(data, field);
+    const compareEntries = ([pathA, recA], [pathB, recB]) => {
+      for (const { field, direction } of orders) {
+        const result = compareValues(
+          sortValue(pathA, recA.data, field),
+          sortValue(pathB, recB.data, field)
+        );
+        if (result !== 0) return direction === "desc" ? -result : result;
+      }
+      return 0;
+    };
+    entries.sort(compareEntries);
+
+    const cursorPosition = (cursor, [path, record]) => {
+      const values = this._cursorValues(cursor.values, orders);
+      for (let i = 0; i < values.length; i++) {
+        const { field, direction } = orders[i];
+        const result = compareValues(
+          sortValue(path, record.data, field),
+          values[i]
+        );
+        if (result !== 0) return direction === "desc" ? -result : result;
+      }
+      return 0;
+    };
+    if (this._options.startAt) {
+      const cursor = this._options.startAt;
+      entries = entries.filter((entry) => {
+        const position = cursorPosition(cursor, entry);
+        return cursor.inclusive ? position >= 0 : position > 0;
+      });
+    }
+    if (this._options.endAt) {
+      const cursor = this._options.endAt;
+      entries = entries.filter((entry) => {
+        const position = cursorPosition(cursor, entry);
+        return cursor.inclusive ? position <= 0 : position < 0;
+      });
+    }
+
+    if (limit !== null && limit !== undefined) {
+      entries =
+        limitType === "last" ? entries.slice(-limit) : entries.slice(0, limit);
+    }
+
+    const docs = entries.map(
+      ([path, record]) =>
+        new MemoryDocumentSnapshot(this._docRef(path), record, fields)
+    );
+    return new MemoryQuerySnapshot(this, docs);
+  }
+
+  _cursorValues(values, orders) {
+    if (values.length === 1 && values[0] instanceof MemoryDocumentSnapshot) {
+      const snapshot = values[0];
+      if (!snapshot.exists) {
+        throw new MemoryFirestoreError(
+          CODES.INVALID_ARGUMENT,
+          `Can't use a DocumentSnapshot that doesn't exist for a cursor.`
+        );
+      }
+      return orders.map(({ field }) =>
+        field === "__name__"
+          ? this._docRef(snapshot.ref.path)
+          : snapshot.get(field)
+      );
+    }
+    return values.map((value, i) => {
+      if (orders[i]?.field !== "__name__") return normalizeValue(value, "");
+      if (value instanceof MemoryDocumentReference) return value;
+      const base = this._options.collectionPath;
+      return this._docRef(
+        String(value).includes("/") ? value : `${base}/${value}`
+      );
+    });
+  }
+}
+
+/**
+ * Validate a filter like the admin SDK does for the operators it accepts.
+ * @param {Filter} filter
+ */
+function validateFilter(filter) {
+  flattenFilters([filter]).forEach((unary) => {
+    const op = unary._getOperator();
+    const value = unary._getValue();
+    const ops = [
+      "<",
+      "<=",
+      "==",
+      "!=",
+      ">=",
+      ">",
+      "array-contains",
+      "array-contains-any",
+      "in",
+      "not-in",
+    ];
+    if (!ops.includes(op)) {
+      throw new MemoryFirestoreError(
+        CODES.INVALID_ARGUMENT,
+        `Invalid query operator: ${op}`
+      );
+    }
+    if (
+      ["in", "not-in", "array-contains-any"].includes(op) &&
+      (!Array.isArray(value) || value.length === 0 || value.length > 30)
+    ) {
+      throw new MemoryFirestoreError(
+        CODES.INVALID_ARGUMENT,
+        `'${op}' requires a non-empty array of up to 30 values.`
+      );
+    }
+  });
+}
+
+/**
+ * Flatten composite filters into unary filters.
+ * @param {Array<Filter>} filters
+ * @returns {Array<Filter>}
+ */
+function flattenFilters(filters) {
+  return filters.flatMap((filter) =>
+    typeof filter._getFilters === "function"
+      ? flattenFilters(filter._getFilters())
+      : [filter]
+  );
+}
+
+/**
+ * Whether a document matches a (unary or composite) filter.
+ * @param {Filter} filter
+ * @param {string} path - Document path.
+ * @param {Object} data - Document data.
+ * @returns {boolean}
+ */
+function matchesFilter(filter, path, data) {
+  if (typeof filter._getFilters === "function") {
+    const filters = filter._getFilters();
+    return filter._getOperator() === "OR"
+      ? filters.some((f) => matchesFilter(f, path, data))
+      : filters.every((f) => matchesFilter(f, path, data));
+  }
+
+  const field = filter._getField();
+  const op = filter._getOperator();
+  let expected = filter._getValue();
+  let actual;
+
+  if (isDocumentIdField(field)) {
+    actual = path;
+    const toPath = (value) => {
+      if (value instanceof MemoryDocumentReference) return value.path;
+      const str = String(value);
+      return str.includes("/")
+        ? str
+        : `${path.split("/").slice(0, -1).join("/")}/${str}`;
+    };
+    expected = Array.isArray(expected)
+      ? expected.map(toPath)
+      : toPath(expected);
+    const cmp = (a, b) => comparePaths(a, b);
+    return compareByOperator(op, actual, expected, cmp);
+  }
+
+  actual = getField(data, fieldPathString(field));
+  if (actual === undefined) return false;
+  const normalize = (value) =>
+    value instanceof Date ? Timestamp.fromDate(value) : value;
+  expected = Array.isArray(expected)
+    ? expected.map(normalize)
+    : normalize(expected);
+  return compareByOperator(op, actual, expected, compareValues);
+}
+
+/**
+ * Evaluate a query operator.
+ * @param {string} op
+ * @param {*} actual
+ * @param {*} expected
+ * @param {Function} compare
+ * @returns {boolean}
+ */
+function compareByOperator(op, actual, expected, compare) {
+  const sameType = () => typeOrder(actual) === typeOrder(expected);
+  switch (op) {
+    case "==":
+      return compare(actual, expected) === 0;
+    case "!=":
+      return actual !== null && compare(actual, expected) !== 0;
+    case "<":
+      return sameType() && compare(actual, expected) < 0;
+    case "<=":
+      return sameType() && compare(actual, expected) <= 0;
+    case ">":
+      return sameType() && compare(actual, expected) > 0;
+    case ">=":
+      return sameType() && compare(actual, expected) >= 0;
+    case "in":
+      return expected.some((value) => compare(actual, value) === 0);
+    case "not-in":
+      return (
+        actual !== null &&
+        !expected.some((value) => compare(actual, value) === 0)
+      );
+    case "array-contains":
+      return (
+        Array.isArray(actual) && actual.some((v) => compare(v, expected) === 0)
+      );
+    case "array-contains-any":
+      return (
+        Array.isArray(actual) &&
+        actual.some((v) => expected.some((e) => compare(v, e) === 0))
+      );
+    default:
+      return false;
+  }
+}
+
+/**
+ * Returns document changes between two query snapshots.
+ * @param {MemoryQuerySnapshot} previous
+ * @param {MemoryQuerySnapshot} current
+ * @returns {Array<Object>}
+ */
+function diffQuerySnapshots(previous, current) {
+  const changes = [];
+  const oldIndexes = new Map(previous.docs.map((doc, i) => [doc.ref.path, i]));
+  const newIndexes = new Map(current.docs.map((doc, i) => [doc.ref.path, i]));
+
+  previous.docs.forEach((doc, oldIndex) => {
+    if (!newIndexes.has(doc.ref.path)) {
+      changes.push({ type: "removed", doc, oldIndex, newIndex: -1 });
+    }
+  });
+  current.docs.forEach((doc, newIndex) => {
+    const oldIndex = oldIndexes.get(doc.ref.path);
+    if (oldIndex === undefined) {
+      changes.push({ type: "added", doc, oldIndex: -1, newIndex });
+    } else if (
+      compareValues(doc.updateTime, previous.docs[oldIndex].updateTime) !== 0
+    ) {
+      changes.push({ type: "modified", doc, oldIndex, newIndex });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Aggregation query (`count()` / `aggregate()`).
+ */
+export class MemoryAggregateQuery {
+  /**
+   * @param {MemoryQuery} query - Underlying query.
+   * @param {Object<string, AggregateField>} spec - Aggregations keyed by alias.
+   */
+  constructor(query, spec) {
+    this.query = query;
+    this._spec = spec;
+  }
+
+  async get() {
+    return this._run();
+  }
+
+  _run(source) {
+    const snapshot = this.query.withConverter(null)._run(source);
+    const result = {};
+    for (const [alias, field] of Object.entries(this._spec)) {
+      const values = snapshot.docs
+        .map((doc) =>
+          field._field ? doc.get(fieldPathString(field._field)) : null
+        )
+        .filter((value) => typeof value === "number");
+      switch (field.aggregateType) {
+        case "count":
+          result[alias] = snapshot.size;
+          break;
+        case "sum":
+          result[alias] = values.reduce((acc, v) => acc + v, 0);
+          break;
+        case "avg":
+          result[alias] = values.length
+            ? values.reduce((acc, v) => acc + v, 0) / values.length
+            : null;
+          break;
+        default:
+          throw new MemoryFirestoreError(
+            CODES.INVALID_ARGUMENT,
+            `Unsupported aggregation: ${field.aggregateType}`
+          );
+      }
+    }
+    return { readTime: Timestamp.now(), data: () => ({ ...result }) };
+  }
+}
+
+/**
+ * Reference to a collection.
+ */
+export class MemoryCollectionReference extends MemoryQuery {
+  /**
+   * @param {MemoryFirestore} firestore
+   * @param {string} path - Collection path.
+   * @param {Object|null} [converter=null] - FirestoreDataConverter.
+   */
+  constructor(firestore, path, converter = null) {
+    const options =
+      path && typeof path === "object"
+        ? path
+        : { collectionPath: path, converter };
+    super(firestore, options);
+    const segments = splitPath(this._options.collectionPath);
+    if (segments.length % 2 !== 1) {
+      throw new MemoryFirestoreError(
+        CODES.INVALID_ARGUMENT,
+        `Value for argument "collectionPath" must point to a collection, but was "${this._options.collectionPath}".`
+      );
+    }
+    this.path = segments.join("/");
+    this.id = segments[segments.length - 1];
+  }
+
+  _with(options) {
+    return new MemoryQuery(this.firestore, {
+      ...this._options,
+      converter: this._converter,
+      ...options,
+    });
+  }
+
+  get parent() {
+    const segments = this.path.split("/");
+    return segments.length > 1
+      ? new MemoryDocumentReference(
+          this.firestore,
+          segments.slice(0, -1).join("/")
+        )
+      : null;
+  }
+
+  doc(id = autoId()) {
+    return new MemoryDocumentReference(
+      this.firestore,
+      `${this.path}/${id}`,
+      this._converter
+    );
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.create(data);
+    return ref;
+  }
+
+  async listDocuments() {
+    const paths = new Set();
+    for (const path of this.firestore._docs.keys()) {
+      if (path.startsWith(`${this.path}/`)) {
+        const segments = path.slice(this.path.length + 1).split("/");
+        paths.add(`${this.path}/${segments[0]}`);
+      }
+    }
+    return [...paths].sort(comparePaths).map((p) => this.firestore.doc(p));
+  }
+
+  withConverter(converter) {
+    return new MemoryCollectionReference(
+      this.firestore,
+      this.path,
+      converter ?? null
+    );
+  }
+
+  isEqual(other) {
+    return (
+      other instanceof MemoryCollectionReference && other.path === this.path
+    );
+  }
+}
+
+/**
+ * Reference to a document.
+ */
+export class MemoryDocumentReference {
+  /**
+   * @param {MemoryFirestore} firestore
+   * @param {string} path - Document path.
+   * @param {Object|null} [converter=null] - FirestoreDataConverter.
+   */
+  constructor(firestore, path, converter = null) {
+    const segments = splitPath(path);
+    if (segments.length % 2 !== 0) {
+      throw new MemoryFirestoreError(
+        CODES.INVALID_ARGUMENT,
+        `Value for argument "documentPath" must point to a document, but was "${path}".`
+      );
+    }
+    this.firestore = firestore;
+    this.path = segments.join("/");
+    this.id = segments[segments.length - 1];
+    this._converter = converter;
+  }
+
+  get parent() {
+    return new MemoryCollectionReference(
+      this.firestore,
+      this.path.split("/").slice(0, -1).join("/"),
+      this._converter
+    );
+  }
+
+  collection(path) {
+    return new MemoryCollectionReference(
+      this.firestore,
+      `${this.path}/${path}`
+    );
+  }
+
+  async listCollections() {
+    return this.firestore._listCollections(this.path);
+  }
+
+  withConverter(converter) {
+    return new MemoryDocumentReference(
+      this.firestore,
+      this.path,
+      converter ?? null
+    );
+  }
+
+  async get() {
+    return this.firestore._snapshot(this);
+  }
+
+  async create(data) {
+    return this.firestore._commit([{ type: "create", ref: this, data }]);
+  }
+
+  async set(data, options = {}) {
+    return this.firestore._commit([{ type: "set", ref: this, data, options }]);
+  }
+
+  async update(dataOrField, ...rest) {
+    const data = toUpdateData(dataOrField, rest);
+    return this.firestore._commit([{ type: "update", ref: this, data }]);
+  }
+
+  async delete(precondition = {}) {
+    return this.firestore._commit([
+      { type: "delete", ref: this, precondition },
+    ]);
+  }
+
+  /**
+   * Listens to the document. Returns a function to stop listening.
+   * @param {Function} onNext - Called with a MemoryDocumentSnapshot.
+   * @param {Function} [onError]
+   * @returns {Function}
+   */
+  onSnapshot(onNext, onError) {
+    return this.firestore._listen(
+      () => this.firestore._snapshot(this),
+      (snapshot, previous) => {
+        if (!previous) return snapshot;
+        const unchanged =
+          snapshot.exists === previous.exists &&
+          compareValues(
+            snapshot.updateTime ?? null,
+            previous.updateTime ?? null
+          ) === 0;
+        return unchanged ? null : snapshot;
+      },
+      onNext,
+      onError
+    );
+  }
+
+  isEqual(other) {
+    return other instanceof MemoryDocumentReference && other.path === this.path;
+  }
+}
+
+/**
+ * Convert `update()` arguments to a data object keyed by field path.
+ * @param {Object|string|FieldPath} dataOrField
+ * @param {Array} rest - Alternating values and field paths.
+ * @returns {Object}
+ */
+function toUpdateData(dataOrField, rest) {
+  if (isPlainObject(dataOrField)) return dataOrField;
+  const data = { [fieldPathString(dataOrField)]: rest[0] };
+  for (let i = 1; i < rest.length; i += 2) {
+    data[fieldPathString(rest[i])] = rest[i + 1];
+  }
+  return data;
+}
+
+/**
+ * Batched writes committed atomically.
+ */
+export class MemoryWriteBatch {
+  /**
+   * @param {MemoryFirestore} firestore
+   */
+  constructor(firestore) {
+    this.firestore = firestore;
+    this._writes = [];
+    this._committed = false;
+  }
+
+  _add(write) {
+    if (this._committed) {
+      throw new MemoryFirestoreError(
+        CODES.FAILED_PRECONDITION,
+        `Cannot modify a WriteBatch that has been committed.`
+      );
+    }
+    this._writes.push(write);
+    return this;
+  }
+
+  create(ref, data) {
+    return this._add({ type: "create", ref, data });
+  }
+
+  set(ref, data, options = {}) {
+    return this._add({ type: "set", ref, data, options });
+  }
+
+  update(ref, dataOrField, ...rest) {
+    return this._add({
+      type: "update",
+      ref,
+      data: toUpdateData(dataOrField, rest),
+    });
+  }
+
+  delete(ref, precondition = {}) {
+    return this._add({ type: "delete", ref, precondition });
+  }
+
+  async commit() {
+    this._committed = true;
+    return this.firestore._commit(this._writes);
+  }
+}
+
+/**
+ * Transaction. Reads must come before writes; writes are applied when the
+ * update function resolves.
+ * - A query read records only the documents it returned, so a document inserted later
+ *   that would have matched the query (a phantom) never aborts the transaction.
+ */
+export class MemoryTransaction extends MemoryWriteBatch {
+  constructor(firestore) {
+    super(firestore);
+    this._reads = new Map();
+  }
+
+  _assertNoWrites() {
+    if (this._writes.length > 0) {
+      throw new MemoryFirestoreError(
+        CODES.INVALID_ARGUMENT,
+        `Firestore transactions require all reads to be executed before all writes.`
+      );
+    }
+  }
+
+  _recordRead(path) {
+    if (!this._reads.has(path)) {
+      this._reads.set(path, this.firestore._docs.get(path)?.version ?? 0);
+    }
+  }
+
+  /**
+   * Reads a document, a query or an aggregate query.
+   * @param {MemoryDocumentReference|MemoryQuery|MemoryAggregateQuery} refOrQuery
+   * @returns {Promise<*>}
+   */
+  async get(refOrQuery) {
+    this._assertNoWrites();
+    if (refOrQuery instanceof MemoryDocumentReference) {
+      this._recordRead(refOrQuery.path);
+      return this.firestore._snapshot(refOrQuery);
+    }
+    const snapshot = refOrQuery._run();
+    (snapshot.docs || []).forEach((doc) => this._recordRead(doc.ref.path));
+    return snapshot;
+  }
+
+  async getAll(...refs) {
+    this._assertNoWrites();
+    const documentRefs = refs.filter(
+      (ref) => ref instanceof MemoryDocumentReference
+    );
+    documentRefs.forEach((ref) => this._recordRead(ref.path));
+    return documentRefs.map((ref) => this.firestore._snapshot(ref));
+  }
+
+  async commit() {
+    throw new MemoryFirestoreError(
+      CODES.FAILED_PRECONDITION,
+      `Transactions are committed by runTransaction().`
+    );
+  }
+}
+
+/**
+ * In-memory Firestore.
+ */
+export class MemoryFirestore {
+  constructor() {
+    /** @type {Map<string, {data: Object, createTime: Timestamp, updateTime: Timestamp, version: number}>} */
+    this._docs = new Map();
+    this._listeners = new Set();
+    this._version = 0;
+  }
+
+  collection(path) {
+    return new MemoryCollectionReference(this, path);
+  }
+
+  doc(path) {
+    return new MemoryDocumentReference(this, path);
+  }
+
+  collectionGroup(collectionId) {
+    if (collectionId.includes("/")) {
+      throw new MemoryFirestoreError(
+        CODES.INVALID_ARGUMENT,
+        `Invalid collectionId "${collectionId}". Collection IDs must not contain "/".`
+      );
+    }
+    return new MemoryQuery(this, { collectionId, allDescendants: true });
+  }
+
+  batch() {
+    return new MemoryWriteBatch(this);
+  }
+
+  async getAll(...refs) {
+    return refs
+      .filter((ref) => ref instanceof MemoryDocumentReference)
+      .map((ref) => this._snapshot(ref));
+  }
+
+  async listCollections() {
+    return this._listCollections(null);
+  }
+
+  /**
+   * Runs the update function in a transaction.
+   * - If a document read in the transaction is modified before the transaction commits,
+   *   the update function is retried (up to `maxAttempts` times).
+   * @param {Function} updateFunction - Called with a MemoryTransaction.
+   * @param {Object} [options={}]
+   * @param {number} [options.maxAttempts=5]
+   * @returns {Promise<*>} Result of the update function.
+   */
+  async runTransaction(updateFunction, { maxAttempts = 5 } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      const txn = new MemoryTransaction(this);
+      const result = await updateFunction(txn);
+      const conflicted = [...txn._reads].some(
+        ([path, version]) => (this._docs.get(path)?.version ?? 0) !== version
+      );
+      if (!conflicted) {
+        await this._commit(txn._writes);
+        return result;
+      }
+      if (attempt >= maxAttempts) {
+        throw new MemoryFirestoreError(
+          CODES.ABORTED,
+          `Transaction was aborted due to contention.`
+        );
+      }
+    }
+  }
+
+  /**
+   * Removes all documents. Listeners are kept.
+   */
+  clear() {
+    this._docs.clear();
+    this._notify();
+  }
+
+  /**
+   * Returns all documents as plain data keyed by path (Timestamps are kept).
+   * @returns {Object<string, Object>}
+   */
+  dump() {
+    return Object.fromEntries(
+      [...this._docs.entries()]
+        .sort(([a], [b]) => comparePaths(a, b))
+        .map(([path, record]) => [path, cloneData(record.data)])
+    );
+  }
+
+  async terminate() {
+    this._listeners.clear();
+  }
+
+  _snapshot(ref) {
+    return new MemoryDocumentSnapshot(ref, this._docs.get(ref.path));
+  }
+
+  _listCollections(parentPath) {
+    const depth = parentPath ? parentPath.split("/").length : 0;
+    const ids = new Set();
+    for (const path of this._docs.keys()) {
+      const segments = path.split("/");
+      if (parentPath && !path.startsWith(`${parentPath}/`)) continue;
+      if (segments.length > depth + 1) ids.add(segments[depth]);
+    }
+    return [...ids]
+      .sort()
+      .map((id) => this.collection(parentPath ? `${parentPath}/${id}` : id));
+  }
+
+  /**
+   * Apply writes atomically.
+   * @param {Array<Object>} writes
+   * @returns {Promise<Array<{writeTime: Timestamp}>>}
+   */
+  async _commit(writes) {
+    const staged = new Map();
+    const current = (path) =>
+      staged.has(path) ? staged.get(path) : this._docs.get(path);
+    const writeTime = Timestamp.now();
+
+    for (const write of writes) {
+      const { type, ref } = write;
+      if (!(ref instanceof MemoryDocumentReference)) {
+        throw new MemoryFirestoreError(
+          CODES.INVALID_ARGUMENT,
+          `Value for argument "documentRef" is not a valid DocumentReference.`
+        );
+      }
+      const existing = current(ref.path);
+
+      if (type === "delete") {
+        if (write.precondition?.exists && !existing) {
+          throw new MemoryFirestoreError(
+            CODES.NOT_FOUND,
+            `No document to delete: ${ref.path}`
+          );
+        }
+        staged.set(ref.path, undefined);
+        continue;
+      }
+
+      if (type === "create" && existing) {
+        throw new MemoryFirestoreError(
+          CODES.ALREADY_EXISTS,
+          `Document already exists: ${ref.path}`
+        );
+      }
+      if (type === "update" && !existing) {
+        throw new MemoryFirestoreError(
+          CODES.NOT_FOUND,
+          `No document to update: ${ref.path}`
+        );
+      }
+
+      let data;
+      let transforms;
+      if (type === "update") {
+        data = cloneData(existing.data);
+        transforms = [];
+        for (const [key, value] of Object.entries(write.data)) {
+          if (value instanceof FieldValue) transforms.push([key, value]);
+          else setField(data, key, normalizeValue(value, key));
+        }
+      } else {
+        const source =
+          ref._converter && write.data !== undefined
+            ? ref._converter.toFirestore(write.data, write.options)
+            : write.data;
+        if (!isPlainObject(source)) {
+          throw new MemoryFirestoreError(
+            CODES.INVALID_ARGUMENT,
+            `Data must be an object, but it was: ${source?.constructor?.name}`
+          );
+        }
+        const extracted = extractTransforms(source);
+        transforms = extracted.transforms;
+        data =
+          type === "set" && write.options?.merge && existing
+            ? deepMerge(cloneData(existing.data), extracted.values)
+            : extracted.values;
+      }
+
+      for (const [path, fieldValue] of transforms) {
+        setField(data, path, applyTransform(getField(data, path), fieldValue));
+      }
+
+      staged.set(ref.path, {
+        data,
+        createTime: existing?.createTime ?? writeTime,
+        updateTime: writeTime,
+      });
+    }
+
+    for (const [path, record] of staged) {
+      if (record) {
+        this._docs.set(path, { ...record, version: ++this._version });
+      } else if (this._docs.has(path)) {
+        this._docs.delete(path);
+        this._version++;
+      }
+    }
+
+    if (staged.size) this._notify();
+    return writes.map(() => ({ writeTime }));
+  }
+
+  /**
+   * Register a listener.
+   * @param {Function} read - Returns the current snapshot.
+   * @param {Function} toEvent - Returns the snapshot to deliver, or null if unchanged.
+   * @param {Function} onNext
+   * @param {Function} [onError]
+   * @returns {Function} Unsubscribe function.
+   */
+  _listen(read, toEvent, onNext, onError) {
+    const listener = { read, toEvent, onNext, onError, previous: null };
+    this._listeners.add(listener);
+    queueMicrotask(() => this._deliver(listener));
+    return () => this._listeners.delete(listener);
+  }
+
+  _notify() {
+    for (const listener of this._listeners) {
+      queueMicrotask(() => this._deliver(listener));
+    }
+  }
+
+  _deliver(listener) {
+    if (!this._listeners.has(listener)) return;
+    try {
+      const snapshot = listener.read();
+      const event = listener.toEvent(snapshot, listener.previous);
+      listener.previous = snapshot;
+      if (event) listener.onNext(event);
+    } catch (error) {
+      this._listeners.delete(listener);
+      if (listener.onError) listener.onError(error);
+    }
+  }
+}
+
+export default MemoryFirestore;
@@ -5,7 +5,9 @@ import { GeoPoint } from "firebase-admin/firestore"; // ← 追加
 describe("ServerAdapter", () => {
   let adapter;
 
-  beforeAll(() => {
+  // コンストラクターは既定のアダプターと静的プロパティを書き換えるため、
+  // テストごとに既定の状態へ戻す
+  beforeEach(() => {
     adapter = new ServerAdapter(firestore);
   });
 
@@ -60,9 +62,66 @@ describe("ServerAdapter", () => {
     });
   });
 
-  describe("logger", () => {
-    test("logger が定義されている", () => {
-      expect(adapter.logger).toBeDefined();
+  describe("createTokenMapQueries", () => {
+    test("検索文字列を正規化して 2 文字トークンのクエリを生成する", () => {
+      expect(adapter.createTokenMapQueries("ヤマダ")).toHaveLength(2);
+      expect(adapter.createTokenMapQueries("ﾔﾏﾀﾞ 太郎")).toHaveLength(3);
+    });
+
+    test("空文字の場合はエラーになる", () => {
+      expect(() => adapter.createTokenMapQueries(" ")).toThrow(
+        "Search string (constraints) cannot be empty."
+      );
+    });
+  });
+
+  describe("unsubscribe", () => {
+    test("リスナーがない場合は 0 を返す", () => {
+      expect(adapter.unsubscribe()).toBe(0);
+    });
+  });
+
+  describe("triggers", () => {
+    const Model = { getCollectionPath: (prefix) => `${prefix}/customers` };
+
+    test("prefix テンプレートからドキュメントパスを生成する", () => {
+      const trigger = ServerAdapter.onDocumentCreated(Model, () => {}, {
+        prefix: "companies/{companyId}",
+      });
+      expect(trigger.__endpoint.eventTrigger.eventFilterPathPatterns).toEqual({
+        document: "companies/{companyId}/customers/{docId}",
+      });
+    });
+
+    test("handler が関数でない場合はエラーになる", () => {
+      expect(() => ServerAdapter.onDocumentUpdated(Model, null)).toThrow(
+        "handler must be a function."
+      );
+    });
+  });
+
+  describe("createCallables", () => {
+    const Model = { getCollectionPath: () => "customers" };
+
+    test("指定した操作の callable 関数を生成する", () => {
+      const callables = ServerAdapter.createCallables(Model, {
+        operations: ["create", "fetch"],
+      });
+      expect(Object.keys(callables)).toEqual(["create", "fetch"]);
+      expect(typeof callables.create.run).toBe("function");
+    });
+
+    test("未ログインの場合は unauthenticated エラーになる", async () => {
+      const { fetch } = ServerAdapter.createCallables(Model);
+      await expect(fetch.run({ data: { docId: "a" } })).rejects.toMatchObject({
+        code: "unauthenticated",
+      });
+    });
+
+    test("不明な操作はエラーになる", () => {
+      expect(() =>
+        ServerAdapter.createCallables(Model, { operations: ["drop"] })
+      ).toThrow("Invalid operation: drop");
     });
   });
 });
@@ -0,0 +1,2551 @@
+import ServerAdapter, {
+  AdapterError,
+  AlreadyExistsError,
+  AutonumberExhaustedError,
+  ConflictError,
+  DependentExistsError,
+  InvalidArgumentError,
+  NotFoundError,
+  PreconditionError,
+  ValidationError,
+  toHttpsError,
+} from "../index.js";
+import { MemoryFirestore } from "../src/memory-firestore.js";
+import { deleteApp, initializeApp } from "firebase-admin/app";
+import {
+  FieldPath,
+  FieldValue,
+  Filter,
+  GeoPoint,
+  Timestamp,
+} from "firebase-admin/firestore";
+import { Readable, Writable } from "node:stream";
+
+/**
+ * FireModel がアダプターから委譲されるメソッド
+ * - これ以外のメソッドは `adapter.method.call(instance, args)` で呼び出す
+ */
+const DELEGATED_METHODS = [
+  "setAutonumber",
+  "create",
+  "fetch",
+  "fetchDoc",
+  "createQueries",
+  "createTokenMapQueries",
+  "fetchDocs",
+  "update",
+  "hasChild",
+  "delete",
+  "restore",
+  "unsubscribe",
+  "subscribe",
+  "subscribeDocs",
+];
+
+/**
+ * FireModel のように振る舞うテスト用のモデルクラスを生成する
+ */
+function defineModel(collectionPath, fields, statics = {}) {
+  class Model {
+    static collectionPath = collectionPath;
+    static hasMany = [];
+    static useAutonumber = false;
+    static logicalDelete = false;
+
+    static getAdapter() {
+      return ServerAdapter.defaultAdapter;
+    }
+
+    static getCollectionPath(prefix) {
+      return prefix ? `${prefix}/${this.collectionPath}` : this.collectionPath;
+    }
+
+    static converter() {
+      const modelClass = this;
+      return {
+        toFirestore: (instance) => ({ ...instance }),
+        fromFirestore: (snapshot) => {
+          const data = snapshot.data();
+          Object.keys(data).forEach((key) => {
+            if (typeof data[key]?.toDate === "function") {
+              data[key] = data[key].toDate();
+            }
+          });
+          return new modelClass(data);
+        },
+      };
+    }
+
+    constructor(item = {}) {
+      this.initialize(item);
+    }
+
+    initialize(item = {}) {
+      item ??= {};
+      this.docId = item.docId ?? "";
+      this.createdAt = item.createdAt ?? null;
+      this.updatedAt = item.updatedAt ?? null;
+      this.uid = item.uid ?? null;
+      Object.entries(fields).forEach(([key, value]) => {
+        this[key] = item[key] ?? value;
+      });
+    }
+
+    async beforeCreate() {}
+    async beforeEdit() {}
+    async beforeUpdate() {}
+    async beforeDelete() {}
+    validate() {}
+  }
+
+  Object.assign(Model, statics);
+  DELEGATED_METHODS.forEach((key) => {
+    Model.prototype[key] = function (...args) {
+      return this.constructor.getAdapter()[key].bind(this)(...args);
+    };
+  });
+  return Model;
+}
+
+describe("MemoryFirestore", () => {
+  let firestore;
+  let adapter;
+
+  beforeEach(() => {
+    firestore = new MemoryFirestore();
+    adapter = new ServerAdapter(firestore, null, { logLevel: "silent" });
+  });
+
+  describe("Firestore の代替", () => {
+    test("ドキュメントの作成・取得・更新・削除ができる", async () => {
+      const docRef = firestore.collection("customers").doc("a");
+      await docRef.set({ name: "a", rank: 1 });
+      await docRef.update({ rank: 2 });
+      expect((await docRef.get()).data()).toEqual({ name: "a", rank: 2 });
+
+      await docRef.delete();
+      expect((await docRef.get()).exists).toBe(false);
+    });
+
+    test("where・orderBy・limit と OR 条件のクエリを実行できる", async () => {
+      const colRef = firestore.collection("customers");
+      await Promise.all(
+        [3, 1, 2].map((rank) => colRef.doc(`c${rank}`).set({ rank }))
+      );
+
+      const snapshot = await colRef
+        .where("rank", ">=", 2)
+        .orderBy("rank", "desc")
+        .limit(1)
+        .get();
+      expect(snapshot.docs.map((doc) => doc.id)).toEqual(["c3"]);
+
+      const orSnapshot = await colRef
+        .where(
+          Filter.or(
+            Filter.where("rank", "==", 1),
+            Filter.where("rank", "==", 3)
+          )
+        )
+        .get();
+      expect(orSnapshot.size).toBe(2);
+    });
+
+    test("collectionGroup で同名のサブコレクションを横断できる", async () => {
+      await firestore.doc("companies/a/customers/x").set({ name: "x" });
+      await firestore.doc("companies/b/customers/y").set({ name: "y" });
+      await firestore.doc("customers/z").set({ name: "z" });
+
+      const snapshot = await firestore.collectionGroup("customers").get();
+      expect(snapshot.docs.map((doc) => doc.ref.path).sort()).toEqual([
+        "companies/a/customers/x",
+        "companies/b/customers/y",
+        "customers/z",
+      ]);
+    });
+
+    test("トランザクション内で読み取った後に書き込める", async () => {
+      const docRef = firestore.doc("counters/a");
+      await docRef.set({ count: 1 });
+      await firestore.runTransaction(async (transaction) => {
+        const docSnap = await transaction.get(docRef);
+        transaction.update(docRef, { count: docSnap.get("count") + 1 });
+      });
+      expect((await docRef.get()).get("count")).toBe(2);
+    });
+
+    // FieldValue は種類と引数を公開していないため、インストール済みの firebase-admin の
+    // 内部プロパティで判別している。バージョンアップで形が変わった場合にここで検出する
+    test("FieldValue の各操作を適用できる", async () => {
+      const docRef = firestore.doc("customers/a");
+      await docRef.set({
+        rank: 1,
+        tags: ["a", "b"],
+        geo: new GeoPoint(1, 2),
+        address: { zip: "100", city: "x" },
+      });
+      await docRef.update({
+        rank: FieldValue.increment(2),
+        tags: FieldValue.arrayUnion("b", "c"),
+        points: FieldValue.arrayUnion(new GeoPoint(1, 2)),
+        "address.zip": FieldValue.delete(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      let data = (await docRef.get()).data();
+      expect(data).toMatchObject({
+        rank: 3,
+        tags: ["a", "b", "c"],
+        address: { city: "x" },
+      });
+      expect(data.points).toHaveLength(1);
+      expect(data.updatedAt).toBeInstanceOf(Timestamp);
+
+      await docRef.update({
+        rank: FieldValue.increment(-0.5),
+        tags: FieldValue.arrayRemove("a", "z"),
+        points: FieldValue.arrayRemove(new GeoPoint(1, 2)),
+        count: FieldValue.increment(1),
+      });
+      data = (await docRef.get()).data();
+      expect(data).toMatchObject({
+        rank: 2.5,
+        tags: ["b", "c"],
+        points: [],
+        count: 1,
+      });
+    });
+
+    test("クエリの読み取り後に挿入された一致するドキュメントではトランザクションは中断しない", async () => {
+      const colRef = firestore.collection("customers");
+      await colRef.doc("a").set({ rank: 1 });
+      let attempts = 0;
+      await firestore.runTransaction(async (transaction) => {
+        attempts++;
+        const snapshot = await transaction.get(colRef.where("rank", "==", 1));
+        if (attempts === 1) await colRef.doc("b").set({ rank: 1 });
+        transaction.set(firestore.doc("counts/rank1"), {
+          count: snapshot.size,
+        });
+      });
+      expect(attempts).toBe(1);
+      expect((await firestore.doc("counts/rank1").get()).get("count")).toBe(1);
+    });
+
+    test("create は既存のドキュメントに対してエラーになり、バッチ全体が反映されない", async () => {
+      await firestore.doc("customers/a").set({ name: "a" });
+      const batch = firestore.batch();
+      batch.set(firestore.doc("customers/b"), { name: "b" });
+      batch.create(firestore.doc("customers/a"), { name: "a2" });
+      await expect(batch.commit()).rejects.toMatchObject({ code: 6 });
+      expect((await firestore.doc("customers/b").get()).exists).toBe(false);
+    });
+
+    test("withConverter でモデルのインスタンスに変換する", async () => {
+      const Customer = defineModel("customers", { name: "" });
+      await firestore.doc("customers/a").set({ name: "a" });
+      const docSnap = await firestore
+        .collection("customers")
+        .withConverter(Customer.converter())
+        .doc("a")
+        .get();
+      expect(docSnap.data()).toBeInstanceOf(Customer);
+      expect(docSnap.data().name).toBe("a");
+    });
+  });
+
+  describe("ServerAdapter と組み合わせる", () => {
+    test("create・update・delete・restore ができる", async () => {
+      const Customer = defineModel(
+        "customers",
+        { name: "" },
+        { logicalDelete: true }
+      );
+      const customer = new Customer({ name: "a" });
+      await customer.create();
+
+      customer.name = "b";
+      await customer.update();
+      const fetched = await new Customer().fetchDoc({
+        docId: customer.docId,
+      });
+      expect(fetched.name).toBe("b");
+
+      await fetched.delete();
+      expect(
+        await new Customer().fetchDoc({ docId: customer.docId })
+      ).toBeNull();
+      expect(
+        await adapter.fetchArchivedDoc.call(new Customer(), {
+          docId: customer.docId,
+        })
+      ).toMatchObject({ name: "b" });
+
+      await new Customer().restore({ docId: customer.docId });
+      expect(
+        await new Customer().fetchDoc({ docId: customer.docId })
+      ).toMatchObject({ name: "b" });
+    });
+
+    test("存在しないドキュメントの restore は NotFoundError になる", async () => {
+      const Customer = defineModel(
+        "customers",
+        { name: "" },
+        { logicalDelete: true }
+      );
+      await expect(
+        new Customer().restore({ docId: "missing" })
+      ).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    test("setAutonumber で採番し、トランザクションのコミットで反映する", async () => {
+      const Invoice = defineModel(
+        "invoices",
+        { code: "" },
+        { useAutonumber: true }
+      );
+      const prefix = "companies/a";
+      await adapter.updateAutonumber.call(new Invoice(), {
+        prefix,
+        settings: { field: "code", length: 3 },
+      });
+
+      const invoice = new Invoice();
+      await adapter.runTransaction(async (transaction) => {
+        const commit = await invoice.setAutonumber({ transaction, prefix });
+        await commit();
+      });
+      expect(invoice.code).toBe("001");
+      expect(
+        await adapter.previewAutonumber.call(new Invoice(), { prefix })
+      ).toBe("002");
+    });
+
+    describe("actor", () => {
+      const Customer = defineModel("customers", { name: "" });
+
+      test("既定では defaultActor を、actor を指定した場合はその uid を記録する", async () => {
+        const customer = new Customer({ name: "a" });
+        await customer.create();
+        const docRef = firestore.doc(`customers/${customer.docId}`);
+        expect((await docRef.get()).get("uid")).toBe("cloud functions");
+
+        await customer.update({ actor: { auth: { uid: "user-1" } } });
+        expect((await docRef.get()).get("uid")).toBe("user-1");
+        expect(customer.uid).toBe("user-1");
+      });
+
+      test("defaultActor と actorResolver をオプションで変更できる", async () => {
+        new ServerAdapter(firestore, null, {
+          logLevel: "silent",
+          defaultActor: "scheduler",
+          actorResolver: (actor) =>
+            typeof actor === "string" ? `service:${actor}` : null,
+        });
+        const customer = new Customer({ name: "a" });
+        await customer.create();
+        expect(
+          (await firestore.doc(`customers/${customer.docId}`).get()).get("uid")
+        ).toBe("service:scheduler");
+      });
+
+      test("ServerAdapter の静的プロパティは既定のアダプターの設定を読み書きする", async () => {
+        const other = new ServerAdapter(firestore, null, {
+          logLevel: "silent",
+          asDefault: false,
+        });
+        expect(ServerAdapter.defaultActor).toBe("cloud functions");
+        ServerAdapter.defaultActor = "batch";
+        ServerAdapter.idempotencyTTL = 1000;
+        expect(adapter.defaultActor).toBe("batch");
+        expect(adapter.idempotencyTTL).toBe(1000);
+        expect(other.defaultActor).toBe("cloud functions");
+
+        const customer = new Customer({ name: "a" });
+        await customer.create();
+        const docRef = firestore.doc(`customers/${customer.docId}`);
+        expect((await docRef.get()).get("uid")).toBe("batch");
+
+        ServerAdapter.actorResolver = (actor) => `service:${actor}`;
+        expect(adapter.actorResolver).toBe(ServerAdapter.actorResolver);
+        await customer.update({ actor: "sync" });
+        expect((await docRef.get()).get("uid")).toBe("service:sync");
+      });
+
+      test("actor を解決できない場合は書き込まずにエラーになる", async () => {
+        await expect(
+          new Customer({ name: "a" }).create({ actor: { auth: null } })
+        ).rejects.toBeInstanceOf(InvalidArgumentError);
+        expect((await firestore.collection("customers").get()).empty).toBe(
+          true
+        );
+      });
+    });
+
+    describe("複数のアダプターとデータベース", () => {
+      const Report = defineModel(
+        "reports",
+        { title: "" },
+        { database: "reporting" }
+      );
+      const Customer = defineModel("customers", { name: "" });
+      const exists = async (db, path) => (await db.doc(path).get()).exists;
+      let reporting;
+
+      beforeEach(() => {
+        reporting = new MemoryFirestore();
+        adapter = new ServerAdapter(firestore, null, {
+          logLevel: "silent",
+          databases: { reporting },
+        });
+      });
+
+      test("asDefault: false の場合は既定のアダプターを上書きしない", () => {
+        const other = new MemoryFirestore();
+        const second = new ServerAdapter(other, null, {
+          defaultActor: "batch",
+          asDefault: false,
+        });
+        expect(ServerAdapter.defaultAdapter).toBe(adapter);
+        expect(ServerAdapter.firestore).toBe(firestore);
+        expect(ServerAdapter.defaultActor).toBe("cloud functions");
+        expect(second.firestore).toBe(other);
+        expect(second.defaultActor).toBe("batch");
+      });
+
+      test("モデルの static database のデータベースで読み書きする", async () => {
+        const report = new Report({ title: "月次" });
+        await report.create({ docId: "r1" });
+        expect(await exists(reporting, "reports/r1")).toBe(true);
+        expect(await exists(firestore, "reports/r1")).toBe(false);
+        expect((await new Report().fetchDoc({ docId: "r1" })).title).toBe(
+          "月次"
+        );
+      });
+
+      test("呼び出しの database に ID・Firestore インスタンス・アダプターを指定できる", async () => {
+        const archive = new MemoryFirestore();
+        const archiveAdapter = new ServerAdapter(archive, null, {
+          logLevel: "silent",
+          asDefault: false,
+        });
+        await new Customer({ name: "a" }).create({
+          docId: "a",
+          database: "reporting",
+        });
+        await new Customer({ name: "b" }).create({
+          docId: "b",
+          database: archive,
+        });
+        await new Customer({ name: "c" }).create({
+          docId: "c",
+          database: archiveAdapter,
+        });
+        // 呼び出しの指定はモデルの static database より優先する
+        await new Report({ title: "d" }).create({
+          docId: "d",
+          database: archive,
+        });
+
+        expect(await exists(reporting, "customers/a")).toBe(true);
+        expect(await exists(archive, "customers/b")).toBe(true);
+        expect(await exists(archive, "customers/c")).toBe(true);
+        expect(await exists(archive, "reports/d")).toBe(true);
+        expect((await firestore.collection("customers").get()).empty).toBe(
+          true
+        );
+        expect(
+          await new Customer().fetchDoc({
+            docId: "b",
+            database: archiveAdapter,
+          })
+        ).toMatchObject({ name: "b" });
+      });
+
+      test("getDatabase はデータベース ID の Firestore を一度だけ開いて再利用する", async () => {
+        const app = initializeApp({ projectId: "demo-test" }, "databases");
+        try {
+          const second = new ServerAdapter(firestore, null, {
+            app,
+            databases: { reporting },
+            asDefault: false,
+          });
+          const analytics = second.getDatabase("analytics");
+          expect(analytics.databaseId).toBe("analytics");
+          expect(second.getDatabase("analytics")).toBe(analytics);
+          expect(second.getDatabase("reporting")).toBe(reporting);
+          expect(second.getDatabase()).toBe(firestore);
+          expect(second.getDatabase(adapter)).toBe(firestore);
+          expect(() => second.getDatabase(1)).toThrow(InvalidArgumentError);
+        } finally {
+          await deleteApp(app);
+        }
+      });
+    });
+
+    describe("部分更新", () => {
+      const Customer = defineModel("customers", {
+        name: "",
+        rank: 0,
+        address: { city: "", zip: "" },
+      });
+      let customer;
+      let docRef;
+
+      beforeEach(async () => {
+        customer = new Customer({
+          name: "a",
+          rank: 1,
+          address: { city: "Tokyo", zip: "100" },
+        });
+        await customer.create();
+        docRef = firestore.doc(`customers/${customer.docId}`);
+      });
+
+      test("fields で指定したフィールドとメタデータだけを書き込む", async () => {
+        customer.name = "b";
+        customer.rank = 2;
+        customer.address.city = "Osaka";
+        customer.address.zip = "530";
+        await customer.update({ fields: ["name", "address.city"], actor: "u" });
+        expect((await docRef.get()).data()).toMatchObject({
+          name: "b",
+          rank: 1,
+          address: { city: "Osaka", zip: "100" },
+          uid: "u",
+        });
+      });
+
+      test("changedOnly は取得後に変更したフィールドだけを書き込み、他の更新を上書きしない", async () => {
+        const fetched = await new Customer().fetchDoc({
+          docId: customer.docId,
+        });
+        await docRef.update({ rank: 5 });
+
+        fetched.name = "b";
+        await fetched.update({ changedOnly: true });
+        expect((await docRef.get()).data()).toMatchObject({
+          name: "b",
+          rank: 5,
+        });
+
+        // 書き込んだフィールドは変更ありとみなされない
+        await docRef.update({ name: "c" });
+        await fetched.update({ changedOnly: true });
+        expect((await docRef.get()).get("name")).toBe("c");
+      });
+
+      test("検索トークンは書き込まないフィールドも含めて再生成する", async () => {
+        const Person = defineModel(
+          "people",
+          { name: "", kana: "" },
+          { tokenFields: ["name", "kana"] }
+        );
+        const person = new Person({ name: "山田", kana: "やまだ" });
+        await person.create();
+        person.kana = "ヤマダ";
+        await person.update({ fields: ["kana"] });
+
+        const expected = new Person({ name: "山田", kana: "ヤマダ" });
+        await expected.create();
+        const getTokenMap = async ({ docId }) =>
+          (await firestore.doc(`people/${docId}`).get()).get("tokenMap");
+        expect(await getTokenMap(person)).toEqual(await getTokenMap(expected));
+        expect(await getTokenMap(person)).toHaveProperty("山田");
+      });
+
+      test("fieldValues で FieldValue の操作を書き込む", async () => {
+        await customer.update({
+          fieldValues: { rank: ["increment", 2], tags: ["arrayUnion", "vip"] },
+        });
+        expect((await docRef.get()).data()).toMatchObject({
+          rank: 3,
+          tags: ["vip"],
+        });
+      });
+    });
+
+    describe("楽観的ロック", () => {
+      const Customer = defineModel(
+        "customers",
+        { name: "" },
+        { optimisticLock: true }
+      );
+      let docId;
+
+      beforeEach(async () => {
+        const customer = new Customer({ name: "a" });
+        await customer.create();
+        docId = customer.docId;
+      });
+
+      const fetchCustomer = () => new Customer().fetchDoc({ docId });
+      const getStored = async () =>
+        (await firestore.doc(`customers/${docId}`).get()).data();
+
+      test("更新のたびに version を増やし、古いインスタンスの更新は ConflictError になる", async () => {
+        const first = await fetchCustomer();
+        const second = await fetchCustomer();
+        first.name = "b";
+        await first.update();
+        expect(await getStored()).toMatchObject({ name: "b", version: 2 });
+
+        second.name = "c";
+        const error = await second.update().catch((err) => err);
+        expect(error).toBeInstanceOf(ConflictError);
+        expect(error).toMatchObject({ docId, expected: 1, actual: 2 });
+        expect(await getStored()).toMatchObject({ name: "b", version: 2 });
+
+        await expect(second.delete()).rejects.toBeInstanceOf(ConflictError);
+        expect(await getStored()).toBeDefined();
+      });
+
+      test("updatedAt モードでは保存された updatedAt と比較する", async () => {
+        const stale = await fetchCustomer();
+        const fresh = await fetchCustomer();
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        await fresh.update({ optimisticLock: "updatedAt" });
+        await expect(
+          stale.update({ optimisticLock: "updatedAt" })
+        ).rejects.toBeInstanceOf(ConflictError);
+      });
+
+      test("一括操作でも version を管理し、古い項目だけを失敗として報告する", async () => {
+        const { succeeded } = await adapter.createMany.call(new Customer(), {
+          docs: [{ docId: "x", name: "x" }],
+        });
+        expect(succeeded).toHaveLength(1);
+        expect((await firestore.doc("customers/x").get()).get("version")).toBe(
+          1
+        );
+
+        const stale = await fetchCustomer();
+        const fresh = await fetchCustomer();
+        await fresh.update();
+
+        const x = await new Customer().fetchDoc({ docId: "x" });
+        const updated = await adapter.updateMany.call(new Customer(), {
+          docs: [stale, x],
+        });
+        expect(updated.succeeded.map(({ docId }) => docId)).toEqual(["x"]);
+        expect(updated.failed[0].error).toBeInstanceOf(ConflictError);
+        expect((await firestore.doc("customers/x").get()).get("version")).toBe(
+          2
+        );
+
+        // 更新した項目は新しい version で続けて更新・削除できる
+        const removed = await adapter.deleteMany.call(new Customer(), {
+          docs: [stale, x],
+        });
+        expect(removed.succeeded.map(({ docId }) => docId)).toEqual(["x"]);
+        expect(removed.failed[0].error).toBeInstanceOf(ConflictError);
+        expect((await getStored()).version).toBe(2);
+      });
+    });
+
+    describe("ドキュメントカウンター", () => {
+      const prefix = "companies/a";
+      const getCount = (Model) =>
+        adapter.getCount.call(new Model(), { prefix });
+
+      test.each([1, 3])(
+        "実際に作成・削除したドキュメントだけを数える（シャード数 %i）",
+        async (counterShards) => {
+          const Customer = defineModel(
+            "customers",
+            { name: "" },
+            { useCounter: true, counterShards, logicalDelete: true }
+          );
+          await new Customer({ name: "a" }).create({ prefix, docId: "a" });
+          await expect(
+            new Customer({ name: "a" }).create({ prefix, docId: "a" })
+          ).rejects.toBeInstanceOf(AlreadyExistsError);
+          await new Customer({ name: "b" }).create({ prefix });
+          expect(await getCount(Customer)).toBe(2);
+
+          await new Customer({ docId: "a" }).delete({ prefix });
+          expect(await getCount(Customer)).toBe(1);
+
+          await adapter.restore.call(new Customer(), { prefix, docId: "a" });
+          await firestore.doc(`${prefix}/customers_archive/a`).set({});
+          await adapter.restore.call(new Customer(), { prefix, docId: "a" });
+          expect(await getCount(Customer)).toBe(2);
+        }
+      );
+
+      test("存在しないドキュメントの削除では減らさない", async () => {
+        const Customer = defineModel(
+          "customers",
+          { name: "" },
+          { useCounter: true }
+        );
+        await new Customer({ name: "a" }).create({ prefix, docId: "a" });
+        await new Customer({ docId: "missing" }).delete({ prefix });
+        expect(await getCount(Customer)).toBe(1);
+
+        await adapter.createMany.call(new Customer(), {
+          prefix,
+          docs: [{ docId: "a" }, { docId: "b" }, { docId: "c" }],
+        });
+        expect(await getCount(Customer)).toBe(3);
+
+        await adapter.deleteMany.call(new Customer(), {
+          prefix,
+          docs: ["a", "missing", "b"].map((docId) => new Customer({ docId })),
+        });
+        expect(await getCount(Customer)).toBe(1);
+        expect(await adapter.recount.call(new Customer(), { prefix })).toBe(1);
+      });
+
+      test("getAdapter が ServerAdapter でないモデルは既定のアダプターで数える", async () => {
+        const Customer = defineModel(
+          "customers",
+          { name: "" },
+          { useCounter: true, getAdapter: () => ({ type: "CLIENT" }) }
+        );
+        await adapter.create.call(new Customer({ name: "a" }), {
+          prefix,
+          docId: "a",
+        });
+        await adapter.createMany.call(new Customer(), {
+          prefix,
+          docs: [{ docId: "b" }, { docId: "c" }],
+        });
+        await adapter.delete.call(new Customer({ docId: "b" }), { prefix });
+        await adapter.deleteMany.call(new Customer(), {
+          prefix,
+          docs: [new Customer({ docId: "c" })],
+        });
+        expect(await getCount(Customer)).toBe(1);
+      });
+    });
+
+    describe("一括操作", () => {
+      const defineCustomer = (statics = {}) =>
+        defineModel("customers", { name: "" }, statics);
+
+      test("createMany は既存の docId と検証エラーの項目だけを失敗として報告する", async () => {
+        const Customer = defineCustomer();
+        await firestore.doc("customers/b").set({ docId: "b", name: "old" });
+
+        const invalid = new Customer({ name: "c" });
+        invalid.validate = () => {
+          throw new Error("invalid");
+        };
+        const { succeeded, failed } = await adapter.createMany.call(
+          new Customer(),
+          {
+            docs: [
+              { docId: "a", name: "a" },
+              { docId: "b", name: "b" },
+              invalid,
+              { name: "d" },
+            ],
+          }
+        );
+        expect(succeeded.map(({ index }) => index)).toEqual([0, 3]);
+        expect(failed.map(({ index }) => index)).toEqual([1, 2]);
+        expect(failed[0].error).toBeInstanceOf(AlreadyExistsError);
+        expect(failed[1].error).toBeInstanceOf(ValidationError);
+        expect((await firestore.doc("customers/b").get()).get("name")).toBe(
+          "old"
+        );
+        expect((await firestore.collection("customers").get()).size).toBe(3);
+      });
+
+      test("createMany は Autonumber を作成する項目の数だけ連番で採番する", async () => {
+        const Customer = defineModel(
+          "customers",
+          { code: "" },
+          { useAutonumber: true, autonumber: { field: "code", length: 3 } }
+        );
+        await firestore.doc("customers/b").set({ docId: "b" });
+
+        await adapter.createMany.call(new Customer(), {
+          docs: [{ docId: "a" }, { docId: "b" }, { docId: "c" }],
+          chunkSize: 2,
+        });
+        const codes = (await firestore.collection("customers").get()).docs
+          .map((doc) => doc.get("code"))
+          .filter(Boolean);
+        expect(codes.sort()).toEqual(["001", "002"]);
+      });
+
+      test("updateMany は docId のない項目を失敗として報告する", async () => {
+        const Customer = defineCustomer();
+        const customer = new Customer({ name: "a" });
+        await customer.create();
+        customer.name = "b";
+
+        const { succeeded, failed } = await adapter.updateMany.call(
+          new Customer(),
+          { docs: [customer, new Customer({ name: "x" })] }
+        );
+        expect(succeeded).toEqual([{ index: 0, docId: customer.docId }]);
+        expect(failed[0].error).toBeInstanceOf(InvalidArgumentError);
+        expect(
+          (await firestore.doc(`customers/${customer.docId}`).get()).get("name")
+        ).toBe("b");
+      });
+
+      test("deleteMany は logicalDelete で存在しない項目だけを失敗として報告する", async () => {
+        const Customer = defineCustomer({ logicalDelete: true });
+        const customers = [new Customer({ name: "a" }), new Customer()];
+        await customers[0].create();
+        customers[1].docId = "missing";
+
+        const { succeeded, failed } = await adapter.deleteMany.call(
+          new Customer(),
+          { docs: customers }
+        );
+        expect(succeeded).toEqual([{ index: 0, docId: customers[0].docId }]);
+        expect(failed).toEqual([
+          expect.objectContaining({ index: 1, docId: "missing" }),
+        ]);
+        expect(failed[0].error).toBeInstanceOf(NotFoundError);
+        expect(
+          (await firestore.doc(`customers/${customers[0].docId}`).get()).exists
+        ).toBe(false);
+        expect(
+          (await firestore.doc(`customers_archive/${customers[0].docId}`).get())
+            .exists
+        ).toBe(true);
+      });
+    });
+
+    describe("集計", () => {
+      const Order = defineModel("orders", { status: "", amount: 0 });
+
+      beforeEach(async () => {
+        for (const [status, amount] of [
+          ["open", 100],
+          ["open", 200],
+          ["closed", 600],
+        ]) {
+          await new Order({ status, amount }).create();
+        }
+      });
+
+      test("countDocs・sumDocs・averageDocs は条件に一致するドキュメントを集計する", async () => {
+        const constraints = [["where", "status", "==", "open"]];
+        const order = new Order();
+        expect(await adapter.countDocs.call(order, { constraints })).toBe(2);
+        expect(
+          await adapter.sumDocs.call(order, { constraints, field: "amount" })
+        ).toBe(300);
+        expect(
+          await adapter.averageDocs.call(order, {
+            constraints,
+            field: "amount",
+          })
+        ).toBe(150);
+      });
+
+      test("aggregate は複数の集計をまとめて返し、一致しない場合の平均は null になる", async () => {
+        const result = await adapter.aggregate.call(new Order(), {
+          constraints: [["where", "status", "==", "canceled"]],
+          aggregations: {
+            count: ["count"],
+            total: ["sum", "amount"],
+            average: ["average", "amount"],
+          },
+        });
+        expect(result).toEqual({ count: 0, total: 0, average: null });
+      });
+
+      test("aggregate は配列でない集計を InvalidArgumentError にする", async () => {
+        await expect(
+          adapter.aggregate.call(new Order(), {
+            aggregations: { total: "count" },
+          })
+        ).rejects.toThrow(
+          new InvalidArgumentError(
+            "Invalid aggregation total: count. Must be a tuple like ['count']."
+          )
+        );
+      });
+    });
+
+    describe("Autonumber", () => {
+      const Invoice = defineModel(
+        "invoices",
+        { code: "" },
+        { useAutonumber: true }
+      );
+      const prefix = "companies/a";
+      const preview = (date) =>
+        adapter.previewAutonumber.call(new Invoice(), { prefix, date });
+
+      test("prefix・suffix の日付トークンと step で採番する", async () => {
+        await adapter.updateAutonumber.call(new Invoice(), {
+          prefix,
+          settings: {
+            field: "code",
+            prefix: "INV-{YYYY}{MM}-",
+            suffix: "-{FY}",
+            length: 3,
+            step: 2,
+            current: 4,
+          },
+        });
+        expect(await preview(new Date("2026-03-31T00:00:00Z"))).toBe(
+          "INV-202603-006-2025"
+        );
+        expect(await preview(new Date("2026-04-01T00:00:00Z"))).toBe(
+          "INV-202604-006-2026"
+        );
+      });
+
+      test("reset の期間が変わると 1 から採番し直す", async () => {
+        await adapter.updateAutonumber.call(new Invoice(), {
+          prefix,
+          settings: {
+            field: "code",
+            length: 3,
+            reset: "monthly",
+            timeZone: "Asia/Tokyo",
+            current: 5,
+            period: "2026-10",
+          },
+        });
+        expect(await preview(new Date("2026-10-31T14:59:00Z"))).toBe("006");
+        // 日本時間では 11 月 1 日になる
+        expect(await preview(new Date("2026-10-31T15:00:00Z"))).toBe("001");
+      });
+
+      test("桁数を超える場合は AutonumberExhaustedError になる", async () => {
+        await adapter.updateAutonumber.call(new Invoice(), {
+          prefix,
+          settings: { field: "code", length: 1, current: 9 },
+        });
+        await expect(preview()).rejects.toBeInstanceOf(
+          AutonumberExhaustedError
+        );
+      });
+
+      test("既定の設定に field がない場合は採番せずにエラーになる", async () => {
+        const Ticket = defineModel(
+          "tickets",
+          { code: "" },
+          { useAutonumber: true, autonumber: { length: 3 } }
+        );
+        const ticket = new Ticket();
+        await expect(ticket.create({ prefix })).rejects.toBeInstanceOf(
+          InvalidArgumentError
+        );
+        expect(ticket).not.toHaveProperty("undefined");
+      });
+
+      test("ルートのコレクションでも create で採番する", async () => {
+        const Ticket = defineModel(
+          "tickets",
+          { code: "" },
+          { useAutonumber: true, autonumber: { field: "code", length: 3 } }
+        );
+        const first = new Ticket();
+        await first.create();
+        const second = new Ticket();
+        await second.create();
+        expect([first.code, second.code]).toEqual(["001", "002"]);
+        expect(
+          (await firestore.doc(`tickets/${second.docId}`).get()).get("code")
+        ).toBe("002");
+      });
+    });
+
+    test("fetchDocsNear は半径内のドキュメントを近い順に返す", async () => {
+      const Site = defineModel(
+        "sites",
+        { name: "", location: null },
+        { locationField: "location" }
+      );
+      const locations = {
+        shinjuku: [35.6896, 139.7006],
+        tokyo: [35.6812, 139.7671],
+        yurakucho: [35.6751, 139.763],
+        osaka: [34.7025, 135.4959],
+      };
+      for (const [name, [latitude, longitude]] of Object.entries(locations)) {
+        await new Site({
+          name,
+          location: new GeoPoint(latitude, longitude),
+        }).create();
+      }
+
+      const results = await adapter.fetchDocsNear.call(new Site(), {
+        center: new GeoPoint(35.6812, 139.7671),
+        radius: 10000,
+        withDistance: true,
+      });
+      expect(results.map(({ doc }) => doc.name)).toEqual([
+        "tokyo",
+        "yurakucho",
+        "shinjuku",
+      ]);
+      expect(results[1].distance).toBeGreaterThan(700);
+      expect(results[1].distance).toBeLessThan(850);
+    });
+
+    test("runMigrations はすべての prefix のドキュメントに順に適用し、適用済みを記録する", async () => {
+      const Customer = defineModel(
+        "customers",
+        { firstName: "", lastName: "" },
+        {
+          migrations: [
+            {
+              name: "001-split-name",
+              up: ({ fullName, ...data }) => {
+                if (fullName === undefined) return undefined;
+                const [firstName, lastName] = fullName.split(" ");
+                return { ...data, firstName, lastName };
+              },
+            },
+            {
+              name: "002-default-rank",
+              up: (data) => (data.rank ? undefined : { ...data, rank: 1 }),
+            },
+          ],
+        }
+      );
+      await firestore
+        .doc("companies/a/customers/x")
+        .set({ fullName: "Taro Yamada" });
+      await firestore
+        .doc("companies/b/customers/y")
+        .set({ fullName: "Hanako Sato" });
+
+      const dryRun = await adapter.runMigrations.call(new Customer(), {
+        dryRun: true,
+      });
+      expect(dryRun.migrations.map(({ updated }) => updated)).toEqual([2, 2]);
+      expect(
+        (await firestore.doc("companies/a/customers/x").get()).get("fullName")
+      ).toBe("Taro Yamada");
+
+      const progress = [];
+      const report = await adapter.runMigrations.call(new Customer(), {
+        batchSize: 1,
+        onProgress: (entry) => progress.push(entry),
+      });
+      expect(report.migrations.map(({ status }) => status)).toEqual([
+        "completed",
+        "completed",
+      ]);
+      expect(progress).toHaveLength(4);
+      expect(
+        (await firestore.doc("companies/b/customers/y").get()).data()
+      ).toMatchObject({ firstName: "Hanako", lastName: "Sato", rank: 1 });
+
+      const again = await adapter.runMigrations.call(new Customer());
+      expect(again.migrations.map(({ status }) => status)).toEqual([
+        "skipped",
+        "skipped",
+      ]);
+    });
+
+    test("runMigrations は失敗したドキュメントを報告し、後続のマイグレーションを実行しない", async () => {
+      const Customer = defineModel(
+        "customers",
+        {},
+        {
+          migrations: [
+            {
+              name: "001-require-name",
+              up: (data) => {
+                if (!data.name) throw new Error("name is required");
+                return undefined;
+              },
+            },
+            { name: "002-noop", up: () => undefined },
+          ],
+        }
+      );
+      await firestore.doc("customers/a").set({ name: "a" });
+      await firestore.doc("customers/b").set({});
+
+      const report = await adapter.runMigrations.call(new Customer());
+      expect(report.migrations[0]).toMatchObject({
+        status: "failed",
+        processed: 2,
+        failed: [expect.objectContaining({ path: "customers/b" })],
+      });
+      expect(report.migrations[1].status).toBe("pending");
+    });
+
+    test("runMigrations は書き換えたドキュメントの tokenMap と geohash を再計算する", async () => {
+      const Place = defineModel(
+        "places",
+        { name: "", location: null },
+        {
+          tokenFields: ["name"],
+          locationField: "location",
+          migrations: [
+            {
+              name: "001-rename",
+              up: ({ title, position, ...data }) =>
+                title === undefined
+                  ? undefined
+                  : { ...data, name: title, location: position },
+            },
+          ],
+        }
+      );
+      await firestore.doc("places/a").set({
+        title: "東京駅",
+        position: new GeoPoint(35.681236, 139.767125),
+      });
+
+      await adapter.runMigrations.call(new Place());
+      const expected = new Place({
+        name: "東京駅",
+        location: new GeoPoint(35.681236, 139.767125),
+      });
+      await expected.create();
+      const [migrated, created] = await Promise.all(
+        ["places/a", `places/${expected.docId}`].map(async (path) =>
+          (await firestore.doc(path).get()).data()
+        )
+      );
+      expect(migrated.tokenMap).toEqual(created.tokenMap);
+      expect(migrated.tokenMap).toHaveProperty("東京");
+      expect(migrated.geohash).toBe(created.geohash);
+    });
+
+    test("fetchDocsByIds は入力順にドキュメントを返し、存在しない ID を報告する", async () => {
+      const Customer = defineModel("customers", { name: "" });
+      for (const docId of ["a", "b"]) {
+        await firestore.doc(`customers/${docId}`).set({ docId, name: docId });
+      }
+
+      const { docs, missing } = await adapter.fetchDocsByIds.call(
+        new Customer(),
+        { docIds: ["b", "x", "a", "b"] }
+      );
+      expect(docs.map((doc) => doc?.name ?? null)).toEqual([
+        "b",
+        null,
+        "a",
+        "b",
+      ]);
+      expect(docs[0]).not.toBe(docs[3]);
+      expect(missing).toEqual(["x"]);
+    });
+
+    test("runWithLoader は同時の fetchDoc をまとめて 1 回の getAll で読み取る", async () => {
+      const Customer = defineModel("customers", { name: "" });
+      for (const docId of ["a", "b"]) {
+        await firestore.doc(`customers/${docId}`).set({ docId, name: docId });
+      }
+      const getAll = firestore.getAll.bind(firestore);
+      let calls = 0;
+      firestore.getAll = (...refs) => {
+        calls++;
+        return getAll(...refs);
+      };
+
+      const docs = await ServerAdapter.runWithLoader(() =>
+        Promise.all(
+          ["a", "b", "a", "x"].map((docId) =>
+            new Customer().fetchDoc({ docId })
+          )
+        )
+      );
+      expect(docs.map((doc) => doc?.name ?? null)).toEqual([
+        "a",
+        "b",
+        "a",
+        null,
+      ]);
+      expect(calls).toBe(1);
+    });
+
+    test("runWithLoader 内の runTransaction はコミット後に読み込み済みのドキュメントを破棄する", async () => {
+      const Customer = defineModel("customers", { name: "" });
+      await new Customer({ name: "a" }).create({ docId: "a" });
+
+      const [updated, during, after] = await ServerAdapter.runWithLoader(
+        async () => {
+          const customer = await new Customer().fetchDoc({ docId: "a" });
+          let during;
+          await adapter.runTransaction(async (transaction) => {
+            customer.name = "b";
+            await customer.update({ transaction });
+            // コミット前に読み込んだドキュメントは変更前の状態になる
+            during = await new Customer().fetchDoc({ docId: "a" });
+          });
+          const after = await new Customer().fetchDoc({ docId: "a" });
+          return [customer, during, after];
+        }
+      );
+      expect(updated.name).toBe("b");
+      expect(during.name).toBe("a");
+      expect(after.name).toBe("b");
+    });
+
+    describe("クエリの組み立て", () => {
+      const Customer = defineModel("customers", {
+        name: "",
+        status: "",
+        rank: 0,
+        tags: [],
+      });
+      const fetchNames = async (constraints, options = []) =>
+        (await new Customer().fetchDocs({ constraints, options }))
+          .map(({ name }) => name)
+          .sort();
+
+      beforeEach(async () => {
+        const items = [
+          { name: "a", status: "active", rank: 1, tags: ["vip"] },
+          { name: "b", status: "active", rank: 3, tags: ["new"] },
+          { name: "c", status: "inactive", rank: 5, tags: ["vip", "new"] },
+          { name: "d", status: "pending", rank: 2, tags: [] },
+        ];
+        for (const item of items) {
+          await new Customer(item).create({ docId: item.name });
+        }
+      });
+
+      test("or・and の条件を入れ子にして OR 条件で絞り込む", async () => {
+        expect(
+          await fetchNames([
+            [
+              "or",
+              ["where", "status", "==", "pending"],
+              [
+                "and",
+                ["where", "status", "==", "active"],
+                ["where", "rank", ">=", 3],
+              ],
+            ],
+          ])
+        ).toEqual(["b", "d"]);
+        expect(
+          await fetchNames([
+            ["where", Filter.or(Filter.where("rank", "==", 5))],
+          ])
+        ).toEqual(["c"]);
+      });
+
+      test("in・not-in・array-contains-any で絞り込む", async () => {
+        expect(
+          await fetchNames([["where", "status", "in", ["pending", "inactive"]]])
+        ).toEqual(["c", "d"]);
+        expect(
+          await fetchNames([["where", "status", "not-in", ["active"]]])
+        ).toEqual(["c", "d"]);
+        expect(
+          await fetchNames([["where", "tags", "array-contains-any", ["new"]]])
+        ).toEqual(["b", "c"]);
+      });
+
+      test("documentId() の条件で絞り込む", async () => {
+        expect(
+          await fetchNames([
+            ["where", FieldPath.documentId(), "in", ["a", "c"]],
+          ])
+        ).toEqual(["a", "c"]);
+        expect(
+          await fetchNames([
+            [
+              "where",
+              FieldPath.documentId(),
+              "==",
+              firestore.doc("customers/b"),
+            ],
+          ])
+        ).toEqual(["b"]);
+      });
+
+      test("select で指定したフィールドと docId だけを読み取る", async () => {
+        const docs = await new Customer().fetchDocs({
+          constraints: [["where", "name", "==", "c"]],
+          options: [["select", "name"]],
+        });
+        expect(docs).toHaveLength(1);
+        expect(docs[0]).toMatchObject({
+          docId: "c",
+          name: "c",
+          status: "",
+          rank: 0,
+        });
+      });
+
+      test("createQueries の関数をコレクションに適用できる", async () => {
+        const queries = new Customer().createQueries([
+          ["or", ["where", "rank", "==", 1], ["where", "rank", "==", 2]],
+          ["orderBy", "rank", "desc"],
+          ["limit", 1],
+        ]);
+        const snapshot = await queries
+          .reduce((ref, apply) => apply(ref), firestore.collection("customers"))
+          .get();
+        expect(snapshot.docs.map((doc) => doc.id)).toEqual(["d"]);
+      });
+
+      test.each([
+        [[["where", "rank", "~", 1]], "Invalid where operator: ~"],
+        [[["where", "rank", "==", undefined]], "must not be undefined"],
+        [[["where", "", "==", 1]], "Invalid field for where"],
+        [
+          [["where", "status", "in", []]],
+          'Value for "in" must be a non-empty array.',
+        ],
+        [
+          [["where", "status", "in", Array.from({ length: 31 }, (_, i) => i)]],
+          'Value for "in" can have at most 30 elements, but got 31.',
+        ],
+        [
+          [["where", FieldPath.documentId(), "array-contains", "a"]],
+          '"array-contains" cannot be used with documentId().',
+        ],
+        [
+          [["where", FieldPath.documentId(), "in", ["a", ""]]],
+          "Invalid documentId() value",
+        ],
+        [
+          [
+            ["where", "status", "not-in", ["a"]],
+            ["where", "rank", "not-in", [1]],
+          ],
+          'Only one "not-in" filter can be used in a query.',
+        ],
+        [
+          [
+            ["where", "status", "not-in", ["a"]],
+            ["where", "rank", "!=", 1],
+          ],
+          '"not-in" cannot be combined with "!="',
+        ],
+        [
+          [
+            ["where", "status", "not-in", ["a"]],
+            ["or", ["where", "rank", "==", 1], ["where", "rank", "==", 2]],
+          ],
+          '"not-in" cannot be combined with "or"',
+        ],
+        [
+          [
+            ["where", "tags", "array-contains", "vip"],
+            ["where", "tags", "array-contains-any", ["new"]],
+          ],
+          'Only one "array-contains" or "array-contains-any" filter',
+        ],
+        [[["or"]], '"or" requires at least one filter.'],
+        [[["or", ["orderBy", "rank"]]], "Invalid filter type: orderBy"],
+        [[["orderBy", "rank", "up"]], "Invalid orderBy direction: up"],
+        [[["limit", 0]], "Invalid limit value: 0"],
+        [[["select", ""]], "Invalid field for select"],
+        [[["group", "rank"]], "Invalid query type: group"],
+        [["rank"], "Invalid query constraint: rank. Must be an array."],
+        ["rank", "constraints must be an array."],
+      ])(
+        "不正な条件 %j は InvalidArgumentError になる",
+        async (constraints, message) => {
+          expect(() => new Customer().createQueries(constraints)).toThrow(
+            InvalidArgumentError
+          );
+          expect(() => new Customer().createQueries(constraints)).toThrow(
+            message
+          );
+        }
+      );
+
+      test("createQueries ではカーソルを指定できない", () => {
+        expect(() =>
+          new Customer().createQueries([["startAfter", "a"]])
+        ).toThrow("Cursor type startAfter cannot be used here.");
+      });
+    });
+
+    describe("カーソルによるページング", () => {
+      const Customer = defineModel("customers", { code: "" });
+
+      beforeEach(async () => {
+        for (const code of ["a", "b", "c", "d", "e"]) {
+          await new Customer({ code }).create({ docId: code });
+        }
+      });
+
+      test("withCursor で次のページのカーソルを返し、最後のページでは null になる", async () => {
+        const pages = [];
+        let cursor = null;
+        do {
+          const { docs, nextCursor } = await new Customer().fetchDocs({
+            constraints: [
+              ["orderBy", "code"],
+              ["limit", 2],
+            ],
+            options: cursor ? [["startAfter", cursor]] : [],
+            withCursor: true,
+          });
+          pages.push(docs.map(({ code }) => code));
+          cursor = nextCursor;
+        } while (cursor);
+        expect(pages).toEqual([["a", "b"], ["c", "d"], ["e"]]);
+      });
+
+      test("limitToLast の場合は先頭のドキュメントを前のページのカーソルにする", async () => {
+        const { docs, nextCursor } = await new Customer().fetchDocs({
+          constraints: [
+            ["orderBy", "code"],
+            ["limitToLast", 2],
+          ],
+          withCursor: true,
+        });
+        expect(docs.map(({ code }) => code)).toEqual(["d", "e"]);
+        expect(nextCursor).toBe("d");
+
+        const previous = await new Customer().fetchDocs({
+          constraints: [
+            ["orderBy", "code"],
+            ["endBefore", nextCursor],
+            ["limitToLast", 2],
+          ],
+        });
+        expect(previous.map(({ code }) => code)).toEqual(["b", "c"]);
+      });
+
+      test("streamDocs はページ単位で読み取り、すべてのドキュメントを順に返す", async () => {
+        const codes = [];
+        for await (const customer of adapter.streamDocs.call(new Customer(), {
+          constraints: [["orderBy", "code"]],
+          pageSize: 2,
+          startAfter: "a",
+        })) {
+          codes.push(customer.code);
+        }
+        expect(codes).toEqual(["b", "c", "d", "e"]);
+      });
+
+      test("streamDocs で limit は使用できない", async () => {
+        const iterator = adapter.streamDocs.call(new Customer(), {
+          options: [["limit", 1]],
+        });
+        await expect(iterator.next()).rejects.toThrow(
+          "Query type limit cannot be used with streamDocs."
+        );
+      });
+
+      test("streamDocs は配列でない条件を InvalidArgumentError にし、検索文字列を受け付ける", async () => {
+        const iterator = adapter.streamDocs.call(new Customer(), {
+          constraints: ["code"],
+        });
+        await expect(iterator.next()).rejects.toThrow(InvalidArgumentError);
+
+        const Person = defineModel(
+          "people",
+          { name: "" },
+          { tokenFields: ["name"] }
+        );
+        for (const name of ["山田太郎", "佐藤花子"]) {
+          await new Person({ name }).create();
+        }
+        const names = [];
+        for await (const person of adapter.streamDocs.call(new Person(), {
+          constraints: "山田",
+        })) {
+          names.push(person.name);
+        }
+        expect(names).toEqual(["山田太郎"]);
+      });
+    });
+
+    test("hasChild で子ドキュメントを検出し、削除を拒否する", async () => {
+      const Order = defineModel("orders", { customerId: "" });
+      const Customer = defineModel(
+        "customers",
+        { name: "" },
+        {
+          hasMany: [
+            {
+              collection: "orders",
+              field: "customerId",
+              condition: "==",
+              type: "collection",
+            },
+          ],
+        }
+      );
+      const customer = new Customer({ name: "a" });
+      await customer.create();
+      expect(await customer.hasChild()).toBe(false);
+
+      await new Order({ customerId: customer.docId }).create();
+      expect(await customer.hasChild()).toMatchObject({
+        collection: "orders",
+      });
+      await expect(customer.delete()).rejects.toBeInstanceOf(
+        DependentExistsError
+      );
+    });
+
+    describe("リアルタイムリスナー", () => {
+      const Customer = defineModel("customers", { name: "", rank: 0 });
+      const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+      test("subscribe は同期的に戻り、変更のたびにインスタンスを読み込む", async () => {
+        const customer = new Customer({ name: "a" });
+        await customer.create();
+
+        const listener = new Customer();
+        const types = [];
+        const returned = listener.subscribe({
+          docId: customer.docId,
+          callback: (instance, type) => types.push([type, instance.name]),
+        });
+        expect(returned).toBeUndefined();
+        await flush();
+        expect(listener.name).toBe("a");
+
+        customer.name = "b";
+        await customer.update();
+        await flush();
+        await customer.delete();
+        await flush();
+        expect(types).toEqual([
+          ["added", "a"],
+          ["modified", "b"],
+          ["removed", ""],
+        ]);
+        expect(listener.unsubscribe()).toBe(1);
+
+        expect(() => listener.subscribe({})).toThrow(InvalidArgumentError);
+      });
+
+      test("subscribeDocs は同期的に配列を返し、クエリの結果と同期する", async () => {
+        await new Customer({ name: "a", rank: 1 }).create();
+        const listener = new Customer();
+        const changes = [];
+        const docs = listener.subscribeDocs({
+          constraints: [["where", "rank", ">=", 1]],
+          options: [["orderBy", "name"]],
+          callback: (items) => changes.push(items.map(({ type }) => type)),
+        });
+        expect(docs).toEqual([]);
+        await flush();
+        expect(docs.map(({ name }) => name)).toEqual(["a"]);
+
+        await new Customer({ name: "b", rank: 2 }).create();
+        await flush();
+        expect(docs.map(({ name }) => name)).toEqual(["a", "b"]);
+        expect(changes).toEqual([["added"], ["added"]]);
+        expect(listener.unsubscribe()).toBe(1);
+
+        expect(() =>
+          listener.subscribeDocs({
+            constraints: [
+              ["where", "rank", "not-in", [1]],
+              ["where", "name", "not-in", ["a"]],
+            ],
+          })
+        ).toThrow(InvalidArgumentError);
+      });
+
+      test("subscribeDocs のカーソルの解決に失敗した場合は onError に渡す", async () => {
+        const errors = [];
+        const listener = new Customer();
+        listener.subscribeDocs({
+          options: [
+            ["orderBy", "name"],
+            ["startAfter", "missing"],
+          ],
+          onError: (err) => errors.push(err),
+        });
+        await flush();
+        expect(errors).toHaveLength(1);
+        expect(listener.unsubscribe()).toBe(0);
+      });
+
+      test("カーソルの解決前に unsubscribe した場合はリスナーを開始しない", async () => {
+        const customer = new Customer({ name: "a" });
+        await customer.create();
+        const snapshots = [];
+        const listener = new Customer();
+        listener.subscribeDocs({
+          options: [
+            ["orderBy", "name"],
+            ["startAt", customer.docId],
+          ],
+          callback: (changes) => snapshots.push(changes),
+        });
+        expect(listener.unsubscribe()).toBe(1);
+        await flush();
+        expect(snapshots).toEqual([]);
+      });
+    });
+
+    describe("アダプターによる書き込みの識別", () => {
+      const Customer = defineModel(
+        "customers",
+        { name: "" },
+        { logicalDelete: true }
+      );
+      const getStored = async (path) =>
+        (await firestore.doc(path).get()).data();
+
+      test("既定では書き込み ID をドキュメントに保存しない", async () => {
+        const customer = new Customer({ name: "a" });
+        await customer.create();
+        await customer.update({ fields: ["name"] });
+        expect(
+          await getStored(`customers/${customer.docId}`)
+        ).not.toHaveProperty("_adapterWriteId");
+
+        await customer.delete();
+        expect(
+          await getStored(`customers_archive/${customer.docId}`)
+        ).not.toHaveProperty("_adapterWriteId");
+      });
+
+      test("trackWrites の場合は書き込みごとに書き込み ID を保存し、トリガーで自身の書き込みを除外する", async () => {
+        adapter = new ServerAdapter(firestore, null, {
+          logLevel: "silent",
+          trackWrites: true,
+        });
+        const customer = new Customer({ name: "a" });
+        await customer.create();
+        const docRef = firestore.doc(`customers/${customer.docId}`);
+        const created = await docRef.get();
+        expect(created.get("_adapterWriteId")).toEqual(expect.any(String));
+
+        const handled = [];
+        const trigger = ServerAdapter.onDocumentUpdated(
+          Customer,
+          ({ after }) => handled.push(after.name),
+          { skipAdapterWrites: true }
+        );
+        const run = (before, after) =>
+          trigger.run({
+            data: { before, after },
+            params: { docId: customer.docId },
+          });
+
+        customer.name = "b";
+        await customer.update();
+        const updated = await docRef.get();
+        expect(updated.get("_adapterWriteId")).not.toBe(
+          created.get("_adapterWriteId")
+        );
+        await run(created, updated);
+
+        // アダプターを経由しない書き込みは書き込み ID を変えない
+        await docRef.update({ name: "c" });
+        await run(updated, await docRef.get());
+        expect(handled).toEqual(["c"]);
+      });
+
+      test("trackWrites でないアダプターで skipAdapterWrites を指定するとエラーになる", async () => {
+        const customer = new Customer({ name: "a" });
+        await customer.create();
+        const snapshot = await firestore
+          .doc(`customers/${customer.docId}`)
+          .get();
+        const trigger = ServerAdapter.onDocumentUpdated(Customer, () => {}, {
+          skipAdapterWrites: true,
+        });
+        await expect(
+          trigger.run({
+            data: { before: snapshot, after: snapshot },
+            params: { docId: customer.docId },
+          })
+        ).rejects.toBeInstanceOf(PreconditionError);
+      });
+    });
+
+    describe("createCallables", () => {
+      const Customer = defineModel(
+        "customers",
+        { name: "", rank: 0 },
+        { tokenFields: ["name"] }
+      );
+      const auth = { uid: "user-1", token: {} };
+      let docRef;
+
+      beforeEach(async () => {
+        const customer = new Customer({ name: "a", rank: 1 });
+        await customer.create();
+        docRef = firestore.doc(`customers/${customer.docId}`);
+      });
+
+      test("create で既存の docId を指定した場合は already-exists になり、上書きしない", async () => {
+        const { create } = ServerAdapter.createCallables(Customer);
+        await expect(
+          create.run({
+            auth,
+            data: { docId: docRef.id, data: { name: "x", rank: 9 } },
+          })
+        ).rejects.toMatchObject({ code: "already-exists" });
+        expect((await docRef.get()).data()).toMatchObject({
+          name: "a",
+          rank: 1,
+        });
+      });
+
+      test("update の fields はモデルのフィールドだけを書き込む", async () => {
+        const { update } = ServerAdapter.createCallables(Customer);
+        await update.run({
+          auth,
+          data: {
+            docId: docRef.id,
+            data: { name: "b", rank: 2 },
+            fields: ["name", "unknown"],
+          },
+        });
+        expect((await docRef.get()).data()).toMatchObject({
+          name: "b",
+          rank: 1,
+          uid: "user-1",
+        });
+        expect((await docRef.get()).data()).not.toHaveProperty("unknown");
+      });
+
+      test("update の fields にアダプターが管理するフィールドがある場合は invalid-argument になる", async () => {
+        const { update } = ServerAdapter.createCallables(Customer);
+        for (const field of ["tokenMap", "uid", "version", "deletedAt"]) {
+          await expect(
+            update.run({
+              auth,
+              data: { docId: docRef.id, data: {}, fields: [field] },
+            })
+          ).rejects.toMatchObject({ code: "invalid-argument" });
+        }
+        await expect(
+          update.run({
+            auth,
+            data: { docId: docRef.id, data: {}, fields: "name" },
+          })
+        ).rejects.toMatchObject({ code: "invalid-argument" });
+      });
+
+      test("未ログインの呼び出しを許可した場合は defaultActor を記録する", async () => {
+        const { create, update } = ServerAdapter.createCallables(Customer, {
+          rules: { default: true },
+        });
+        const { docId } = await create.run({ data: { data: { name: "c" } } });
+        expect(
+          (await firestore.doc(`customers/${docId}`).get()).get("uid")
+        ).toBe("cloud functions");
+
+        await update.run({
+          data: { docId: docRef.id, data: { name: "d" } },
+        });
+        expect((await docRef.get()).get("uid")).toBe("cloud functions");
+      });
+    });
+
+    describe("冪等キー", () => {
+      const Customer = defineModel(
+        "customers",
+        { name: "", rank: 0 },
+        { logicalDelete: true, useCounter: true }
+      );
+      const getCount = async () =>
+        (await adapter.getCount.call(new Customer(), {})) ?? 0;
+
+      test("同じキーの create は 1 件だけ作成し、最初の参照を返す", async () => {
+        const callBack = [];
+        const first = await new Customer({ name: "a" }).create({
+          idempotencyKey: "event-1",
+          callBack: () => callBack.push("first"),
+        });
+        const second = new Customer({ name: "b" });
+        const replayed = await second.create({
+          idempotencyKey: "event-1",
+          callBack: () => callBack.push("second"),
+        });
+
+        expect(replayed.id).toBe(first.id);
+        expect(second.docId).toBe(first.id);
+        expect(callBack).toEqual(["first"]);
+        expect((await firestore.collection("customers").get()).size).toBe(1);
+        expect(
+          (await firestore.doc(`customers/${first.id}`).get()).get("name")
+        ).toBe("a");
+        expect(await getCount()).toBe(1);
+      });
+
+      test("同じキーの update・delete・restore は 2 回目を書き込まない", async () => {
+        const customer = new Customer({ name: "a", rank: 1 });
+        await customer.create();
+        const docRef = firestore.doc(`customers/${customer.docId}`);
+
+        customer.rank = 2;
+        await customer.update({ idempotencyKey: "event-1" });
+        customer.rank = 3;
+        await customer.update({ idempotencyKey: "event-1" });
+        expect((await docRef.get()).get("rank")).toBe(2);
+
+        // キーは操作ごとに区別される
+        const result = await customer.delete({ idempotencyKey: "event-1" });
+        await new Customer().restore({
+          docId: customer.docId,
+          idempotencyKey: "event-1",
+        });
+        expect(await customer.delete({ idempotencyKey: "event-1" })).toEqual(
+          result
+        );
+        expect((await docRef.get()).exists).toBe(true);
+
+        await customer.delete();
+        await new Customer().restore({
+          docId: customer.docId,
+          idempotencyKey: "event-1",
+        });
+        expect((await docRef.get()).exists).toBe(false);
+        expect(await getCount()).toBe(0);
+      });
+
+      test("キーは idempotencyTTL の間保持し、purgeIdempotencyKeys で削除する", async () => {
+        expect(ServerAdapter.idempotencyTTL).toBe(7 * 24 * 60 * 60 * 1000);
+        adapter = new ServerAdapter(firestore, null, {
+          logLevel: "silent",
+          idempotencyTTL: 1000,
+        });
+        expect(adapter.idempotencyTTL).toBe(1000);
+
+        await new Customer({ name: "a" }).create({ idempotencyKey: "event-1" });
+        const [key] = (
+          await firestore.collection("customers_idempotency").get()
+        ).docs;
+        const { createdAt, expiresAt } = key.data();
+        expect(expiresAt.toMillis() - createdAt.toMillis()).toBe(1000);
+
+        expect(
+          await adapter.purgeIdempotencyKeys.call(new Customer(), {})
+        ).toBe(0);
+        expect(
+          await adapter.purgeIdempotencyKeys.call(new Customer(), {
+            olderThan: new Date(Date.now() + 2000),
+          })
+        ).toBe(1);
+
+        // 削除後は同じキーでも新たに作成する
+        await new Customer({ name: "b" }).create({ idempotencyKey: "event-1" });
+        expect((await firestore.collection("customers").get()).size).toBe(2);
+      });
+    });
+
+    describe("エラー", () => {
+      const Order = defineModel("orders", { customerId: "" });
+      class Customer extends defineModel(
+        "customers",
+        { name: "" },
+        {
+          optimisticLock: true,
+          logicalDelete: true,
+          hasMany: [
+            {
+              collection: "orders",
+              field: "customerId",
+              condition: "==",
+              type: "collection",
+            },
+          ],
+        }
+      ) {
+        validate() {
+          if (!this.name) throw new Error("name is required");
+        }
+      }
+
+      test("操作のエラーは code と context を持つ AdapterError になる", async () => {
+        const invalid = await new Customer().create().catch((err) => err);
+        expect(invalid).toBeInstanceOf(ValidationError);
+        expect(invalid).toBeInstanceOf(AdapterError);
+        expect(invalid).toMatchObject({
+          name: "ValidationError",
+          code: "validation",
+        });
+        expect(invalid.cause.message).toBe("name is required");
+
+        const customer = new Customer({ name: "a" });
+        await customer.create();
+        await new Order({ customerId: customer.docId }).create();
+        const dependent = await customer.delete().catch((err) => err);
+        expect(dependent).toBeInstanceOf(DependentExistsError);
+        expect(dependent).toMatchObject({
+          code: "dependent-exists",
+          docId: customer.docId,
+          item: { collection: "orders" },
+        });
+        expect(dependent.context).toEqual({
+          docId: customer.docId,
+          item: dependent.item,
+        });
+
+        const missing = await new Customer()
+          .restore({ docId: "missing" })
+          .catch((err) => err);
+        expect(missing).toBeInstanceOf(NotFoundError);
+        expect(missing.context).toEqual({
+          path: "customers_archive/missing",
+          docId: "missing",
+        });
+      });
+
+      test("toHttpsError は操作のエラーを対応する HttpsError に変換する", async () => {
+        const customer = new Customer({ name: "a" });
+        await customer.create();
+        const stale = await new Customer().fetchDoc({ docId: customer.docId });
+        await customer.update();
+        const conflict = toHttpsError(await stale.update().catch((err) => err));
+        expect(conflict.code).toBe("aborted");
+        expect(conflict.details).toEqual({
+          code: "conflict",
+          docId: customer.docId,
+          expected: 1,
+          actual: 2,
+        });
+
+        const missing = toHttpsError(
+          await new Customer().restore({ docId: "missing" }).catch((err) => err)
+        );
+        expect(missing.code).toBe("not-found");
+        expect(missing.details).toMatchObject({ code: "not-found" });
+
+        const invalid = toHttpsError(
+          await new Customer().create().catch((err) => err)
+        );
+        expect(invalid.code).toBe("invalid-argument");
+        expect(invalid.message).toContain("name is required");
+
+        // callable 関数は toHttpsError で変換したエラーを返す
+        const { update } = ServerAdapter.createCallables(Customer);
+        await expect(
+          update.run({
+            auth: { uid: "user-1", token: {} },
+            data: { docId: "missing", data: { name: "b" } },
+          })
+        ).rejects.toMatchObject({
+          code: "not-found",
+          details: { code: "not-found", docId: "missing" },
+        });
+      });
+
+      test("不明なエラーは詳細を隠して internal にする", () => {
+        const error = toHttpsError(new Error("secret"));
+        expect(error.code).toBe("internal");
+        expect(error.message).not.toContain("secret");
+      });
+    });
+
+    describe("操作ログ", () => {
+      const entries = [];
+      const customLogger = Object.fromEntries(
+        ["debug", "info", "warn", "error"].map((level) => [
+          level,
+          (message, entry) => entries.push({ level, message, entry }),
+        ])
+      );
+      let logAdapter;
+      class Customer extends defineModel("customers", {
+        name: "",
+        email: "",
+        profile: { phone: "", city: "" },
+      }) {
+        static sensitiveFields = ["email", "profile.phone"];
+        static getAdapter() {
+          return logAdapter;
+        }
+        validate() {
+          if (!this.name) throw new Error("name is required");
+        }
+      }
+      const createLogAdapter = (options = {}) =>
+        new ServerAdapter(firestore, null, {
+          logger: customLogger,
+          logLevel: "info",
+          asDefault: false,
+          ...options,
+        });
+
+      beforeEach(() => {
+        entries.length = 0;
+        logAdapter = createLogAdapter({ logData: true });
+      });
+
+      test("成功した操作を info で出力し、sensitiveFields の値を伏せる", async () => {
+        const customer = new Customer({
+          name: "a",
+          email: "a@example.com",
+          profile: { phone: "090", city: "Tokyo" },
+        });
+        await ServerAdapter.runWithCorrelationId("trace-1", () =>
+          customer.create({ prefix: "companies/a" })
+        );
+
+        expect(entries).toHaveLength(1);
+        expect(entries[0].level).toBe("info");
+        expect(entries[0].message).toBe(
+          "[ServerAdapter.js - create] Succeeded."
+        );
+        expect(entries[0].entry).toMatchObject({
+          operation: "create",
+          model: "Customer",
+          collectionPath: "companies/a/customers",
+          docId: customer.docId,
+          prefix: "companies/a",
+          outcome: "success",
+          correlationId: "trace-1",
+          data: {
+            name: "a",
+            email: "[REDACTED]",
+            profile: { phone: "[REDACTED]", city: "Tokyo" },
+          },
+        });
+        expect(typeof entries[0].entry.durationMs).toBe("number");
+      });
+
+      test("失敗した操作はアダプターのエラーを warn、それ以外を error で出力する", async () => {
+        await expect(new Customer().create()).rejects.toBeInstanceOf(
+          ValidationError
+        );
+        const customer = new Customer({ name: "a" });
+        await expect(
+          customer.create({
+            callBack: async () => {
+              throw new Error("callBack failed");
+            },
+          })
+        ).rejects.toThrow("callBack failed");
+
+        expect(entries.map(({ level }) => level)).toEqual(["warn", "error"]);
+        expect(entries[0].entry).toMatchObject({
+          operation: "create",
+          outcome: "failure",
+          error: { name: "ValidationError", code: "validation" },
+        });
+        expect(entries[1].entry.error).toMatchObject({
+          name: "Error",
+          message: "callBack failed",
+        });
+      });
+
+      test("logLevel より低いエントリーと logData でないデータは出力しない", async () => {
+        logAdapter = createLogAdapter({
+          logLevel: "warn",
+          correlationIdResolver: () => "resolved",
+        });
+        await new Customer({ name: "a" }).create();
+        expect(entries).toHaveLength(0);
+
+        await expect(
+          adapter.fetchDoc.call(new Customer(), {})
+        ).rejects.toBeInstanceOf(InvalidArgumentError);
+        expect(entries).toHaveLength(1);
+        expect(entries[0].entry).toMatchObject({
+          operation: "fetchDoc",
+          docId: null,
+          correlationId: "resolved",
+        });
+        expect(entries[0].entry).not.toHaveProperty("data");
+      });
+
+      test("logger を返し、不正な logLevel はエラーになる", () => {
+        expect(logAdapter.logger).toBe(customLogger);
+        expect(adapter.logger).toBeDefined();
+        expect(() => createLogAdapter({ logLevel: "verbose" })).toThrow(
+          InvalidArgumentError
+        );
+      });
+    });
+
+    describe("エクスポートとインポート", () => {
+      const Customer = defineModel(
+        "customers",
+        { name: "", location: null, owner: null, tags: [], joinedAt: null },
+        { logicalDelete: true, useCounter: true }
+      );
+      const getCount = (prefix) =>
+        adapter.getCount.call(new Customer(), { prefix });
+      const exportToString = async (prefix) => {
+        const chunks = [];
+        const destination = new Writable({
+          write(chunk, encoding, callback) {
+            chunks.push(chunk.toString());
+            callback();
+          },
+        });
+        const result = await adapter.exportDocs.call(new Customer(), {
+          destination,
+          prefix,
+        });
+        return { result, ndjson: chunks.join("") };
+      };
+
+      test("エクスポートした NDJSON を別の prefix に同じ型で復元し、作成した件数だけカウンターを増やす", async () => {
+        const source = "companies/a";
+        const joinedAt = new Date("2024-04-01T00:00:00.000Z");
+        const customer = new Customer({
+          name: "a",
+          location: new GeoPoint(35, 139),
+          owner: firestore.doc("users/u1"),
+          tags: ["vip", { rank: 1 }],
+          joinedAt,
+        });
+        await customer.create({ prefix: source });
+        const archived = new Customer({ name: "b" });
+        await archived.create({ prefix: source });
+        await archived.delete({ prefix: source, reason: "重複" });
+
+        const { result, ndjson } = await exportToString(source);
+        expect(result).toEqual({ exported: 1, archived: 1 });
+
+        const target = "companies/b";
+        const imported = await adapter.importDocs.call(new Customer(), {
+          source: Readable.from(ndjson),
+          prefix: target,
+        });
+        expect(imported).toEqual({ imported: 2, skipped: 0, failed: [] });
+
+        const restored = (
+          await firestore.doc(`${target}/customers/${customer.docId}`).get()
+        ).data();
+        expect(restored.location).toBeInstanceOf(GeoPoint);
+        expect(restored.location.isEqual(new GeoPoint(35, 139))).toBe(true);
+        expect(restored.owner.path).toBe("users/u1");
+        expect(restored.tags).toEqual(["vip", { rank: 1 }]);
+        expect(restored.joinedAt.toDate()).toEqual(joinedAt);
+        expect(
+          await adapter.fetchArchivedDoc.call(new Customer(), {
+            docId: archived.docId,
+            prefix: target,
+          })
+        ).toMatchObject({ name: "b", deleteReason: "重複" });
+        expect(await getCount(target)).toBe(1);
+
+        // 既存のドキュメントを上書き・スキップしてもカウンターは変わらない
+        for (const mode of ["overwrite", "skip-existing"]) {
+          await adapter.importDocs.call(new Customer(), {
+            source: Readable.from(ndjson),
+            prefix: target,
+            mode,
+          });
+        }
+        expect(await getCount(target)).toBe(1);
+        const again = await exportToString(target);
+        expect(again.ndjson).toBe(ndjson);
+      });
+
+      test("dryRun の場合は書き込まずに結果を返し、解析できない行は failed に報告する", async () => {
+        const lines = [
+          JSON.stringify({
+            docId: "a",
+            archive: false,
+            data: {
+              name: "a",
+              location: { __type: "geopoint", latitude: 35, longitude: 139 },
+            },
+          }),
+          JSON.stringify({ docId: "b", archive: true, data: { name: "b" } }),
+          "{",
+          JSON.stringify({ docId: "c/d", data: {} }),
+        ];
+        const result = await adapter.importDocs.call(new Customer(), {
+          source: Readable.from(lines.join("\n")),
+          prefix: "companies/a",
+          dryRun: true,
+        });
+        expect(result.imported).toBe(2);
+        expect(result.skipped).toBe(0);
+        expect(result.failed).toEqual([
+          expect.objectContaining({ line: 3, docId: null }),
+          expect.objectContaining({ line: 4, docId: "c/d" }),
+        ]);
+        expect(
+          (await firestore.collection("companies/a/customers").get()).size
+        ).toBe(0);
+        expect(await getCount("companies/a")).toBe(0);
+      });
+
+      test("不正な mode はエラーになる", async () => {
+        await expect(
+          adapter.importDocs.call(new Customer(), {
+            source: Readable.from([]),
+            mode: "merge",
+          })
+        ).rejects.toThrow("Invalid mode: merge.");
+      });
+    });
+
+    describe("変更履歴", () => {
+      const wait = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+      test.each(["subcollection", "collection"])(
+        "%s モードで書き込みごとに履歴を記録し、fetchAsOf で当時の状態を復元する",
+        async (history) => {
+          const Contract = defineModel(
+            "contracts",
+            { title: "", amount: 0 },
+            { history, logicalDelete: true }
+          );
+          const contract = new Contract({ title: "保守", amount: 100 });
+          await contract.create({ actor: "alice" });
+          const { docId } = contract;
+          await wait();
+          const created = new Date();
+          await wait();
+
+          contract.amount = 200;
+          await contract.update({ actor: "bob" });
+          await wait();
+          const updated = new Date();
+          await wait();
+
+          await contract.delete({ actor: "carol" });
+          await wait();
+          const deleted = new Date();
+          await wait();
+
+          await new Contract().restore({ docId, actor: "dave" });
+
+          const entries = await adapter.fetchHistory.call(new Contract(), {
+            docId,
+          });
+          expect(
+            entries.map(({ operation, actor }) => [operation, actor])
+          ).toEqual([
+            ["restore", "dave"],
+            ["delete", "carol"],
+            ["update", "bob"],
+            ["create", "alice"],
+          ]);
+          expect(entries[2].changes).toEqual({
+            amount: { before: 100, after: 200 },
+          });
+          expect(entries[3].changes).toMatchObject({
+            title: { before: null, after: "保守" },
+            amount: { before: null, after: 100 },
+          });
+          expect(entries[0].timestamp).toBeInstanceOf(Date);
+          expect(
+            await adapter.fetchHistory.call(new Contract(), { docId, limit: 1 })
+          ).toHaveLength(1);
+
+          const asOf = (at) =>
+            adapter.fetchAsOf.call(new Contract(), { docId, at });
+          expect(await asOf(new Date(0))).toBeNull();
+          expect(await asOf(created)).toMatchObject({
+            docId,
+            title: "保守",
+            amount: 100,
+          });
+          expect(await asOf(created)).toBeInstanceOf(Contract);
+          expect(await asOf(updated)).toMatchObject({ amount: 200 });
+          expect(await asOf(deleted)).toBeNull();
+          expect(await asOf(new Date())).toMatchObject({ amount: 200 });
+        }
+      );
+
+      test("書き込みが失敗した場合は履歴を記録しない", async () => {
+        const Contract = defineModel(
+          "contracts",
+          { amount: 0 },
+          { history: true, optimisticLock: true }
+        );
+        const contract = new Contract({ amount: 100 });
+        await contract.create();
+        const stale = await new Contract().fetchDoc({ docId: contract.docId });
+        await wait();
+        await contract.update();
+
+        stale.amount = 300;
+        await expect(stale.update()).rejects.toBeInstanceOf(ConflictError);
+        const entries = await adapter.fetchHistory.call(new Contract(), {
+          docId: contract.docId,
+        });
+        expect(entries.map(({ operation }) => operation)).toEqual([
+          "update",
+          "create",
+        ]);
+        // 変更のない更新は空の changes として記録する
+        expect(entries[0].changes).toEqual({});
+      });
+
+      test("既存の docId への create は AlreadyExistsError になり、上書きも履歴の記録もしない", async () => {
+        const Contract = defineModel(
+          "contracts",
+          { amount: 0 },
+          { history: true }
+        );
+        await new Contract({ amount: 100 }).create({ docId: "a" });
+        await expect(
+          new Contract({ amount: 999 }).create({ docId: "a" })
+        ).rejects.toBeInstanceOf(AlreadyExistsError);
+
+        expect((await firestore.doc("contracts/a").get()).get("amount")).toBe(
+          100
+        );
+        const entries = await adapter.fetchHistory.call(new Contract(), {
+          docId: "a",
+        });
+        expect(entries.map(({ operation }) => operation)).toEqual(["create"]);
+      });
+
+      test("履歴が無効なモデルでは PreconditionError になる", async () => {
+        const Contract = defineModel("contracts", { amount: 0 });
+        await expect(
+          adapter.fetchHistory.call(new Contract(), { docId: "a" })
+        ).rejects.toBeInstanceOf(PreconditionError);
+        await expect(
+          adapter.fetchAsOf.call(new Contract(), { docId: "a", at: new Date() })
+        ).rejects.toBeInstanceOf(PreconditionError);
+      });
+    });
+
+    describe("アーカイブ", () => {
+      const Customer = defineModel(
+        "customers",
+        { name: "" },
+        { logicalDelete: true }
+      );
+      const archive = async (name, { actor, reason }) => {
+        const customer = new Customer({ name });
+        await customer.create({ actor: "creator" });
+        await customer.delete({ actor, reason });
+        return customer;
+      };
+
+      test("削除の記録を追加し、最後の更新の updatedAt と uid は保持する", async () => {
+        const customer = new Customer({ name: "a" });
+        await customer.create({ actor: "creator" });
+        const { updatedAt } = await new Customer().fetchDoc({
+          docId: customer.docId,
+        });
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        await customer.delete({ actor: "remover", reason: "重複" });
+
+        const archived = await adapter.fetchArchivedDoc.call(new Customer(), {
+          docId: customer.docId,
+        });
+        expect(archived).toMatchObject({
+          name: "a",
+          uid: "creator",
+          deletedBy: "remover",
+          deleteReason: "重複",
+        });
+        expect(archived.updatedAt).toEqual(updatedAt);
+        expect(archived.deletedAt).toBeInstanceOf(Date);
+        expect(archived.deletedAt.getTime()).toBeGreaterThan(
+          updatedAt.getTime()
+        );
+
+        // 復元したドキュメントにはアーカイブの記録を残さない
+        await new Customer().restore({ docId: customer.docId, actor: "admin" });
+        const restored = (
+          await firestore.doc(`customers/${customer.docId}`).get()
+        ).data();
+        expect(restored).toMatchObject({ name: "a", uid: "admin" });
+        expect(restored).not.toHaveProperty("deletedAt");
+        expect(restored).not.toHaveProperty("deletedBy");
+        expect(restored).not.toHaveProperty("deleteReason");
+      });
+
+      test("fetchArchivedDocs は削除の記録で絞り込める", async () => {
+        await archive("a", { actor: "alice", reason: null });
+        await archive("b", { actor: "bob", reason: "重複" });
+        await archive("c", { actor: "alice", reason: "重複" });
+
+        const docs = await adapter.fetchArchivedDocs.call(new Customer(), {
+          constraints: [
+            ["where", "deletedBy", "==", "alice"],
+            ["orderBy", "name"],
+          ],
+        });
+        expect(docs.map(({ name }) => name)).toEqual(["a", "c"]);
+        expect(docs[0]).toBeInstanceOf(Customer);
+
+        const { docs: page, nextCursor } = await adapter.fetchArchivedDocs.call(
+          new Customer(),
+          {
+            constraints: [["orderBy", "name"]],
+            options: [["limit", 2]],
+            withCursor: true,
+          }
+        );
+        expect(page.map(({ name }) => name)).toEqual(["a", "b"]);
+        expect(nextCursor).toBe(page[1].docId);
+        expect(
+          await adapter.fetchArchivedDoc.call(new Customer(), {
+            docId: "missing",
+          })
+        ).toBeNull();
+      });
+
+      test("purgeArchive は指定した日時より前に削除したドキュメントだけを削除する", async () => {
+        const old = await archive("a", { actor: "alice" });
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        const threshold = new Date();
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        const recent = await archive("b", { actor: "alice" });
+
+        expect(
+          await adapter.purgeArchive.call(new Customer(), {
+            olderThan: threshold,
+          })
+        ).toBe(1);
+        expect(
+          await adapter.fetchArchivedDoc.call(new Customer(), {
+            docId: old.docId,
+          })
+        ).toBeNull();
+        expect(
+          await adapter.fetchArchivedDoc.call(new Customer(), {
+            docId: recent.docId,
+          })
+        ).toMatchObject({ name: "b" });
+
+        await expect(
+          adapter.purgeArchive.call(new Customer(), { olderThan: "yesterday" })
+        ).rejects.toBeInstanceOf(InvalidArgumentError);
+      });
+    });
+
+    describe("onDelete", () => {
+      const Order = defineModel("orders", { customerId: "" });
+      const defineCustomer = (onDelete, statics = {}) =>
+        defineModel(
+          "customers",
+          { name: "" },
+          {
+            hasMany: [
+              {
+                collection: "orders",
+                field: "customerId",
+                condition: "==",
+                type: "collection",
+                onDelete,
+              },
+            ],
+            ...statics,
+          }
+        );
+      const getOrder = async (docId) =>
+        (await firestore.doc(`orders/${docId}`).get()).data();
+      const createOrders = async (customerId, count) => {
+        const batch = firestore.batch();
+        for (let i = 0; i < count; i++) {
+          batch.set(firestore.doc(`orders/${customerId}-${i}`), {
+            customerId,
+          });
+        }
+        await batch.commit();
+      };
+
+      test("cascade・archive-cascade・set-null を削除と同時に適用し、件数を返す", async () => {
+        for (const onDelete of ["cascade", "archive-cascade", "set-null"]) {
+          const Customer = defineCustomer(onDelete);
+          const customer = new Customer({ name: "a" });
+          await customer.create();
+          const order = new Order({ customerId: customer.docId });
+          await order.create();
+
+          const result = await customer.delete({ reason: "解約" });
+          expect(result.dependents).toEqual([
+            { collection: "orders", type: "collection", onDelete, count: 1 },
+          ]);
+          expect(
+            (await firestore.doc(`customers/${customer.docId}`).get()).exists
+          ).toBe(false);
+
+          const archived = (
+            await firestore.doc(`orders_archive/${order.docId}`).get()
+          ).data();
+          if (onDelete === "set-null") {
+            expect(await getOrder(order.docId)).toMatchObject({
+              customerId: null,
+            });
+            expect(archived).toBeUndefined();
+          } else {
+            expect(await getOrder(order.docId)).toBeUndefined();
+            if (onDelete === "archive-cascade") {
+              expect(archived).toMatchObject({
+                customerId: customer.docId,
+                deleteReason: "解約",
+              });
+            } else {
+              expect(archived).toBeUndefined();
+            }
+          }
+        }
+      });
+
+      test("親の削除が失敗した場合は依存ドキュメントを変更しない", async () => {
+        const Customer = defineCustomer("cascade", { optimisticLock: true });
+        const customer = new Customer({ name: "a" });
+        await customer.create();
+        const order = new Order({ customerId: customer.docId });
+        await order.create();
+
+        // 古いインスタンスの削除は ConflictError になる
+        const stale = await new Customer().fetchDoc({ docId: customer.docId });
+        await customer.update();
+        await expect(stale.delete()).rejects.toBeInstanceOf(ConflictError);
+        expect(await getOrder(order.docId)).toBeDefined();
+
+        // callBack が失敗した場合も変更しない
+        await expect(
+          customer.delete({
+            callBack: async () => {
+              throw new Error("callBack failed");
+            },
+          })
+        ).rejects.toThrow("callBack failed");
+        expect(await getOrder(order.docId)).toBeDefined();
+        expect(
+          (await firestore.doc(`customers/${customer.docId}`).get()).exists
+        ).toBe(true);
+      });
+
+      test("依存ドキュメントが多い場合はコミット後に適用し、指定されたトランザクションでは拒否する", async () => {
+        const Customer = defineCustomer("archive-cascade");
+        const customer = new Customer({ name: "a" });
+        await customer.create();
+        await createOrders(customer.docId, 201);
+
+        await expect(
+          adapter.runTransaction((transaction) =>
+            customer.delete({ transaction })
+          )
+        ).rejects.toBeInstanceOf(PreconditionError);
+        expect(
+          (await firestore.doc(`customers/${customer.docId}`).get()).exists
+        ).toBe(true);
+
+        const result = await customer.delete({ idempotencyKey: "event-1" });
+        expect(result.dependents[0].count).toBe(201);
+        expect((await firestore.collection("orders").get()).size).toBe(0);
+        expect((await firestore.collection("orders_archive").get()).size).toBe(
+          201
+        );
+
+        // 同じキーでの再実行は適用後の結果を返す
+        expect(await customer.delete({ idempotencyKey: "event-1" })).toEqual(
+          result
+        );
+      });
+
+      test("deleteMany は削除できた項目の依存ドキュメントだけに適用する", async () => {
+        const Customer = defineCustomer("cascade", { optimisticLock: true });
+        const first = new Customer({ name: "a" });
+        const second = new Customer({ name: "b" });
+        await first.create();
+        await second.create();
+        await createOrders(first.docId, 2);
+        await createOrders(second.docId, 2);
+
+        const stale = await new Customer().fetchDoc({ docId: second.docId });
+        await second.update();
+
+        const { succeeded, failed } = await adapter.deleteMany.call(
+          new Customer(),
+          { docs: [first, stale] }
+        );
+        expect(succeeded.map(({ docId }) => docId)).toEqual([first.docId]);
+        expect(failed[0].error).toBeInstanceOf(ConflictError);
+        expect(await getOrder(`${first.docId}-0`)).toBeUndefined();
+        expect(await getOrder(`${second.docId}-0`)).toBeDefined();
+      });
+    });
+  });
+});